@@ -1,23 +1,98 @@
 // Application entry point (initialization and main logic)
 import { initPlayer, createSegmentMarkers } from './modules/player.js';
 import { setupUI, addExitButton } from './modules/ui.js';
-import { defaultAudio, defaultVTT } from './modules/config.js';
-import { parseVTT } from './modules/vttParser.js';
-import { initSegmentManager } from './modules/segmentManager.js';
+import { config, textComparisonConfig, exerciseCatalogUrl, transformationExceptionsUrl } from './modules/config.js';
+import { parseTranscript } from './modules/transcriptImporters.js';
+import { initSegmentManager, setCurrentSegmentIndex } from './modules/segmentManager.js';
 import { initInputManager } from './modules/inputManager.js';
-import { initUserDataStore, clearAllInputs, saveUserInput, getUserInput, getAllUserInputs } from './modules/userDataStore.js';
+import { initUserDataStore, clearAllInputs, saveUserInput, getUserInput, getAllUserInputs, restoreUserInputs, recordPlaybackRate, getAllPlaybackRates, recordReplay, getAllReplayCounts } from './modules/userDataStore.js';
 import { initResultsScreen } from './modules/resultsScreen.js';
+import { loadSession, clearSession, showResumePrompt, initSessionAutosave, describeTranscript, getSessionCues } from './modules/sessionStore.js';
+import { startReviewMode } from './modules/reviewMode.js';
+import { getExamSettings, startExamMode, isExamMode, showExamFinishHint } from './modules/examMode.js';
+import { initWaveformView } from './modules/waveformView.js';
+import { initSegmentEditor } from './modules/segmentEditor.js';
+import { initCharacterBar } from './modules/characterBar.js';
+import { startAuthoringMode } from './modules/authoringMode.js';
+import stateManager from './modules/utils/stateManager.js';
 import { notifySegmentChange } from './modules/textComparison.js';
+import { loadTransformationExceptions } from './modules/textComparison/transformationRules.js';
+import { setActiveLanguage } from './modules/textComparison/languageProfiles.js';
+import { setAllowDigits } from './modules/textComparison/equivalences.js';
+import { loadExerciseCatalog, findExercise, getRequestedExerciseId, showExercisePicker, hideExercisePicker } from './modules/exerciseCatalog.js';
 
 document.addEventListener('DOMContentLoaded', async function() {
+    const playerContainer = document.getElementById(config.playerContainerId);
+    
     try {
-        // Load and parse VTT file
-        console.log('Loading VTT file:', defaultVTT);
-        const cues = await parseVTT(defaultVTT);
-        console.log('VTT cues loaded:', cues.length);
+        // Load the exercise catalog and let the user pick an exercise
+        // (an exercise requested through the URL skips the picker)
+        const exercises = await loadExerciseCatalog(exerciseCatalogUrl);
         
-        // Initialize the player with the default audio file
-        const audioPlayer = initPlayer(defaultAudio);
+        // Words that keep their ae/oe/ue spelling (without the dictionary they are transformed too)
+        loadTransformationExceptions(transformationExceptionsUrl);
+        let exercise = findExercise(exercises, getRequestedExerciseId()) || await showExercisePicker(exercises);
+        hideExercisePicker();
+        
+        // A new recording is timed in the authoring mode first, then opens like any other exercise
+        if (exercise.authoring) {
+            exercise = await startAuthoringMode(exercise);
+        }
+        
+        // Compare the input with the language profile of the exercise (normalization, punctuation …)
+        setActiveLanguage(exercise.language);
+        // Whether "3" counts for "drei" (exercises practising written numbers turn it off)
+        setAllowDigits(exercise.allowDigits ?? textComparisonConfig.allowDigits);
+        
+        // Show the player for the chosen exercise
+        playerContainer.style.display = 'block';
+        const exerciseTitle = document.getElementById(config.exerciseTitleId);
+        if (exerciseTitle) {
+            exerciseTitle.textContent = exercise.title;
+        }
+        document.title = `${exercise.title} - Dictation Tool`;
+        
+        // A student's exported results open in the read-only review mode,
+        // which uses neither the user data store nor the saved session
+        if (exercise.reviewReport) {
+            if (exerciseTitle) {
+                exerciseTitle.textContent = `Review: ${exercise.title}`;
+            }
+            const reviewAudio = exercise.audio ? initPlayer(exercise.audio) : null;
+            startReviewMode(reviewAudio, exercise.reviewReport);
+            return;
+        }
+        
+        // Load and parse the transcript (exercises loaded from local files arrive already parsed)
+        let cues = exercise.cues;
+        if (!cues) {
+            console.log('Loading transcript file:', exercise.transcript);
+            cues = await parseTranscript(exercise.transcript);
+        }
+        console.log('Transcript cues loaded:', cues.length);
+        
+        // The session is tied to the transcript as loaded, also after segments are edited
+        const transcript = describeTranscript(cues);
+        
+        // Offer to resume a session saved before the page was reloaded
+        const savedSession = loadSession(exercise.id);
+        const resumeSession = savedSession ? await showResumePrompt(savedSession, cues) : false;
+        if (savedSession && !resumeSession) {
+            clearSession(exercise.id);
+        }
+        
+        // Segments merged, split or retimed in the resumed session replace the loaded ones
+        if (resumeSession) {
+            cues = getSessionCues(savedSession, cues);
+        }
+        
+        // The capitalization setting must be restored before the UI reads it
+        if (resumeSession) {
+            stateManager.updateState('comparison', { capitalizationSensitive: !!savedSession.capitalizationSensitive });
+        }
+        
+        // Initialize the player with the exercise's audio file
+        const audioPlayer = initPlayer(exercise.audio, exercise.vtt);
         
         // Create segment markers when audio metadata is loaded
         audioPlayer.addEventListener('loadedmetadata', () => {
@@ -35,8 +110,11 @@ document.addEventListener('DOMContentLoaded', async function() {
         // Initialize the input manager
         const inputManager = initInputManager();
         
+        // Special characters of the exercise language (bar above the input field and compose mode)
+        initCharacterBar(exercise.language);
+        
         // Initialize the results screen
-        const resultsScreen = initResultsScreen();
+        const resultsScreen = initResultsScreen(exercise);
         
         // Set up the UI components and event listeners
         setupUI(audioPlayer, segmentState, inputManager);
@@ -44,11 +122,77 @@ document.addEventListener('DOMContentLoaded', async function() {
         // Add exit button for early dictation completion
         addExitButton();
         
-        console.log('Dictation Tool initialized successfully');
+        // Waveform view for checking and fixing the segment timings
+        initWaveformView(audioPlayer, cues);
         
-                // Track if all segments are complete
+        // Merging and splitting segments (changes the cues array in place)
+        initSegmentEditor(audioPlayer, exercise);
+        
+        // Tests run in exam mode (set in the manifest or the URL)
+        const examSettings = getExamSettings(exercise);
+        if (examSettings) {
+            startExamMode(examSettings);
+        }
+        
+        // Track if all segments are complete
         let completedSegments = new Set();
         
+        // Restore the saved session (inputs, position and timer)
+        if (resumeSession) {
+            restoreUserInputs(savedSession.inputs, savedSession);
+            setCurrentSegmentIndex(Math.min(savedSession.currentIndex || 0, cues.length - 1));
+            if (savedSession.timing) {
+                resultsScreen.restoreTimingState(savedSession.timing);
+            }
+            getAllUserInputs().forEach((input, index) => {
+                if (input.trim() !== '') completedSegments.add(index);
+            });
+            console.log(`Session resumed at segment ${segmentState.currentIndex + 1}`);
+        }
+        
+        // Segments that were merged or split change the index of the segments after them
+        document.addEventListener('segmentsChanged', () => {
+            completedSegments = new Set();
+            getAllUserInputs().forEach((input, index) => {
+                if (input.trim() !== '') completedSegments.add(index);
+            });
+        });
+        
+        // Save the session automatically so a reload can resume it
+        const sessionAutosave = initSessionAutosave(exercise.id, cues, () => ({
+            inputs: getAllUserInputs(),
+            playbackRates: getAllPlaybackRates(),
+            replayCounts: getAllReplayCounts(),
+            currentIndex: segmentState.currentIndex,
+            timing: resultsScreen.getTimingState(),
+            capitalizationSensitive: stateManager.getState('comparison').capitalizationSensitive ?? false
+        }), transcript);
+        
+        // Remember the speed each segment was heard at (also when it changes mid-segment)
+        document.addEventListener('segmentStarted', (e) => {
+            recordPlaybackRate(e.detail.index, e.detail.playbackRate);
+        });
+        document.addEventListener('playbackRateChanged', (e) => {
+            if (segmentState.isPlaying) {
+                recordPlaybackRate(segmentState.currentIndex, e.detail.playbackRate);
+            }
+        });
+        
+        // Count the replays the learner asks for (automatic repeats are not counted)
+        document.addEventListener('segmentReplayed', (e) => {
+            recordReplay(e.detail.index);
+        });
+        
+        /**
+         * Show the results screen; a finished exercise is not offered for resuming
+         */
+        function showFinalResults() {
+            sessionAutosave.clear();
+            resultsScreen.showResults();
+        }
+        
+        console.log('Dictation Tool initialized successfully');
+        
         // Expose utility functions for developers via console
         window.dictationUtils = {
             toggleAdvancedComparison: (enabled) => {
@@ -98,10 +242,16 @@ document.addEventListener('DOMContentLoaded', async function() {
                 // 1. All segments are completed
                 // 2. This is the last segment
                 // 3. We've reached the end of the exercise
-                if (completedSegments.size === cues.length || isLastSegment || currentSegment === cues.length - 1) {
+                // In exam mode the results are only shown when the learner hands in with Finish
+                if (isExamMode()) {
+                    if (isLastSegment) {
+                        showExamFinishHint();
+                        return;
+                    }
+                } else if (completedSegments.size === cues.length || isLastSegment || currentSegment === cues.length - 1) {
                     console.log('Last segment completed or all segments done, showing results screen');
                     setTimeout(() => {
-                        resultsScreen.showResults();
+                        showFinalResults();
                     }, 500);
                     return;
                 }
@@ -139,12 +289,6 @@ document.addEventListener('DOMContentLoaded', async function() {
             document.getElementById('play-btn').click();
         });
         
-        // Listen for new exercise event
-        document.addEventListener('newExercise', function() {
-            // For now, just reload the page (in a real app, we would load a different exercise)
-            window.location.reload();
-        });
-        
         // Listen for finish exercise event (when user clicks the Finish button)
         document.addEventListener('finishExercise', function() {
             // Notify text comparison about a segment change to prevent auto-advance issues
@@ -152,20 +296,26 @@ document.addEventListener('DOMContentLoaded', async function() {
             
             // Show the results screen
             setTimeout(() => {
-                resultsScreen.showResults();
+                showFinalResults();
             }, 500);
         });
         
         // Direct event listener for showing results from any source
         document.addEventListener('showResults', function() {
+            if (isExamMode()) {
+                showExamFinishHint();
+                return;
+            }
             console.log('showResults event received, displaying results screen');
             setTimeout(() => {
-                resultsScreen.showResults();
+                showFinalResults();
             }, 500);
         });
     } catch (error) {
         console.error('Failed to initialize application:', error);
-        document.getElementById('player-container').innerHTML = `
+        hideExercisePicker();
+        playerContainer.style.display = 'block';
+        playerContainer.innerHTML = `
             <div class="error-message">
                 <h2>Error loading dictation tool</h2>
                 <p>${error.message}</p>
@@ -0,0 +1,123 @@
+/**
+ * Module for storing finished attempts in IndexedDB
+ * Every attempt keeps its date, scores, word stats, time and per-segment inputs
+ * so progress can be followed over time
+ */
+
+const DB_NAME = 'dictationHistory';
+const DB_VERSION = 1;
+const ATTEMPT_STORE = 'attempts';
+
+// Open database connection (shared by all calls)
+let dbPromise = null;
+
+/**
+ * Open the history database, creating the object store on first use
+ * @returns {Promise<IDBDatabase>} - Promise resolving to the database
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(ATTEMPT_STORE)) {
+                const store = db.createObjectStore(ATTEMPT_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('exerciseId', 'exerciseId', { unique: false });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a request against the attempt store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} createRequest - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} - Promise resolving to the request result
+ */
+async function runRequest(mode, createRequest) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(ATTEMPT_STORE, mode);
+        const request = createRequest(transaction.objectStore(ATTEMPT_STORE));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Store a finished attempt
+ * @param {Object} attempt - Attempt record ({ exerciseId, exerciseTitle, date, accuracy, completionPercentage,
+ *                           errorCount, wordStats, totalTimeMs, segmentTimes, inputs })
+ * @returns {Promise<number|null>} - Promise resolving to the id of the stored attempt, or null if it couldn't be stored
+ */
+export async function saveAttempt(attempt) {
+    try {
+        const id = await runRequest('readwrite', store => store.add(attempt));
+        console.log(`Attempt ${id} saved for exercise ${attempt.exerciseId}`);
+        return id;
+    } catch (error) {
+        console.error('Failed to save attempt to history:', error);
+        return null;
+    }
+}
+
+/**
+ * Get all stored attempts of an exercise, oldest first
+ * @param {string} exerciseId - The exercise id
+ * @returns {Promise<Array>} - Promise resolving to the attempts (empty if the history can't be read)
+ */
+export async function getAttempts(exerciseId) {
+    try {
+        const attempts = await runRequest('readonly', store => store.index('exerciseId').getAll(exerciseId));
+        return attempts.sort((a, b) => new Date(a.date) - new Date(b.date));
+    } catch (error) {
+        console.error('Failed to load attempt history:', error);
+        return [];
+    }
+}
+
+/**
+ * Delete all stored attempts of an exercise
+ * @param {string} exerciseId - The exercise id
+ * @returns {Promise<boolean>} - Promise resolving to true if the attempts were deleted
+ */
+export async function clearAttempts(exerciseId) {
+    try {
+        await runRequest('readwrite', store => {
+            const request = store.index('exerciseId').openCursor(IDBKeyRange.only(exerciseId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            return request;
+        });
+        return true;
+    } catch (error) {
+        console.error('Failed to clear attempt history:', error);
+        return false;
+    }
+}
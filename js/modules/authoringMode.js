@@ -0,0 +1,501 @@
+/**
+ * Module for the authoring mode
+ * Creates the transcript of a new recording: the author pastes the text, which is split
+ * into sentences, then presses Space at each sentence boundary while the audio plays
+ * (or lets the pauses in the recording suggest the boundaries).
+ * The recorded times can be fine-tuned before the cues are downloaded as a VTT file or
+ * opened in the regular dictation flow for testing.
+ */
+import { config } from './config.js';
+import { parseVTTContent } from './vttParser.js';
+import { scheduleSegmentEnd } from './playbackScheduler.js';
+import { generateVTTContent, escapeCueText } from '../utils/vttHelpers.js';
+import { downloadFile } from '../utils/helpers.js';
+import { decodeAudioFile, getChannelData } from '../utils/audioDecoder.js';
+import { computeFrameLevels, detectPauses, alignSentencesToPauses } from '../utils/silenceDetection.js';
+
+// Abbreviations whose period doesn't end a sentence (lower case, without the period);
+// single letters ("z. B.") and day numbers ("am 3. Mai") are recognized separately
+const ABBREVIATIONS = ['bzw', 'ca', 'dr', 'etc', 'evtl', 'fr', 'ggf', 'hr', 'inkl', 'jh', 'mio', 'mrd', 'nr', 'prof', 'sog', 'st', 'str', 'usw', 'vgl'];
+
+// Quotes and brackets that may surround a sentence
+const OPENING_MARKS = /^["'“”„«»‹›(\[]+/;
+const CLOSING_MARKS = /["'“”„«»‹›)\]]+$/;
+
+// State of the running authoring session
+let authoring = null;
+
+/**
+ * Split a transcript into sentences
+ * Line breaks always end a sentence, so a transcript with one sentence per line is kept as is
+ * @param {string} text - The transcript
+ * @returns {Array<string>} - The sentences, with whitespace collapsed
+ */
+export function splitSentences(text) {
+    return (text || '')
+        .split(/\n+/)
+        .flatMap(line => {
+            const words = line.trim().split(/\s+/).filter(Boolean);
+            const sentences = [];
+            let sentenceWords = [];
+
+            words.forEach((word, index) => {
+                sentenceWords.push(word);
+                if (endsSentence(word, words[index + 1])) {
+                    sentences.push(sentenceWords.join(' '));
+                    sentenceWords = [];
+                }
+            });
+
+            if (sentenceWords.length > 0) {
+                sentences.push(sentenceWords.join(' '));
+            }
+            return sentences;
+        });
+}
+
+/**
+ * Turn the boundaries the author tapped into cue times
+ * The first tap starts the first sentence; every further tap ends a sentence and starts the next
+ * @param {Array<string>} sentences - The sentences
+ * @param {Array<number>} taps - Tapped times in seconds, in order
+ * @returns {Array} - [{ text, startTime, endTime }] per sentence; times not tapped yet are null
+ */
+export function getCueTimes(sentences, taps) {
+    return sentences.map((text, index) => ({
+        text,
+        startTime: index < taps.length ? taps[index] : null,
+        endTime: index + 1 < taps.length ? taps[index + 1] : null
+    }));
+}
+
+/**
+ * Check the cue times before they are exported
+ * @param {Array} cueTimes - [{ text, startTime, endTime }]
+ * @returns {Array<string>} - Problems found (empty if the times can be used)
+ */
+export function getCueTimeErrors(cueTimes) {
+    const errors = [];
+
+    cueTimes.forEach((cue, index) => {
+        if (!Number.isFinite(cue.startTime) || !Number.isFinite(cue.endTime) || cue.startTime < 0) {
+            errors.push(`Sentence ${index + 1} has no valid start and end time.`);
+        } else if (cue.endTime <= cue.startTime) {
+            errors.push(`Sentence ${index + 1} must end after it starts.`);
+        } else if (index > 0 && cue.startTime < cueTimes[index - 1].endTime) {
+            errors.push(`Sentence ${index + 1} starts before sentence ${index} ends.`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Start the authoring mode for a recording
+ * @param {Object} exercise - Exercise from createAuthoringExercise (audio but no cues)
+ * @returns {Promise<Object>} - Resolves to the exercise with its new cues when the author tries it out
+ */
+export function startAuthoringMode(exercise) {
+    return new Promise(resolve => {
+        const container = createAuthoringContainer(exercise);
+        const audio = container.querySelector('.authoring-audio-element');
+
+        authoring = {
+            exercise,
+            container,
+            audio,
+            sentences: [],
+            taps: [],
+            cueTimes: [],
+            frameLevels: null,
+            duration: 0,
+            cancelPreview: null,
+            resolve
+        };
+
+        setupAuthoringEvents();
+        console.log('Authoring mode started for', exercise.title);
+    });
+}
+
+/**
+ * Check whether a word ends a sentence
+ * @param {string} word - The word, with its punctuation
+ * @param {string|undefined} nextWord - The following word on the same line
+ * @returns {boolean} - True if the sentence ends after the word
+ */
+function endsSentence(word, nextWord) {
+    const core = word.replace(CLOSING_MARKS, '');
+    if (!/[.!?…]$/.test(core)) return false;
+    if (!nextWord) return true;
+
+    // Sentences start with a capital letter, a digit or a quote
+    if (/^\p{Ll}/u.test(nextWord.replace(OPENING_MARKS, ''))) return false;
+
+    if (core.endsWith('.') && !core.endsWith('...')) {
+        const stem = core.replace(OPENING_MARKS, '').slice(0, -1);
+        if (stem.length === 1 || stem.includes('.')) return false;
+        if (/^\d{1,2}$/.test(stem)) return false;
+        if (ABBREVIATIONS.includes(stem.toLowerCase())) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Create the authoring screen in place of the player
+ * @param {Object} exercise - The exercise being authored
+ * @returns {HTMLElement} - The authoring container
+ */
+function createAuthoringContainer(exercise) {
+    const container = document.createElement('div');
+    container.id = config.authoringContainerId;
+    container.className = 'authoring-container';
+    container.innerHTML = `
+        <h1>German Dictation Tool</h1>
+        <h2 class="exercise-picker-title">New exercise</h2>
+        <section class="authoring-step authoring-transcript">
+            <h3>1. Transcript</h3>
+            <label class="authoring-label">Title <input type="text" class="authoring-title-input"></label>
+            <textarea class="authoring-text" rows="8" placeholder="Paste the full transcript of the recording…"></textarea>
+            <button class="result-btn authoring-split-btn">Split into sentences</button>
+        </section>
+        <section class="authoring-step authoring-tapping" style="display: none;">
+            <h3>2. Timing</h3>
+            <p class="authoring-hint">Press "Play from start", then press Space when the first sentence starts and again at the end of every sentence. Backspace takes back the last press.</p>
+            <audio class="authoring-audio-element" controls preload="auto"></audio>
+            <div class="authoring-actions">
+                <button class="result-btn authoring-play-btn">Play from start</button>
+                <button class="result-btn authoring-mark-btn">Mark (Space)</button>
+                <button class="result-btn authoring-undo-btn">Undo (Backspace)</button>
+            </div>
+            <ol class="authoring-sentences"></ol>
+            <div class="authoring-detect">
+                <p class="authoring-hint">Or let the pauses in the recording suggest the times:</p>
+                <label class="authoring-setting">Silence: quieter than <input type="number" class="authoring-threshold-input" min="10" max="80" step="1"> dB below the loudest part</label>
+                <label class="authoring-setting">Pauses of at least <input type="number" class="authoring-min-silence-input" min="0.05" step="0.05"> s</label>
+                <label class="authoring-setting">Segments of at least <input type="number" class="authoring-min-segment-input" min="0" step="0.1"> s</label>
+                <div class="authoring-actions">
+                    <button class="result-btn authoring-detect-btn">Suggest times from pauses</button>
+                    <span class="authoring-detect-status"></span>
+                </div>
+            </div>
+        </section>
+        <section class="authoring-step authoring-review" style="display: none;">
+            <h3>3. Fine-tuning</h3>
+            <table class="authoring-table">
+                <thead>
+                    <tr><th>#</th><th>Sentence</th><th>Start (s)</th><th>End (s)</th><th></th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <div class="error-message authoring-error" role="alert" style="display: none;"></div>
+            <div class="authoring-actions">
+                <button class="result-btn authoring-download-btn">Download VTT</button>
+                <button class="result-btn authoring-try-btn">Try it out</button>
+            </div>
+        </section>
+    `;
+
+    container.querySelector('.authoring-title-input').value = exercise.title;
+    container.querySelector('.authoring-audio-element').src = exercise.audio;
+    container.querySelector('.authoring-threshold-input').value = config.silenceThreshold;
+    container.querySelector('.authoring-min-silence-input').value = config.minSilenceDuration;
+    container.querySelector('.authoring-min-segment-input').value = config.minSegmentDuration;
+
+    const playerContainer = document.getElementById(config.playerContainerId);
+    playerContainer.parentNode.insertBefore(container, playerContainer);
+    return container;
+}
+
+/**
+ * Wire up the buttons, inputs and keys of the authoring screen
+ */
+function setupAuthoringEvents() {
+    const { container, audio } = authoring;
+
+    container.querySelector('.authoring-split-btn').addEventListener('click', () => {
+        authoring.sentences = splitSentences(container.querySelector('.authoring-text').value);
+        authoring.taps = [];
+        if (authoring.sentences.length === 0) return;
+
+        container.querySelector('.authoring-tapping').style.display = 'block';
+        container.querySelector('.authoring-review').style.display = 'none';
+        renderSentences();
+    });
+
+    container.querySelector('.authoring-play-btn').addEventListener('click', () => {
+        stopPreview();
+        authoring.taps = [];
+        container.querySelector('.authoring-review').style.display = 'none';
+        renderSentences();
+
+        audio.currentTime = 0;
+        audio.play().catch(error => console.error('Failed to play recording:', error));
+    });
+
+    container.querySelector('.authoring-mark-btn').addEventListener('click', markBoundary);
+    container.querySelector('.authoring-undo-btn').addEventListener('click', undoBoundary);
+    container.querySelector('.authoring-detect-btn').addEventListener('click', suggestTimesFromPauses);
+
+    document.addEventListener('keydown', handleAuthoringKey);
+
+    // Fine-tuning: edited times and the play buttons of the table rows
+    const tableBody = container.querySelector('.authoring-table tbody');
+    tableBody.addEventListener('change', (e) => {
+        const input = e.target.closest('.authoring-time-input');
+        if (!input) return;
+
+        const cue = authoring.cueTimes[Number(input.dataset.index)];
+        cue[input.dataset.field] = Math.round(parseFloat(input.value) * 1000) / 1000;
+        showErrors(getCueTimeErrors(authoring.cueTimes));
+    });
+    tableBody.addEventListener('click', (e) => {
+        const playBtn = e.target.closest('.authoring-preview-btn');
+        if (playBtn) {
+            previewCue(Number(playBtn.dataset.index));
+        }
+    });
+
+    container.querySelector('.authoring-download-btn').addEventListener('click', () => {
+        const vttContent = getVTTContent();
+        if (!vttContent) return;
+
+        const title = container.querySelector('.authoring-title-input').value.trim() || authoring.exercise.title;
+        downloadFile(vttContent, `${title}.vtt`, 'text/vtt;charset=utf-8');
+    });
+
+    container.querySelector('.authoring-try-btn').addEventListener('click', finishAuthoring);
+}
+
+/**
+ * Handle Space (mark a boundary) and Backspace (undo) while timing the sentences
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleAuthoringKey(event) {
+    const tappingSection = authoring.container.querySelector('.authoring-tapping');
+    if (tappingSection.style.display === 'none' || authoring.container.querySelector('.authoring-review').style.display !== 'none') {
+        return;
+    }
+
+    // Typing in the transcript or the title is left alone
+    if (['INPUT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+    if (event.key === ' ') {
+        event.preventDefault();
+        if (!event.repeat) markBoundary();
+    } else if (event.key === 'Backspace') {
+        event.preventDefault();
+        undoBoundary();
+    }
+}
+
+/**
+ * Record a sentence boundary at the playback position
+ */
+function markBoundary() {
+    const { audio, taps, sentences } = authoring;
+    if (audio.paused || taps.length > sentences.length) return;
+
+    taps.push(Math.round(audio.currentTime * 1000) / 1000);
+    renderSentences();
+
+    // The last sentence has ended
+    if (taps.length === sentences.length + 1) {
+        audio.pause();
+        showReview(getCueTimes(sentences, taps));
+    }
+}
+
+/**
+ * Take back the last recorded boundary
+ */
+function undoBoundary() {
+    authoring.taps.pop();
+    authoring.container.querySelector('.authoring-review').style.display = 'none';
+    renderSentences();
+}
+
+/**
+ * Show the sentences with the times recorded so far, highlighting the one being timed
+ */
+function renderSentences() {
+    const list = authoring.container.querySelector('.authoring-sentences');
+    const cueTimes = getCueTimes(authoring.sentences, authoring.taps);
+    const currentIndex = authoring.taps.length - 1;
+
+    list.innerHTML = '';
+    cueTimes.forEach((cue, index) => {
+        const item = document.createElement('li');
+        item.className = index === currentIndex ? 'authoring-sentence current' : 'authoring-sentence';
+
+        const times = document.createElement('span');
+        times.className = 'authoring-sentence-times';
+        times.textContent = cue.startTime === null
+            ? ''
+            : `${cue.startTime.toFixed(2)} – ${cue.endTime === null ? '…' : cue.endTime.toFixed(2)}`;
+
+        item.appendChild(document.createTextNode(cue.text));
+        item.appendChild(times);
+        list.appendChild(item);
+    });
+
+    const currentItem = list.children[currentIndex];
+    if (currentItem) {
+        currentItem.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Suggest the sentence times from the pauses in the recording
+ * The recording is decoded once; changed settings only repeat the pause detection
+ * @returns {Promise<void>} - Resolves once the suggested times are shown
+ */
+async function suggestTimesFromPauses() {
+    const { container } = authoring;
+    const statusElement = container.querySelector('.authoring-detect-status');
+    statusElement.textContent = 'Analyzing the recording…';
+
+    try {
+        if (!authoring.frameLevels) {
+            const audioBuffer = await decodeAudioFile(authoring.exercise.audio);
+            authoring.frameLevels = computeFrameLevels(getChannelData(audioBuffer), audioBuffer.sampleRate, config.silenceFrameDuration);
+            authoring.duration = audioBuffer.duration;
+        }
+
+        const pauses = detectPauses(authoring.frameLevels, config.silenceFrameDuration, {
+            threshold: readSetting('.authoring-threshold-input', config.silenceThreshold),
+            minSilenceDuration: readSetting('.authoring-min-silence-input', config.minSilenceDuration),
+            minSegmentDuration: readSetting('.authoring-min-segment-input', config.minSegmentDuration)
+        });
+
+        stopPreview();
+        authoring.taps = [];
+        renderSentences();
+        showReview(alignSentencesToPauses(authoring.sentences, pauses, authoring.duration));
+
+        statusElement.textContent = `${pauses.length} pauses found. Check the suggested times below.`;
+    } catch (error) {
+        console.error('Failed to detect pauses:', error);
+        statusElement.textContent = `Pause detection failed: ${error.message}`;
+    }
+}
+
+/**
+ * Read a number from one of the pause detection settings
+ * @param {string} selector - Selector of the input
+ * @param {number} defaultValue - Value used if the input isn't a valid number
+ * @returns {number} - The setting
+ */
+function readSetting(selector, defaultValue) {
+    const value = parseFloat(authoring.container.querySelector(selector).value);
+    return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * Show the table for fine-tuning the sentence times
+ * @param {Array} cueTimes - [{ text, startTime, endTime }] from the taps or the pause detection
+ */
+function showReview(cueTimes) {
+    const { container } = authoring;
+    authoring.cueTimes = cueTimes;
+
+    const tableBody = container.querySelector('.authoring-table tbody');
+    tableBody.innerHTML = '';
+
+    authoring.cueTimes.forEach((cue, index) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${index + 1}</td>
+            <td class="authoring-sentence-text"></td>
+            <td><input type="number" class="authoring-time-input" min="0" step="0.01" data-index="${index}" data-field="startTime" value="${cue.startTime.toFixed(3)}"></td>
+            <td><input type="number" class="authoring-time-input" min="0" step="0.01" data-index="${index}" data-field="endTime" value="${cue.endTime.toFixed(3)}"></td>
+            <td><button class="segment-btn authoring-preview-btn" data-index="${index}" title="Play this sentence">▶</button></td>
+        `;
+        row.querySelector('.authoring-sentence-text').textContent = cue.text;
+        tableBody.appendChild(row);
+    });
+
+    container.querySelector('.authoring-review').style.display = 'block';
+    showErrors(getCueTimeErrors(authoring.cueTimes));
+}
+
+/**
+ * Play one sentence with its current times
+ * @param {number} index - Index of the sentence
+ */
+function previewCue(index) {
+    const { audio } = authoring;
+    const cue = authoring.cueTimes[index];
+    if (!cue || !(cue.endTime > cue.startTime)) return;
+
+    stopPreview();
+    audio.currentTime = cue.startTime;
+    authoring.cancelPreview = scheduleSegmentEnd(audio, {
+        startTime: cue.startTime,
+        endTime: cue.endTime,
+        fadeInEnd: cue.startTime,
+        fadeOutStart: cue.endTime
+    }, () => {
+        authoring.cancelPreview = null;
+        audio.pause();
+    });
+    audio.play().catch(error => console.error('Failed to play sentence:', error));
+}
+
+/**
+ * Stop the sentence being previewed (if any)
+ */
+function stopPreview() {
+    if (authoring.cancelPreview) {
+        authoring.cancelPreview();
+        authoring.cancelPreview = null;
+    }
+    authoring.audio.pause();
+}
+
+/**
+ * Show the problems with the cue times (or hide the error box if there are none)
+ * @param {Array<string>} errors - Problems found
+ */
+function showErrors(errors) {
+    const errorBox = authoring.container.querySelector('.authoring-error');
+    errorBox.textContent = errors.join(' ');
+    errorBox.style.display = errors.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Build the VTT file of the timed sentences
+ * @returns {string|null} - VTT content, or null if the times have problems (shown to the author)
+ */
+function getVTTContent() {
+    const errors = getCueTimeErrors(authoring.cueTimes);
+    showErrors(errors);
+    if (errors.length > 0) return null;
+
+    // Plain text has to be escaped to be read back as cue text
+    return generateVTTContent(authoring.cueTimes.map(cue => ({ ...cue, rawText: escapeCueText(cue.text) })));
+}
+
+/**
+ * Leave the authoring mode and open the new exercise in the dictation flow
+ */
+function finishAuthoring() {
+    const vttContent = getVTTContent();
+    if (!vttContent) return;
+
+    const { container, exercise, resolve } = authoring;
+    const title = container.querySelector('.authoring-title-input').value.trim() || exercise.title;
+
+    stopPreview();
+    document.removeEventListener('keydown', handleAuthoringKey);
+    container.remove();
+    authoring = null;
+
+    resolve({
+        ...exercise,
+        title,
+        cues: parseVTTContent(vttContent),
+        authoring: false
+    });
+}
@@ -0,0 +1,240 @@
+/**
+ * Module for typing special characters on keyboards without them
+ * The character bar above the input field inserts the special characters of the exercise
+ * language at the caret; the optional compose mode turns short sequences ("a → ä, 'e → é)
+ * into those characters while typing.
+ */
+import { config } from './config.js';
+import { getPreference, setPreference } from '../utils/preferences.js';
+import { getLanguageProfile } from './textComparison/languageProfiles.js';
+
+// Language of the running exercise
+let barLanguage = 'de';
+
+// Input field value after the last compose, to find what was typed since
+let composeBaseline = '';
+
+/**
+ * Set up the character bar and the compose mode for the language of an exercise
+ * The bar stays hidden for languages without special characters
+ * @param {string} language - Language of the exercise (e.g. 'de', 'fr')
+ */
+export function initCharacterBar(language) {
+    barLanguage = language || 'de';
+
+    const bar = document.getElementById(config.characterBarId);
+    const inputField = document.getElementById(config.inputFieldId);
+    if (!bar || !inputField) return;
+
+    const characters = getLanguageProfile(barLanguage).specialCharacters;
+    const sequences = getComposeSequences(barLanguage);
+    if (characters.length === 0 && sequences.length === 0) {
+        bar.style.display = 'none';
+        return;
+    }
+
+    bar.innerHTML = '';
+    characters.forEach(character => {
+        const button = document.createElement('button');
+        button.className = 'character-btn';
+        button.dataset.character = character;
+        button.textContent = character;
+        button.title = getCapital(character) !== character
+            ? `Insert ${character} (Shift: ${getCapital(character)})`
+            : `Insert ${character}`;
+        bar.appendChild(button);
+    });
+
+    if (sequences.length > 0) {
+        const composeBtn = document.createElement('button');
+        composeBtn.className = 'compose-btn';
+        composeBtn.textContent = 'Compose';
+        composeBtn.title = `Turn ${sequences.slice(0, 3).map(({ sequence, character }) => `${sequence} into ${character}`).join(', ')} … while typing`;
+        bar.appendChild(composeBtn);
+        updateComposeButton(composeBtn);
+
+        composeBtn.addEventListener('click', () => {
+            setPreference('composeMode', !isComposeModeEnabled());
+            updateComposeButton(composeBtn);
+            inputField.focus();
+        });
+    }
+
+    // Keep the focus (and the selection) in the input field while clicking the bar
+    bar.addEventListener('mousedown', (e) => {
+        if (e.target.closest('button')) {
+            e.preventDefault();
+        }
+    });
+
+    bar.addEventListener('click', (e) => {
+        const button = e.target.closest('.character-btn');
+        if (!button) return;
+
+        const character = e.shiftKey ? getCapital(button.dataset.character) : button.dataset.character;
+        insertAtCaret(inputField, character);
+    });
+
+    bar.style.display = 'flex';
+}
+
+/**
+ * Check whether the compose mode is turned on
+ * @returns {boolean} - True if compose sequences are turned into characters
+ */
+export function isComposeModeEnabled() {
+    return getPreference('composeMode', false) === true;
+}
+
+/**
+ * Set the text the next compose starts from (e.g. after restoring a segment's input)
+ * @param {string} value - Current value of the input field
+ */
+export function resetComposeBaseline(value) {
+    composeBaseline = value || '';
+}
+
+/**
+ * Turn the compose sequences typed since the last call into characters, in the input field
+ * The caret keeps its place relative to the text around it
+ * @param {HTMLTextAreaElement} inputField - The input field
+ * @param {string|null} referenceText - The expected text (word-end ss only becomes ß where
+ *   the reference has the word with ß), or null if it must not be used
+ */
+export function composeInput(inputField, referenceText) {
+    const value = inputField.value;
+    let changeStart = 0;
+    while (changeStart < value.length && changeStart < composeBaseline.length &&
+        value[changeStart] === composeBaseline[changeStart]) {
+        changeStart++;
+    }
+
+    const caret = inputField.selectionStart ?? value.length;
+    const result = applyComposeSequences(value, caret, changeStart, barLanguage, referenceText);
+
+    if (result.text !== value) {
+        inputField.value = result.text;
+        inputField.setSelectionRange(result.caret, result.caret);
+    }
+    composeBaseline = result.text;
+}
+
+/**
+ * Replace the compose sequences that were (partly) typed at or after a position
+ * @param {string} text - The text
+ * @param {number} caret - Caret position in the text
+ * @param {number} changeStart - Position of the first character typed since the last compose
+ * @param {string} language - Language whose sequences are used
+ * @param {string|null} [referenceText=null] - The expected text, for ss at the end of a word
+ * @returns {Object} - { text, caret } with the sequences replaced and the caret moved along
+ */
+export function applyComposeSequences(text, caret, changeStart, language, referenceText = null) {
+    const sequences = getComposeSequences(language);
+    const referenceWords = referenceText && getLanguageProfile(language).composeWordEndEszett
+        ? referenceText.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean)
+        : [];
+
+    let output = '';
+    let newCaret = caret;
+    let i = 0;
+    while (i < text.length) {
+        const match = sequences.find(({ sequence }) =>
+            text.startsWith(sequence, i) && i + sequence.length > changeStart);
+
+        if (match) {
+            output += match.character;
+            if (i + match.sequence.length <= caret) {
+                newCaret -= match.sequence.length - match.character.length;
+            }
+            i += match.sequence.length;
+        } else if (isWordEndEszett(text, i, changeStart, referenceWords)) {
+            output += 'ß';
+            if (i + 2 <= caret) {
+                newCaret -= 1;
+            }
+            i += 2;
+        } else {
+            output += text[i];
+            i++;
+        }
+    }
+
+    return { text: output, caret: newCaret };
+}
+
+/**
+ * Check whether an "ss" just closed by a space or punctuation stands for ß in the reference
+ * @param {string} text - The text
+ * @param {number} index - Position of the first s
+ * @param {number} changeStart - Position of the first character typed since the last compose
+ * @param {Array<string>} referenceWords - Lower-case words of the reference
+ * @returns {boolean} - True if the ss should become ß
+ */
+function isWordEndEszett(text, index, changeStart, referenceWords) {
+    if (referenceWords.length === 0 || text.substr(index, 2) !== 'ss') return false;
+
+    // The word has to be finished by a character typed just now
+    const after = text[index + 2];
+    if (after === undefined || /\p{L}/u.test(after) || index + 2 < changeStart) return false;
+
+    let wordStart = index;
+    while (wordStart > 0 && /\p{L}/u.test(text[wordStart - 1])) {
+        wordStart--;
+    }
+    if (wordStart === index) return false;
+
+    const word = `${text.slice(wordStart, index)}ß`.toLowerCase();
+    return referenceWords.includes(word);
+}
+
+/**
+ * Get the compose sequences of a language profile, with capital variants, longest first
+ * @param {string} language - Language code
+ * @returns {Array} - [{ sequence, character }]
+ */
+function getComposeSequences(language) {
+    const sequences = [];
+    Object.entries(getLanguageProfile(language).composeSequences).forEach(([sequence, character]) => {
+        sequences.push({ sequence, character });
+
+        const capitalSequence = sequence.replace(/\p{Ll}/u, letter => letter.toUpperCase());
+        const capitalCharacter = getCapital(character);
+        if (capitalSequence !== sequence && capitalCharacter !== character) {
+            sequences.push({ sequence: capitalSequence, character: capitalCharacter });
+        }
+    });
+    return sequences.sort((a, b) => b.sequence.length - a.sequence.length);
+}
+
+/**
+ * Get the capital letter of a character (ß and punctuation stay as they are)
+ * @param {string} character - The character
+ * @returns {string} - The capital letter, or the character if it has no single capital
+ */
+function getCapital(character) {
+    const capital = character.toUpperCase();
+    return capital.length === 1 ? capital : character;
+}
+
+/**
+ * Insert text at the caret (replacing the selection) and process it like typed input
+ * @param {HTMLTextAreaElement} inputField - The input field
+ * @param {string} text - Text to insert
+ */
+function insertAtCaret(inputField, text) {
+    const start = inputField.selectionStart ?? inputField.value.length;
+    const end = inputField.selectionEnd ?? start;
+    inputField.setRangeText(text, start, end, 'end');
+    inputField.focus();
+    inputField.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Show whether the compose mode is on
+ * @param {HTMLButtonElement} composeBtn - The compose button
+ */
+function updateComposeButton(composeBtn) {
+    const enabled = isComposeModeEnabled();
+    composeBtn.classList.toggle('active', enabled);
+    composeBtn.setAttribute('aria-pressed', String(enabled));
+}
@@ -1,22 +1,26 @@
 // Configuration options and constants
-export const defaultAudio = 'assets/audio/chap01.mp3';
-export const defaultVTT = 'assets/vtt/chap01.vtt';
+export const exerciseCatalogUrl = 'assets/exercises.json';
+
+// Words whose ae/oe/ue spelling is never turned into an umlaut (e.g. "Feuer", "aktuell")
+export const transformationExceptionsUrl = 'assets/dictionaries/transformation-exceptions.json';
 
 // Text Comparison configurations
 export const textComparisonConfig = {
     minimumMatchThreshold: 0.3, // Minimum score to consider a match
     caseSensitive: false,       // Whether to consider case in matching
     strictPunctuation: false,   // Whether punctuation affects matching
-    language: 'de',             // Default language (German)
+    language: 'de',             // Default language profile (German); exercises select theirs with "language"
     showMisspellingDetails: true, // Whether to show detailed feedback for misspellings
     
     // New features
     useKeyboardProximity: true, // Whether to use keyboard proximity for similarity
     useLengthBasedThresholds: true, // Whether to adjust thresholds based on word length
     useGermanTypoPatterns: true, // Whether to detect common German typo patterns
+    useEquivalences: true,      // Whether "3"/"drei", "8:30"/"acht Uhr dreißig", "z. B."/"zum Beispiel" count as the same
+    allowDigits: true,          // Whether digits count for written numbers (exercises can set "allowDigits")
     
     // Keyboard proximity settings
-    keyboardLayout: 'auto',     // Keyboard layout: 'qwertz', 'qwerty', 'azerty' or 'auto'
+    keyboardLayout: 'auto',     // Keyboard layout: 'qwertz', 'qwerty', 'azerty' or 'auto' (the exercise language's)
     adjacentKeyCost: 0.8,       // Cost for adjacent key substitutions (lower = more similar)
     
     // Length-based threshold adjustments
@@ -33,6 +37,23 @@ export const config = {
     progressBarId: 'progress-bar',
     progressId: 'progress',
     timeDisplayId: 'time-display',
+    exerciseTitleId: 'exercise-title',
+    playbackSpeedId: 'playback-speed',
+
+    // Playback speeds offered in the speed control (1 = native speed)
+    playbackRates: [0.5, 0.75, 0.9, 1, 1.25, 1.5],
+    
+    // Repeat mode: how often each segment is played, with a pause between the plays
+    repeatCountId: 'repeat-count',
+    repeatCounts: [1, 2, 3, 4],    // Choices offered in the UI (1 = repeat mode off)
+    repeatPause: null,             // Fixed pause in ms, or null to scale the pause with the segment length
+    repeatPauseFactor: 1.5,        // Pause = segment duration × factor ...
+    repeatPauseMin: 1500,          // ... but at least this many ms
+    
+    // Exercise catalog and picker configurations
+    exercisePickerId: 'exercise-picker',
+    exerciseUrlParam: 'exercise', // URL parameter that opens an exercise directly (e.g. ?exercise=chap01)
+    authoringContainerId: 'authoring-container', // Timing a new recording (authoring mode)
     
     // Segment configurations for VTT integration
     segmentContainerId: 'segment-container',
@@ -40,6 +61,14 @@ export const config = {
     nextSegmentBtnId: 'next-segment-btn',
     replaySegmentBtnId: 'replay-segment-btn',
     segmentIndicatorId: 'segment-indicator',
+    segmentSpeakerId: 'segment-speaker', // Shows the speaker of the current cue (from <v> voice tags)
+    
+    // Merging and splitting segments during practice
+    segmentEditControlsId: 'segment-edit-controls',
+    mergeSegmentBtnId: 'merge-segment-btn',
+    splitSegmentBtnId: 'split-segment-btn',
+    saveVttBtnId: 'save-vtt-btn',
+    splitChooserId: 'split-chooser',
     
     // Input field configurations
     inputContainerId: 'input-container',
@@ -51,14 +80,23 @@ export const config = {
     resultsContainerId: 'results-container',
     retryBtnId: 'retry-btn',
     newExerciseBtnId: 'new-exercise-btn',
+    historyContainerId: 'history-container',
+    reviewContainerId: 'review-container',
     
     // Text comparison options
     minMatchPercentage: 90, // Minimum percentage for a match to be considered correct
     autoAdvanceDelay: 1000, // Delay in ms before auto-advancing to next segment when correct
     
-    // Default tolerance for segment boundaries (in seconds)
+    // Tolerance for segment ends detected by the timeupdate fallback (in seconds);
+    // while the audio plays, segment ends are normally caught on the next animation frame
     segmentTimeTolerance: 0.05, // Reduced tolerance to prevent premature ending
     
+    // Audio played before and after each cue (in seconds), so the first and last syllables
+    // aren't clipped; can be overridden per cue with the VTT cue settings lead:, tail: and fade:
+    segmentLeadIn: 0.15,
+    segmentTail: 0.1,
+    segmentFade: true, // Fade the padding in and out so neighboring words aren't heard clearly
+    
     // Delay before automatically focusing the input field (ms)
     autoFocusDelay: 100,
     
@@ -68,5 +106,44 @@ export const config = {
     // New timing configurations
     segmentAdvanceDelay: 200,      // ms to wait before playing next segment
     segmentAdvanceCooldown: 800,   // ms cooldown between segment advances
-    keyPressCooldown: 500          // ms cooldown between Enter key processing
+    keyPressCooldown: 500,         // ms cooldown between Enter key processing
+    
+    // Exam mode: enabled per exercise in the manifest ("exam") or with ?exam=1
+    examStatusId: 'exam-status',
+    examUrlParam: 'exam',
+    examDefaults: {
+        hideFeedback: true,   // No correct/misspelled coloring while typing
+        replaysPerSegment: 1, // Replays allowed per segment (URL: &replays=2)
+        allowPrevious: false, // Whether the learner may go back (URL: &previous=1)
+        playsPerSegment: 1    // Automatic plays per segment, replacing the repeat mode choice (URL: &plays=2)
+    },
+    
+    // Typing help: rule sets for ä, ö, ü and ß (see textComparison/transformationRules.js)
+    transformationBtnId: 'transformation-btn',
+    transformationSettingsId: 'transformation-settings',
+    transformationNoticeId: 'transformation-notice',
+    
+    // Character bar and compose mode for the special characters of the exercise language
+    characterBarId: 'character-bar',
+    
+    // Waveform view with editable segment boundaries
+    waveformBtnId: 'waveform-btn',
+    waveformContainerId: 'waveform-container',
+    waveformPixelsPerSecond: 100, // Horizontal zoom (reduced for long recordings)
+    waveformHeight: 80,           // px
+    minCueDuration: 0.2,          // Shortest cue (in seconds) that dragging an edge can produce
+    
+    // Pause detection suggesting cue times in the authoring mode (defaults of its settings)
+    silenceThreshold: 35,         // Silence = quieter than this many dB below the loudest part
+    minSilenceDuration: 0.3,      // Shortest pause (in seconds) that can end a segment
+    minSegmentDuration: 1,        // Shortest segment (in seconds); shorter sounds join the next segment
+    silenceFrameDuration: 0.01,   // Length of the analyzed frames (in seconds)
+    
+    // Keyboard shortcuts (default keys are defined in keymap.js)
+    shortcutsBtnId: 'shortcuts-btn',
+    shortcutsOverlayId: 'shortcuts-overlay',
+    
+    // Session persistence (resume after a page reload)
+    sessionStoragePrefix: 'dictationSession:', // localStorage key prefix, followed by the exercise id
+    sessionSaveInterval: 1000      // ms between automatic session saves
 };
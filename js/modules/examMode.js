@@ -0,0 +1,217 @@
+/**
+ * Module for the exam mode
+ * Turns off the live feedback while typing, limits the replays per segment, can block
+ * going back to earlier segments and shows the results only when the learner presses Finish.
+ * Enabled per exercise in the manifest ("exam": true, or an object with the limits)
+ * or with URL parameters, e.g. ?exercise=chap01&exam=1&replays=2&previous=0
+ */
+import { config } from './config.js';
+import stateManager from './utils/stateManager.js';
+import { setPlaybackRestrictions, getCurrentSegment } from './segmentManager.js';
+import { getReplayCount } from './userDataStore.js';
+
+// URL parameters that set the exam limits (for a manifest exam only stricter ones)
+const EXAM_URL_PARAMS = {
+    replaysPerSegment: 'replays',
+    allowPrevious: 'previous',
+    playsPerSegment: 'plays',
+    hideFeedback: 'hideFeedback'
+};
+
+// Settings of the running exam (null outside the exam mode)
+let examSettings = null;
+
+/**
+ * Work out whether an exercise runs as an exam, and with which limits
+ * The manifest takes precedence over config.examDefaults. URL parameters can start an exam and set
+ * its limits, but for an exam set in the manifest they can only make the limits stricter
+ * @param {Object} exercise - The exercise (its optional `exam` field comes from the manifest)
+ * @param {string} [search] - URL query string (defaults to the current page's)
+ * @returns {Object|null} - { hideFeedback, replaysPerSegment, allowPrevious, playsPerSegment }, or null if not an exam
+ */
+export function getExamSettings(exercise, search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const manifestExam = exercise ? exercise.exam : null;
+
+    // A student can't turn off an exam the manifest sets
+    const urlExam = params.get(config.examUrlParam);
+    const enabled = !!manifestExam || (urlExam !== null && parseFlag(urlExam));
+    if (!enabled) return null;
+
+    const settings = { ...config.examDefaults };
+
+    if (manifestExam && typeof manifestExam === 'object') {
+        applySettings(settings, manifestExam);
+    }
+
+    const urlSettings = {};
+    Object.entries(EXAM_URL_PARAMS).forEach(([key, param]) => {
+        if (params.has(param)) urlSettings[key] = params.get(param);
+    });
+    if (manifestExam) {
+        applyStricterSettings(settings, urlSettings);
+    } else {
+        applySettings(settings, urlSettings);
+    }
+
+    return settings;
+}
+
+/**
+ * Start the exam mode for the exercise that was just set up
+ * Must run after setupUI, since it overrides the repeat mode choice
+ * @param {Object} settings - Settings from getExamSettings
+ */
+export function startExamMode(settings) {
+    examSettings = settings;
+
+    stateManager.updateState('ui', { hideFeedback: settings.hideFeedback });
+    stateManager.updateState('audio', { repeatCount: settings.playsPerSegment });
+    setPlaybackRestrictions({
+        replayLimit: settings.replaysPerSegment,
+        allowPrevious: settings.allowPrevious
+    });
+
+    // The learner can't change how often segments are played
+    const repeatSelect = document.getElementById(config.repeatCountId);
+    if (repeatSelect) {
+        if (!repeatSelect.querySelector(`option[value="${settings.playsPerSegment}"]`)) {
+            repeatSelect.insertAdjacentHTML('beforeend', `<option value="${settings.playsPerSegment}">${settings.playsPerSegment}×</option>`);
+        }
+        repeatSelect.value = String(settings.playsPerSegment);
+        repeatSelect.disabled = true;
+    }
+
+    if (!settings.allowPrevious) {
+        const prevBtn = document.getElementById(config.prevSegmentBtnId);
+        if (prevBtn) prevBtn.style.display = 'none';
+    }
+
+    // The waveform shows where the segments are and lets them be played freely
+    const waveformBtn = document.getElementById(config.waveformBtnId);
+    if (waveformBtn) waveformBtn.style.display = 'none';
+
+    // Splitting shows the text of the segment
+    const segmentEditControls = document.getElementById(config.segmentEditControlsId);
+    if (segmentEditControls) segmentEditControls.style.display = 'none';
+
+    createExamStatus();
+
+    ['segmentStarted', 'segmentReplayed'].forEach(eventName => {
+        document.addEventListener(eventName, () => updateExamStatus());
+    });
+    document.addEventListener('replayLimitReached', () => {
+        updateExamStatus('No replays left for this segment.');
+    });
+
+    updateExamStatus();
+    console.log('Exam mode started', settings);
+}
+
+/**
+ * Check if the exam mode is running
+ * @returns {boolean} - True in exam mode
+ */
+export function isExamMode() {
+    return examSettings !== null;
+}
+
+/**
+ * Tell the learner that the results are shown once they hand in with Finish
+ */
+export function showExamFinishHint() {
+    updateExamStatus('That was the last segment. Check your answers, then press ✓ Finish to hand in.');
+}
+
+/**
+ * Create the exam status line below the segment controls
+ */
+function createExamStatus() {
+    if (document.getElementById(config.examStatusId)) return;
+
+    const examStatus = document.createElement('div');
+    examStatus.id = config.examStatusId;
+    examStatus.className = 'exam-status';
+
+    const segmentContainer = document.getElementById(config.segmentContainerId);
+    if (segmentContainer) {
+        segmentContainer.parentNode.insertBefore(examStatus, segmentContainer.nextSibling);
+    }
+}
+
+/**
+ * Show the replays left for the current segment, plus an optional message
+ * @param {string} [message] - Message to show after the replay count
+ */
+function updateExamStatus(message) {
+    const examStatus = document.getElementById(config.examStatusId);
+    const segment = getCurrentSegment();
+    if (!examStatus || !segment || !examSettings) return;
+
+    const replaysLeft = Math.max(0, examSettings.replaysPerSegment - getReplayCount(segment.index));
+    examStatus.innerHTML = `
+        <span class="exam-badge">Exam</span>
+        ${replaysLeft} ${replaysLeft === 1 ? 'replay' : 'replays'} left for this segment
+        ${message ? `<span class="exam-message">${message}</span>` : ''}
+    `;
+
+    const replayBtn = document.getElementById(config.replaySegmentBtnId);
+    if (replayBtn) {
+        replayBtn.disabled = replaysLeft === 0;
+    }
+}
+
+/**
+ * Apply URL settings to a manifest exam, only where they make it stricter
+ * (fewer replays and plays, no going back, hidden feedback)
+ * @param {Object} settings - Settings of the manifest exam (changed in place)
+ * @param {Object} values - Settings read from the URL
+ */
+function applyStricterSettings(settings, values) {
+    const requested = { ...settings };
+    applySettings(requested, values);
+
+    settings.replaysPerSegment = Math.min(settings.replaysPerSegment, requested.replaysPerSegment);
+    settings.playsPerSegment = Math.min(settings.playsPerSegment, requested.playsPerSegment);
+    settings.allowPrevious = settings.allowPrevious && requested.allowPrevious;
+    settings.hideFeedback = settings.hideFeedback || requested.hideFeedback;
+}
+
+/**
+ * Copy valid exam settings into a settings object
+ * Values may be strings (URL parameters) or numbers and booleans (manifest); invalid ones are ignored
+ * @param {Object} settings - Settings to update
+ * @param {Object} values - Values to apply
+ */
+function applySettings(settings, values) {
+    const replays = parseCount(values.replaysPerSegment, 0);
+    if (replays !== null) settings.replaysPerSegment = replays;
+
+    const plays = parseCount(values.playsPerSegment, 1);
+    if (plays !== null) settings.playsPerSegment = plays;
+
+    if (values.allowPrevious !== undefined) settings.allowPrevious = parseFlag(values.allowPrevious);
+    if (values.hideFeedback !== undefined) settings.hideFeedback = parseFlag(values.hideFeedback);
+}
+
+/**
+ * Read a whole number setting
+ * @param {*} value - Setting value
+ * @param {number} min - Smallest allowed value
+ * @returns {number|null} - The number, or null if missing or invalid
+ */
+function parseCount(value, min) {
+    if (value === undefined || value === null || value === '') return null;
+    const count = Number(value);
+    return Number.isInteger(count) && count >= min ? count : null;
+}
+
+/**
+ * Read an on/off setting
+ * @param {*} value - true/false, or a URL value such as "1", "0", "true", "false", "on" or "off"
+ * @returns {boolean} - The flag
+ */
+function parseFlag(value) {
+    if (typeof value === 'boolean') return value;
+    return !['0', 'false', 'off', 'no'].includes(String(value).trim().toLowerCase());
+}
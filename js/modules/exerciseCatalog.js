@@ -0,0 +1,404 @@
+/**
+ * Module for loading the exercise catalog and showing the exercise picker
+ */
+import { config } from './config.js';
+import { loadLocalExercise, createAuthoringExercise, isAudioFile, isTranscriptFile } from './localExerciseLoader.js';
+import { loadResultsFile } from './reviewMode.js';
+
+// Fields every catalog entry must provide (plus a transcript, see normalizeExercise)
+const REQUIRED_EXERCISE_FIELDS = ['id', 'title', 'audio'];
+
+/**
+ * Load the exercise catalog (JSON manifest) and validate its entries
+ * @param {string} catalogUrl - URL of the exercise manifest
+ * @returns {Promise<Array>} - Promise resolving to an array of exercise objects
+ */
+export async function loadExerciseCatalog(catalogUrl) {
+    try {
+        const response = await fetch(catalogUrl);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load exercise catalog: ${response.status} ${response.statusText}`);
+        }
+
+        const manifest = await response.json();
+        const entries = Array.isArray(manifest) ? manifest : manifest.exercises;
+
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error('Invalid exercise catalog: no exercises listed');
+        }
+
+        return entries.map((entry, index) => normalizeExercise(entry, index));
+    } catch (error) {
+        console.error('Error loading exercise catalog:', error);
+        throw error;
+    }
+}
+
+/**
+ * Validate a catalog entry and fill in optional fields
+ * An entry names its transcript with `vtt` or, for SRT, LRC and label files, `transcript`
+ * @param {Object} entry - Raw entry from the manifest
+ * @param {number} index - Position of the entry in the manifest (for error messages)
+ * @returns {Object} - Exercise object with id, title, level, language, audio and transcript
+ */
+export function normalizeExercise(entry, index) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`Invalid exercise catalog: entry ${index + 1} is not an object`);
+    }
+
+    const missingFields = REQUIRED_EXERCISE_FIELDS.filter(field => !entry[field]);
+    if (!entry.transcript && !entry.vtt) {
+        missingFields.push('transcript (or vtt)');
+    }
+    if (missingFields.length > 0) {
+        throw new Error(`Invalid exercise catalog: entry ${index + 1} is missing ${missingFields.join(', ')}`);
+    }
+
+    return {
+        ...entry,
+        id: String(entry.id),
+        transcript: entry.transcript || entry.vtt,
+        level: entry.level || '',
+        language: entry.language || 'de'
+    };
+}
+
+/**
+ * Find an exercise in the catalog by its id
+ * @param {Array} exercises - Array of exercise objects
+ * @param {string} exerciseId - The id to look for
+ * @returns {Object|null} - The matching exercise or null if not found
+ */
+export function findExercise(exercises, exerciseId) {
+    if (!exerciseId) return null;
+    return exercises.find(exercise => exercise.id === exerciseId) || null;
+}
+
+/**
+ * Get the exercise id requested through the URL (e.g. ?exercise=chap01)
+ * @returns {string|null} - The requested exercise id or null
+ */
+export function getRequestedExerciseId() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get(config.exerciseUrlParam);
+}
+
+/**
+ * Show the exercise picker and wait for the user to choose an exercise
+ * @param {Array} exercises - Array of exercise objects
+ * @returns {Promise<Object>} - Promise resolving to the chosen exercise
+ */
+export function showExercisePicker(exercises) {
+    const pickerContainer = getPickerContainer();
+
+    return new Promise(resolve => {
+        pickerContainer.innerHTML = `
+            <h1>German Dictation Tool</h1>
+            <h2 class="exercise-picker-title">Choose an exercise</h2>
+            <ul class="exercise-list"></ul>
+            <div class="local-exercise">
+                <h3 class="local-exercise-title">Use your own files</h3>
+                <div class="drop-zone">
+                    <p>Drop an audio file and a transcript (.vtt, .srt, .lrc or Audacity labels .txt) here, or
+                        <label class="file-pick-label">choose files<input type="file" class="local-file-input" multiple accept="audio/*,.vtt,text/vtt,.srt,.lrc,.txt,.tsv"></label>
+                    </p>
+                    <ul class="local-file-list"></ul>
+                </div>
+                <div class="error-message picker-error" role="alert" style="display: none;"></div>
+            </div>
+            <div class="review-results">
+                <h3 class="local-exercise-title">Review a student's results</h3>
+                <div class="drop-zone">
+                    <p>Drop a results .json file here (plus the audio file if the exercise is not listed above), or
+                        <label class="file-pick-label">choose files<input type="file" class="review-file-input" multiple accept=".json,application/json,audio/*"></label>
+                    </p>
+                </div>
+                <div class="error-message review-error" role="alert" style="display: none;"></div>
+            </div>
+            <div class="authoring-start">
+                <h3 class="local-exercise-title">Create a new exercise</h3>
+                <div class="drop-zone">
+                    <p>Drop a recording here to time its transcript sentence by sentence, or
+                        <label class="file-pick-label">choose a file<input type="file" class="authoring-file-input" accept="audio/*"></label>
+                    </p>
+                </div>
+                <div class="error-message authoring-error" role="alert" style="display: none;"></div>
+            </div>
+        `;
+
+        const list = pickerContainer.querySelector('.exercise-list');
+
+        exercises.forEach(exercise => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'exercise-card';
+            button.dataset.exerciseId = exercise.id;
+
+            const title = document.createElement('span');
+            title.className = 'exercise-card-title';
+            title.textContent = exercise.title;
+            button.appendChild(title);
+
+            const meta = document.createElement('span');
+            meta.className = 'exercise-card-meta';
+            if (exercise.level) {
+                const level = document.createElement('span');
+                level.className = 'exercise-level';
+                level.textContent = exercise.level;
+                meta.appendChild(level);
+            }
+            const language = document.createElement('span');
+            language.className = 'exercise-language';
+            language.textContent = exercise.language.toUpperCase();
+            meta.appendChild(language);
+            button.appendChild(meta);
+
+            button.addEventListener('click', () => {
+                console.log('Exercise selected:', exercise.id);
+                rememberExerciseInUrl(exercise.id);
+                resolve(exercise);
+            });
+
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+
+        setupLocalExerciseDropZone(pickerContainer.querySelector('.local-exercise'), resolve);
+        setupReviewDropZone(pickerContainer.querySelector('.review-results'), exercises, resolve);
+        setupAuthoringDropZone(pickerContainer.querySelector('.authoring-start'), resolve);
+
+        pickerContainer.style.display = 'block';
+    });
+}
+
+/**
+ * Hide the exercise picker
+ */
+export function hideExercisePicker() {
+    const pickerContainer = document.getElementById(config.exercisePickerId);
+    if (pickerContainer) {
+        pickerContainer.style.display = 'none';
+    }
+}
+
+/**
+ * Leave the current exercise and go back to the exercise picker
+ * Reloads the page without the exercise parameter so every module starts fresh
+ */
+export function returnToExercisePicker() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(config.exerciseUrlParam);
+    window.location.href = url.toString();
+}
+
+/**
+ * Set up the drop zone and file input for loading an exercise from local files
+ * @param {HTMLElement} section - The picker section holding the drop zone
+ * @param {Function} onExerciseLoaded - Called with the exercise once both files are read
+ */
+function setupLocalExerciseDropZone(section, onExerciseLoaded) {
+    const dropZone = section.querySelector('.drop-zone');
+    const fileInput = section.querySelector('.local-file-input');
+    const fileList = section.querySelector('.local-file-list');
+    const errorBox = section.querySelector('.picker-error');
+
+    // Files are collected until both an audio file and a transcript file are present
+    const selectedFiles = { audio: null, transcript: null };
+
+    const showError = (message) => {
+        errorBox.textContent = message;
+        errorBox.style.display = message ? 'block' : 'none';
+    };
+
+    const renderFileList = () => {
+        fileList.innerHTML = '';
+        Object.entries(selectedFiles).forEach(([kind, file]) => {
+            const item = document.createElement('li');
+            item.className = file ? 'local-file selected' : 'local-file';
+            item.textContent = `${kind === 'audio' ? 'Audio' : 'Transcript'}: ${file ? file.name : 'not selected yet'}`;
+            fileList.appendChild(item);
+        });
+    };
+
+    const handleFiles = async (files) => {
+        showError('');
+
+        const unsupported = [];
+        Array.from(files).forEach(file => {
+            if (isAudioFile(file)) {
+                selectedFiles.audio = file;
+            } else if (isTranscriptFile(file)) {
+                selectedFiles.transcript = file;
+            } else {
+                unsupported.push(file.name);
+            }
+        });
+        renderFileList();
+
+        if (unsupported.length > 0) {
+            showError(`Unsupported file type: ${unsupported.join(', ')}. Please use an audio file and a .vtt, .srt, .lrc or .txt transcript.`);
+            return;
+        }
+
+        if (!selectedFiles.audio || !selectedFiles.transcript) return;
+
+        try {
+            const exercise = await loadLocalExercise(selectedFiles.audio, selectedFiles.transcript);
+            console.log('Local exercise loaded:', exercise.title, `(${exercise.cues.length} cues)`);
+            onExerciseLoaded(exercise);
+        } catch (error) {
+            console.error('Failed to load local exercise:', error);
+            // Let the user drop a corrected transcript without re-adding the audio
+            selectedFiles.transcript = null;
+            renderFileList();
+            showError(error.message);
+        }
+    };
+
+    setupDropZone(dropZone, fileInput, handleFiles);
+
+    renderFileList();
+}
+
+/**
+ * Set up the drop zone and file input for opening a student's results in review mode
+ * @param {HTMLElement} section - The picker section holding the drop zone
+ * @param {Array} exercises - Catalog exercises (used to find the audio of the reviewed exercise)
+ * @param {Function} onReviewLoaded - Called with the exercise, carrying the results as `reviewReport`
+ */
+function setupReviewDropZone(section, exercises, onReviewLoaded) {
+    const dropZone = section.querySelector('.drop-zone');
+    const fileInput = section.querySelector('.review-file-input');
+    const errorBox = section.querySelector('.review-error');
+
+    const showError = (message) => {
+        errorBox.textContent = message;
+        errorBox.style.display = message ? 'block' : 'none';
+    };
+
+    const handleFiles = async (files) => {
+        showError('');
+
+        const fileArray = Array.from(files);
+        const resultsFile = fileArray.find(file => file.name.toLowerCase().endsWith('.json') || file.type === 'application/json');
+        const audioFile = fileArray.find(file => isAudioFile(file));
+
+        if (!resultsFile) {
+            showError('Please add a results .json file exported from the results screen.');
+            return;
+        }
+
+        try {
+            const report = await loadResultsFile(resultsFile);
+            const catalogExercise = findExercise(exercises, report.exercise.id);
+
+            // Exercises that are not in the catalog (e.g. loaded from local files) need their audio file
+            const exercise = catalogExercise || {
+                id: report.exercise.id,
+                title: report.exercise.title || 'Student results',
+                level: report.exercise.level || '',
+                language: report.exercise.language || 'de',
+                audio: null,
+                source: 'local'
+            };
+
+            const audio = audioFile ? URL.createObjectURL(audioFile) : exercise.audio;
+            if (!audio) {
+                console.warn(`No audio available for reviewed exercise ${exercise.id}; reviewing without audio`);
+            }
+
+            console.log('Results loaded for review:', resultsFile.name);
+            onReviewLoaded({ ...exercise, audio, reviewReport: report });
+        } catch (error) {
+            console.error('Failed to load results for review:', error);
+            showError(error.message);
+        }
+    };
+
+    setupDropZone(dropZone, fileInput, handleFiles);
+}
+
+/**
+ * Set up the drop zone and file input for creating a new exercise from a recording
+ * @param {HTMLElement} section - The picker section holding the drop zone
+ * @param {Function} onRecordingLoaded - Called with the exercise, marked with `authoring: true`
+ */
+function setupAuthoringDropZone(section, onRecordingLoaded) {
+    const dropZone = section.querySelector('.drop-zone');
+    const fileInput = section.querySelector('.authoring-file-input');
+    const errorBox = section.querySelector('.authoring-error');
+
+    const handleFiles = (files) => {
+        errorBox.style.display = 'none';
+
+        try {
+            const exercise = createAuthoringExercise(Array.from(files).find(file => isAudioFile(file)));
+            console.log('Recording loaded for authoring:', exercise.title);
+            onRecordingLoaded(exercise);
+        } catch (error) {
+            console.error('Failed to load recording for authoring:', error);
+            errorBox.textContent = error.message;
+            errorBox.style.display = 'block';
+        }
+    };
+
+    setupDropZone(dropZone, fileInput, handleFiles);
+}
+
+/**
+ * Wire up drag-and-drop and the file input of a drop zone
+ * @param {HTMLElement} dropZone - The drop zone element
+ * @param {HTMLInputElement} fileInput - The file input inside the drop zone
+ * @param {Function} handleFiles - Called with the dropped or chosen files
+ */
+function setupDropZone(dropZone, fileInput, handleFiles) {
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('drag-over');
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('drag-over');
+        handleFiles(e.dataTransfer.files);
+    });
+
+    fileInput.addEventListener('change', () => {
+        handleFiles(fileInput.files);
+        fileInput.value = '';
+    });
+}
+
+/**
+ * Store the chosen exercise in the URL so a reload reopens the same exercise
+ * @param {string} exerciseId - The id of the chosen exercise
+ */
+function rememberExerciseInUrl(exerciseId) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(config.exerciseUrlParam, exerciseId);
+    window.history.replaceState(null, '', url.toString());
+}
+
+/**
+ * Get the picker container, creating it if it doesn't exist
+ * @returns {HTMLElement} - The picker container
+ */
+function getPickerContainer() {
+    let pickerContainer = document.getElementById(config.exercisePickerId);
+
+    if (!pickerContainer) {
+        pickerContainer = document.createElement('div');
+        pickerContainer.id = config.exercisePickerId;
+        pickerContainer.className = 'exercise-picker';
+
+        const playerContainer = document.getElementById(config.playerContainerId);
+        playerContainer.parentNode.insertBefore(pickerContainer, playerContainer);
+    }
+
+    return pickerContainer;
+}
@@ -0,0 +1,217 @@
+/**
+ * Module for the attempt history view
+ * Charts accuracy and time of every finished attempt of an exercise
+ */
+import { config } from './config.js';
+import { formatTime, escapeHTML } from '../utils/helpers.js';
+import { getAttempts, clearAttempts } from './attemptHistory.js';
+
+// Chart dimensions (SVG user units)
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = { top: 15, right: 20, bottom: 30, left: 50 };
+
+/**
+ * Show the history view for an exercise
+ * @param {Object} exercise - The exercise ({ id, title })
+ * @param {Function} onBack - Called when the user leaves the history view
+ * @returns {Promise<void>}
+ */
+export async function showHistoryView(exercise, onBack) {
+    const historyContainer = getHistoryContainer();
+    historyContainer.innerHTML = '<p class="history-loading">Loading history…</p>';
+    historyContainer.style.display = 'block';
+
+    const attempts = await getAttempts(exercise.id);
+    historyContainer.innerHTML = generateHistoryHTML(exercise, attempts);
+
+    historyContainer.querySelector('.history-back-btn').addEventListener('click', () => {
+        hideHistoryView();
+        if (onBack) onBack();
+    });
+
+    const clearBtn = historyContainer.querySelector('.history-clear-btn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete all ${attempts.length} saved attempts of "${exercise.title}"?`)) return;
+            await clearAttempts(exercise.id);
+            showHistoryView(exercise, onBack);
+        });
+    }
+}
+
+/**
+ * Hide the history view
+ */
+export function hideHistoryView() {
+    const historyContainer = document.getElementById(config.historyContainerId);
+    if (historyContainer) {
+        historyContainer.style.display = 'none';
+    }
+}
+
+/**
+ * Generate HTML for the history view
+ * @param {Object} exercise - The exercise
+ * @param {Array} attempts - Stored attempts, oldest first
+ * @returns {string} - HTML for the history view
+ */
+function generateHistoryHTML(exercise, attempts) {
+    let html = `
+        <div class="results-header">
+            <h2>Progress: ${escapeHTML(exercise.title)}</h2>
+        </div>
+    `;
+
+    if (attempts.length === 0) {
+        html += '<p class="history-empty">No finished attempts yet. Your results are saved here every time you finish this exercise.</p>';
+    } else {
+        const bestAccuracy = Math.max(...attempts.map(attempt => attempt.accuracy));
+        const latest = attempts[attempts.length - 1];
+
+        html += `
+            <div class="results-stats">
+                <div class="stat-item">
+                    <div class="stat-title">Attempts</div>
+                    <div class="stat-value">${attempts.length}</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-title">Best Accuracy</div>
+                    <div class="stat-value">${bestAccuracy}%</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-title">Latest Accuracy</div>
+                    <div class="stat-value">${latest.accuracy}%</div>
+                </div>
+            </div>
+            <div class="history-charts">
+                <div class="history-chart">
+                    <h3>Accuracy</h3>
+                    ${generateLineChartSVG(attempts, attempt => attempt.accuracy, {
+                        maxValue: 100,
+                        formatValue: value => `${Math.round(value)}%`,
+                        label: 'Accuracy per attempt'
+                    })}
+                </div>
+                <div class="history-chart">
+                    <h3>Time</h3>
+                    ${generateLineChartSVG(attempts, attempt => attempt.totalTimeMs / 1000, {
+                        formatValue: value => formatTime(value),
+                        label: 'Time per attempt'
+                    })}
+                </div>
+            </div>
+            ${generateAttemptTableHTML(attempts)}
+        `;
+    }
+
+    html += `
+        <div class="results-actions">
+            <button class="result-btn retry-btn history-back-btn">Back to Results</button>
+            ${attempts.length > 0 ? '<button class="result-btn history-clear-btn">Clear History</button>' : ''}
+        </div>
+    `;
+
+    return html;
+}
+
+/**
+ * Generate a table listing every attempt, newest first
+ * @param {Array} attempts - Stored attempts, oldest first
+ * @returns {string} - HTML table
+ */
+function generateAttemptTableHTML(attempts) {
+    const rows = [...attempts].reverse().map(attempt => {
+        const words = attempt.wordStats;
+        return `
+            <tr>
+                <td>${new Date(attempt.date).toLocaleString()}</td>
+                <td>${attempt.accuracy}%</td>
+                <td>${attempt.completionPercentage}%</td>
+                <td>${words ? `${words.correctWords} / ${words.misspelledWords} / ${words.missingWords} / ${words.extraWords}` : '–'}</td>
+                <td>${formatTime(attempt.totalTimeMs / 1000)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <table class="history-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Accuracy</th>
+                    <th>Completion</th>
+                    <th title="Correct / misspelled / missing / extra">Words</th>
+                    <th>Time</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Generate an SVG line chart with one point per attempt
+ * @param {Array} attempts - Stored attempts, oldest first
+ * @param {Function} getValue - Returns the value to plot for an attempt
+ * @param {Object} options - { maxValue, formatValue, label }
+ * @returns {string} - SVG markup
+ */
+function generateLineChartSVG(attempts, getValue, options) {
+    const values = attempts.map(getValue);
+    const maxValue = options.maxValue || Math.max(...values) * 1.1 || 1;
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+    const x = index => CHART_PADDING.left + (values.length === 1 ? plotWidth / 2 : (index / (values.length - 1)) * plotWidth);
+    const y = value => CHART_PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+    // Horizontal grid lines with value labels
+    let gridLines = '';
+    for (let step = 0; step <= 4; step++) {
+        const value = (maxValue / 4) * step;
+        gridLines += `
+            <line class="chart-grid" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${y(value)}" y2="${y(value)}"></line>
+            <text class="chart-axis-label" x="${CHART_PADDING.left - 8}" y="${y(value) + 4}" text-anchor="end">${options.formatValue(value)}</text>
+        `;
+    }
+
+    const points = values.map((value, index) => `${x(index)},${y(value)}`).join(' ');
+    const dots = values.map((value, index) => `
+        <circle class="chart-point" cx="${x(index)}" cy="${y(value)}" r="4">
+            <title>${new Date(attempts[index].date).toLocaleString()}: ${options.formatValue(value)}</title>
+        </circle>
+    `).join('');
+
+    const firstDate = new Date(attempts[0].date).toLocaleDateString();
+    const lastDate = new Date(attempts[attempts.length - 1].date).toLocaleDateString();
+
+    return `
+        <svg class="history-chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${options.label}">
+            ${gridLines}
+            <polyline class="chart-line" points="${points}"></polyline>
+            ${dots}
+            <text class="chart-axis-label" x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 8}" text-anchor="start">${firstDate}</text>
+            ${attempts.length > 1 ? `<text class="chart-axis-label" x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 8}" text-anchor="end">${lastDate}</text>` : ''}
+        </svg>
+    `;
+}
+
+/**
+ * Get the history container, creating it if it doesn't exist
+ * @returns {HTMLElement} - The history container
+ */
+function getHistoryContainer() {
+    let historyContainer = document.getElementById(config.historyContainerId);
+
+    if (!historyContainer) {
+        historyContainer = document.createElement('div');
+        historyContainer.id = config.historyContainerId;
+        historyContainer.className = 'history-container';
+
+        const playerContainer = document.getElementById(config.playerContainerId);
+        playerContainer.appendChild(historyContainer);
+    }
+
+    return historyContainer;
+}
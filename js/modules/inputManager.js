@@ -4,14 +4,17 @@
  */
 
 import { saveUserInput, getUserInput } from './userDataStore.js';
-import { getCurrentSegment, nextSegment, jumpToSegment } from './segmentManager.js';
+import { getCurrentSegment, nextSegment, cancelRepeats } from './segmentManager.js';
 import { config } from './config.js';
 import { 
-    transformSpecialCharacters, 
+    transformInput,
     processInput,
     processInputWithCharacterTracking, 
     notifySegmentChange 
 } from './textComparison/index.js';
+import { showTransformationNotice } from './transformationPanel.js';
+import { isComposeModeEnabled, composeInput, resetComposeBaseline } from './characterBar.js';
+import stateManager from './utils/stateManager.js';
 import { updateInputDisplay, updatePlaceholders, generatePlaceholdersForReference, createDualInputDisplay, updateRawInputDisplay, updateReferenceMappingDisplay, isCompleteMatch } from './uiManager.js';
 
 // Track input state
@@ -46,16 +49,8 @@ export function initInputManager() {
         // Use a debounced approach to input handling for better performance
         inputField.addEventListener('input', debounce(handleInputEvent, 50));
         
-        // Listen for key presses to handle special controls
+        // Listen for key presses (Enter, Tab and the other shortcuts are handled by the keymap)
         inputField.addEventListener('keydown', handleKeyDown);
-        
-        // Add event listener for Enter key to submit input
-        inputField.addEventListener('keydown', function(event) {
-            if (event.key === 'Enter') {
-                event.preventDefault();
-                submitUserInput();
-            }
-        });
     } else {
         console.error('Input field element not found!');
     }
@@ -70,6 +65,8 @@ export function initInputManager() {
     // Return public interface
     return {
         clearCurrentInput,
+        submitInput: submitUserInput,
+        refreshInput: () => handleInputEvent(),
         hideInputField  // This references the function that needs to be implemented
     };
 }
@@ -96,15 +93,29 @@ function handleInputEvent(event) {
     // Track performance
     const startTime = performance.now();
     
-    // Transform user input for German special characters
-    const rawInput = inputField.value || '';
-    const userInput = transformSpecialCharacters(rawInput);
     const segment = getCurrentSegment();
     
     if (!segment) return;
     
     const referenceText = segment.text;
     
+    // With hidden feedback (exam mode) the reference isn't used for the typing help,
+    // so nothing about it is revealed
+    const feedbackHidden = stateManager.getState('ui')?.hideFeedback ?? false;
+    
+    // Turn compose sequences ("a → ä) into characters in the input field itself
+    if (isComposeModeEnabled()) {
+        composeInput(inputField, feedbackHidden ? null : referenceText);
+    } else {
+        resetComposeBaseline(inputField.value);
+    }
+    
+    const rawInput = inputField.value || '';
+    
+    // Transform user input for special characters (German: only where the reference has them)
+    const { text: userInput, changes } = transformInput(rawInput, feedbackHidden ? null : referenceText);
+    showTransformationNotice(changes, () => handleInputEvent());
+    
     // Save user input for this segment (save transformed)
     saveUserInput(segment.index, userInput);
     
@@ -173,27 +184,8 @@ function handleInputEvent(event) {
  * @param {KeyboardEvent} event - Key event
  */
 function handleKeyDown(event) {
-    // Tab to advance segments
-    if (event.key === 'Tab') {
-        event.preventDefault();
-        
-        if (event.shiftKey) {
-            // Previous segment - Update function call
-            const audio = document.getElementById(config.audioPlayerId);
-            const currentSegment = getCurrentSegment();
-            if (currentSegment) {
-                // Use jumpToSegment instead of playSegment
-                jumpToSegment(audio, currentSegment.index);
-            }
-        } else {
-            // Next segment
-            if (!isLastSegment()) {
-                // Get the audio element
-                const audio = document.getElementById(config.audioPlayerId);
-                nextSegment(audio);
-            }
-        }
-    }
+    // Typing means the learner has heard enough; skip the remaining automatic repeats
+    cancelRepeats();
 }
 
 /**
@@ -274,6 +266,10 @@ export function handleSegmentEnded(event) {
 export function handleSegmentStarted(event) {
     try {
         segmentEnded = false;
+        
+        // An automatic repeat keeps the input as it is, the learner may be typing
+        if (event.detail.repeat > 0) return;
+        
         clearTimeout(currentInputTimer);
         
         // Make sure the input container is visible
@@ -291,6 +287,7 @@ export function handleSegmentStarted(event) {
             const savedInput = getUserInput(segment.index);
             if (inputField) {
                 inputField.value = savedInput || '';
+                resetComposeBaseline(inputField.value);
                 inputField.focus();
             }
         }
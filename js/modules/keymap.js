@@ -0,0 +1,424 @@
+/**
+ * Module for the keyboard shortcuts
+ * Holds the actions that can be triggered from the keyboard, their default keys and the
+ * keys the user rebound (saved as a preference), and runs the matching action on keydown.
+ * Keys are written as combos such as "Ctrl+Space" or "Ctrl+Shift+ArrowLeft".
+ * In pedal mode, USB foot pedals that act as keyboards send key codes (event.code)
+ * that are bound to replay, previous and next; they work without leaving the text field.
+ */
+import { config } from './config.js';
+import { getPreference, setPreference } from '../utils/preferences.js';
+
+// Actions in the order they are listed in the cheat sheet
+// Keys without Ctrl, Alt or Meta only work while typing in the transcription field
+const ACTIONS = [
+    { id: 'playPause', label: 'Play / pause', keys: ['Ctrl+Shift+Space'] },
+    { id: 'replay', label: 'Replay segment', keys: ['Ctrl+Space'] },
+    { id: 'previousSegment', label: 'Previous segment', keys: ['Ctrl+ArrowLeft', 'Shift+Tab'] },
+    { id: 'nextSegment', label: 'Next segment', keys: ['Ctrl+ArrowRight', 'Tab'] },
+    { id: 'slower', label: 'Slower', keys: ['Ctrl+ArrowDown'] },
+    { id: 'faster', label: 'Faster', keys: ['Ctrl+ArrowUp'] },
+    { id: 'submit', label: 'Check answer', keys: ['Enter'], inputOnly: true },
+    { id: 'finish', label: 'Finish exercise', keys: ['Ctrl+Shift+Enter'] },
+    { id: 'showShortcuts', label: 'Keyboard shortcuts', keys: ['Ctrl+/'] }
+];
+
+// Key codes sent by the pedals by default (most pedals can be set to send any key;
+// F13-F15 are not on regular keyboards, so nothing else is lost in pedal mode)
+const PEDAL_DEFAULTS = {
+    previousSegment: 'F13',
+    replay: 'F14',
+    nextSegment: 'F15'
+};
+
+// Key codes of modifier keys, which can't be used as pedal keys
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+// Shortcuts the browser and text editing need; they can't be bound
+const RESERVED_COMBOS = [
+    'Ctrl+A', 'Ctrl+C', 'Ctrl+V', 'Ctrl+X', 'Ctrl+Z', 'Ctrl+Y', 'Ctrl+Shift+Z',
+    'Ctrl+F', 'Ctrl+L', 'Ctrl+N', 'Ctrl+Q', 'Ctrl+R', 'Ctrl+T', 'Ctrl+W',
+    'Ctrl+Tab', 'Ctrl+Shift+Tab', 'Escape'
+];
+
+// Keys that may be bound without Ctrl, Alt or Meta (all other keys are needed for typing)
+const PLAIN_KEYS = ['Enter', 'Tab', 'F1', 'F2', 'F3', 'F4', 'F6', 'F7', 'F8', 'F9', 'F10'];
+
+// event.key values that are named differently in combos
+const KEY_NAMES = {
+    ' ': 'Space',
+    'Spacebar': 'Space',
+    'Esc': 'Escape',
+    'Left': 'ArrowLeft',
+    'Right': 'ArrowRight',
+    'Up': 'ArrowUp',
+    'Down': 'ArrowDown'
+};
+
+// How keys are shown in the cheat sheet
+const KEY_LABELS = {
+    'ArrowLeft': '←',
+    'ArrowRight': '→',
+    'ArrowUp': '↑',
+    'ArrowDown': '↓'
+};
+
+// Bindings the user changed ({ actionId: [combo] }), loaded from the preferences on first use
+let customBindings = null;
+// Pedal key codes the user changed ({ actionId: code }), loaded like customBindings
+let customPedalBindings = null;
+// Whether pedal mode is on (null until read from the preferences)
+let pedalModeEnabled = null;
+
+// Functions run for the actions, set by initKeymap
+let actionHandlers = {};
+let isListening = false;
+let isSuspended = false;
+
+/**
+ * Start handling keyboard shortcuts
+ * @param {Object} handlers - Functions by action id (actions without a handler are ignored)
+ */
+export function initKeymap(handlers) {
+    actionHandlers = handlers;
+
+    if (!isListening) {
+        document.addEventListener('keydown', handleShortcutKey);
+        isListening = true;
+    }
+}
+
+/**
+ * Pause or resume the shortcut handling (e.g. while the user presses a new key for an action)
+ * @param {boolean} suspended - True to ignore all shortcuts
+ */
+export function setShortcutsSuspended(suspended) {
+    isSuspended = suspended;
+}
+
+/**
+ * Get the actions with the keys bound to them
+ * @returns {Array} - [{ id, label, keys, isCustom }] in cheat sheet order
+ */
+export function getKeymap() {
+    const bindings = getCustomBindings();
+    return ACTIONS.map(action => ({
+        id: action.id,
+        label: action.label,
+        keys: bindings[action.id] || action.keys,
+        isCustom: !!bindings[action.id]
+    }));
+}
+
+/**
+ * Build the combo for a key event
+ * Shift is left out for symbols, which already depend on it ("?" is Shift+/ on
+ * English keyboards and Shift+ß on German ones)
+ * @param {KeyboardEvent} event - Key event
+ * @returns {string|null} - Combo such as "Ctrl+ArrowLeft", or null for a modifier key on its own
+ */
+export function getKeyCombo(event) {
+    const key = KEY_NAMES[event.key] || event.key;
+    if (!key || ['Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'Dead', 'Unidentified'].includes(key)) {
+        return null;
+    }
+
+    const isCharacter = key.length === 1;
+    const isSymbol = isCharacter && key.toUpperCase() === key.toLowerCase();
+    const parts = [];
+
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey && !isSymbol) parts.push('Shift');
+    if (event.metaKey) parts.push('Meta');
+    parts.push(isCharacter ? key.toUpperCase() : key);
+
+    return parts.join('+');
+}
+
+/**
+ * Get the action bound to a key event
+ * @param {KeyboardEvent} event - Key event
+ * @returns {string|null} - Action id, or null if the keys are not bound
+ */
+export function getActionForEvent(event) {
+    const combo = getKeyCombo(event);
+    if (!combo) return null;
+
+    const action = getKeymap().find(binding => binding.keys.includes(combo));
+    return action ? action.id : null;
+}
+
+/**
+ * Format a combo for display
+ * @param {string} combo - Combo such as "Ctrl+ArrowLeft"
+ * @returns {string} - Readable combo such as "Ctrl+←"
+ */
+export function formatShortcut(combo) {
+    const parts = splitCombo(combo);
+    const key = parts.pop();
+    return [...parts, KEY_LABELS[key] || key].join('+');
+}
+
+/**
+ * Check whether a combo can be bound to an action
+ * @param {string} actionId - Action to bind
+ * @param {string} combo - Combo to bind
+ * @returns {string|null} - Why the combo can't be used, or null if it can
+ */
+export function getBindingError(actionId, combo) {
+    if (!ACTIONS.some(action => action.id === actionId)) {
+        return `Unknown action "${actionId}".`;
+    }
+
+    const parts = splitCombo(combo);
+    const key = parts[parts.length - 1];
+    const hasCommandModifier = parts.some(part => ['Ctrl', 'Alt', 'Meta'].includes(part));
+
+    // Cmd on a Mac does what Ctrl does elsewhere
+    if (RESERVED_COMBOS.includes(combo.replace(/^Meta\+/, 'Ctrl+'))) {
+        return `${formatShortcut(combo)} is needed by the browser.`;
+    }
+
+    if (!hasCommandModifier && !PLAIN_KEYS.includes(key)) {
+        return `${formatShortcut(combo)} is needed for typing. Add Ctrl or Alt.`;
+    }
+
+    const conflict = findConflict(combo, actionId);
+    if (conflict) {
+        return `${formatShortcut(combo)} is already used for "${conflict.label}".`;
+    }
+
+    return null;
+}
+
+/**
+ * Find another action that the combo is bound to
+ * @param {string} combo - Combo to look for
+ * @param {string} [actionId] - Action to leave out (the one being rebound)
+ * @returns {Object|null} - The conflicting action ({ id, label, keys }), or null
+ */
+export function findConflict(combo, actionId) {
+    return getKeymap().find(action => action.id !== actionId && action.keys.includes(combo)) || null;
+}
+
+/**
+ * Bind a combo to an action, replacing its previous keys, and save the bindings
+ * @param {string} actionId - Action to bind
+ * @param {string} combo - Combo to bind
+ * @returns {boolean} - True if bound (false if getBindingError reports a problem)
+ */
+export function setBinding(actionId, combo) {
+    const error = getBindingError(actionId, combo);
+    if (error) {
+        console.error('Cannot bind shortcut:', error);
+        return false;
+    }
+
+    const bindings = getCustomBindings();
+    const defaultKeys = ACTIONS.find(action => action.id === actionId).keys;
+
+    // Binding the default key again makes the action follow the defaults
+    if (defaultKeys.length === 1 && defaultKeys[0] === combo) {
+        delete bindings[actionId];
+    } else {
+        bindings[actionId] = [combo];
+    }
+
+    setPreference('keyBindings', bindings);
+    return true;
+}
+
+/**
+ * Go back to the default keys for all actions, including the pedal keys
+ * Whether pedal mode is on is left unchanged
+ */
+export function resetBindings() {
+    customBindings = {};
+    customPedalBindings = {};
+    setPreference('keyBindings', customBindings);
+    setPreference('pedalBindings', customPedalBindings);
+}
+
+/**
+ * Check if pedal mode is on
+ * @returns {boolean} - True if pedal keys trigger their actions
+ */
+export function isPedalModeEnabled() {
+    if (pedalModeEnabled === null) {
+        pedalModeEnabled = getPreference('pedalMode', false) === true;
+    }
+    return pedalModeEnabled;
+}
+
+/**
+ * Turn pedal mode on or off (saved as a preference)
+ * @param {boolean} enabled - True to turn pedal mode on
+ */
+export function setPedalModeEnabled(enabled) {
+    pedalModeEnabled = !!enabled;
+    setPreference('pedalMode', pedalModeEnabled);
+}
+
+/**
+ * Get the pedal actions with the key codes bound to them
+ * @returns {Array} - [{ id, label, code, isCustom }]
+ */
+export function getPedalKeymap() {
+    const bindings = getCustomPedalBindings();
+    return Object.keys(PEDAL_DEFAULTS).map(actionId => ({
+        id: actionId,
+        label: ACTIONS.find(action => action.id === actionId).label,
+        code: bindings[actionId] || PEDAL_DEFAULTS[actionId],
+        isCustom: !!bindings[actionId]
+    }));
+}
+
+/**
+ * Get the pedal action for a key event
+ * Only matches in pedal mode, and only keys pressed without modifiers
+ * @param {KeyboardEvent} event - Key event
+ * @returns {string|null} - Action id, or null if the key is not a pedal key
+ */
+export function getPedalActionForEvent(event) {
+    if (!event.code || event.ctrlKey || event.altKey || event.shiftKey || event.metaKey || !isPedalModeEnabled()) {
+        return null;
+    }
+
+    const pedal = getPedalKeymap().find(binding => binding.code === event.code);
+    return pedal ? pedal.id : null;
+}
+
+/**
+ * Check whether a key code can be bound to a pedal action
+ * @param {string} actionId - Pedal action to bind
+ * @param {string} code - Key code (event.code) to bind
+ * @returns {string|null} - Why the key code can't be used, or null if it can
+ */
+export function getPedalBindingError(actionId, code) {
+    if (!(actionId in PEDAL_DEFAULTS)) {
+        return `"${actionId}" can't be controlled with a pedal.`;
+    }
+
+    if (code === 'Escape' || MODIFIER_CODES.includes(code)) {
+        return `${code} can't be used as a pedal key.`;
+    }
+
+    const conflict = getPedalKeymap().find(pedal => pedal.id !== actionId && pedal.code === code);
+    if (conflict) {
+        return `${code} is already used for "${conflict.label}".`;
+    }
+
+    return null;
+}
+
+/**
+ * Bind a key code to a pedal action and save the pedal bindings
+ * @param {string} actionId - Pedal action to bind
+ * @param {string} code - Key code (event.code) to bind
+ * @returns {boolean} - True if bound (false if getPedalBindingError reports a problem)
+ */
+export function setPedalBinding(actionId, code) {
+    const error = getPedalBindingError(actionId, code);
+    if (error) {
+        console.error('Cannot bind pedal key:', error);
+        return false;
+    }
+
+    const bindings = getCustomPedalBindings();
+    if (PEDAL_DEFAULTS[actionId] === code) {
+        delete bindings[actionId];
+    } else {
+        bindings[actionId] = code;
+    }
+
+    setPreference('pedalBindings', bindings);
+    return true;
+}
+
+/**
+ * Get the bindings the user changed
+ * Saved bindings for actions that no longer exist, or that are not lists of combos, are ignored
+ * @returns {Object} - { actionId: [combo] }
+ */
+function getCustomBindings() {
+    if (customBindings === null) {
+        const saved = getPreference('keyBindings', {});
+        customBindings = {};
+
+        if (saved && typeof saved === 'object') {
+            ACTIONS.forEach(action => {
+                const keys = saved[action.id];
+                if (Array.isArray(keys) && keys.length > 0 && keys.every(key => typeof key === 'string')) {
+                    customBindings[action.id] = keys;
+                }
+            });
+        }
+    }
+
+    return customBindings;
+}
+
+/**
+ * Get the pedal key codes the user changed
+ * @returns {Object} - { actionId: code }
+ */
+function getCustomPedalBindings() {
+    if (customPedalBindings === null) {
+        const saved = getPreference('pedalBindings', {});
+        customPedalBindings = {};
+
+        if (saved && typeof saved === 'object') {
+            Object.keys(PEDAL_DEFAULTS).forEach(actionId => {
+                if (typeof saved[actionId] === 'string' && saved[actionId]) {
+                    customPedalBindings[actionId] = saved[actionId];
+                }
+            });
+        }
+    }
+
+    return customPedalBindings;
+}
+
+/**
+ * Split a combo into its modifiers and key
+ * @param {string} combo - Combo such as "Ctrl+Shift+A" (the key itself may be "+")
+ * @returns {Array} - Parts, with the key last
+ */
+function splitCombo(combo) {
+    if (combo.endsWith('++') || combo === '+') {
+        return [...combo.slice(0, -2).split('+').filter(Boolean), '+'];
+    }
+    return combo.split('+');
+}
+
+/**
+ * Run the action bound to a pressed key
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleShortcutKey(event) {
+    if (isSuspended || event.defaultPrevented || event.isComposing) return;
+
+    // Pedal keys are never typed; holding a pedal down repeats its key, which is ignored
+    const pedalActionId = getPedalActionForEvent(event);
+    if (pedalActionId) {
+        event.preventDefault();
+        if (!event.repeat && actionHandlers[pedalActionId]) {
+            actionHandlers[pedalActionId](event);
+        }
+        return;
+    }
+
+    const actionId = getActionForEvent(event);
+    if (!actionId || !actionHandlers[actionId]) return;
+
+    const action = ACTIONS.find(item => item.id === actionId);
+    const inTranscription = !!event.target && event.target.id === config.inputFieldId;
+    const hasCommandModifier = event.ctrlKey || event.altKey || event.metaKey;
+
+    // Elsewhere, Tab and Enter keep moving the focus and pressing buttons
+    if (!inTranscription && (action.inputOnly || !hasCommandModifier)) return;
+
+    event.preventDefault();
+    actionHandlers[actionId](event);
+}
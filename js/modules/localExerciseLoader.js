@@ -0,0 +1,112 @@
+/**
+ * Module for loading exercises from local files (audio + transcript) without deploying them
+ */
+import { parseTranscriptContent } from './transcriptImporters.js';
+
+// File extensions accepted as audio when the browser doesn't report a MIME type
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'm4a', 'aac', 'flac', 'webm', 'opus'];
+
+// File extensions accepted as transcripts (WebVTT, SubRip, LRC and Audacity label export)
+const TRANSCRIPT_EXTENSIONS = ['vtt', 'srt', 'lrc', 'txt', 'tsv'];
+
+/**
+ * Check whether a file is an audio file
+ * @param {File} file - The file to check
+ * @returns {boolean} - True if the file looks like an audio file
+ */
+export function isAudioFile(file) {
+    if (file.type && file.type.startsWith('audio/')) return true;
+    return AUDIO_EXTENSIONS.includes(getFileExtension(file.name));
+}
+
+/**
+ * Check whether a file is a transcript file the loader can read
+ * @param {File} file - The file to check
+ * @returns {boolean} - True if the file is a VTT, SRT, LRC or label file
+ */
+export function isTranscriptFile(file) {
+    return TRANSCRIPT_EXTENSIONS.includes(getFileExtension(file.name)) || file.type === 'text/vtt';
+}
+
+/**
+ * Build an exercise from an audio file and a transcript file picked or dropped by the user
+ * @param {File} audioFile - The audio file
+ * @param {File} transcriptFile - The transcript file (.vtt, .srt, .lrc or Audacity labels)
+ * @returns {Promise<Object>} - Promise resolving to an exercise object with parsed cues
+ */
+export async function loadLocalExercise(audioFile, transcriptFile) {
+    if (!audioFile) {
+        throw new Error('Please add an audio file (e.g. .mp3) for the exercise.');
+    }
+    if (!transcriptFile) {
+        throw new Error('Please add a transcript file (.vtt, .srt, .lrc or .txt) for the exercise.');
+    }
+
+    let cues;
+    try {
+        const content = await transcriptFile.text();
+        cues = parseTranscriptContent(content, { fileName: transcriptFile.name });
+    } catch (error) {
+        throw new Error(`Could not read "${transcriptFile.name}": ${error.message}`);
+    }
+
+    if (cues.length === 0) {
+        throw new Error(`Could not read "${transcriptFile.name}": the file contains no cues.`);
+    }
+
+    return {
+        id: `local:${transcriptFile.name}`,
+        title: stripFileExtension(transcriptFile.name),
+        level: '',
+        language: 'de',
+        audio: URL.createObjectURL(audioFile),
+        vtt: null,
+        transcript: null,
+        cues,
+        source: 'local'
+    };
+}
+
+/**
+ * Build an exercise from a recording that has no transcript yet
+ * The exercise opens in the authoring mode, which adds the cues
+ * @param {File} audioFile - The audio file
+ * @returns {Object} - Exercise object without cues, marked with `authoring: true`
+ */
+export function createAuthoringExercise(audioFile) {
+    if (!audioFile || !isAudioFile(audioFile)) {
+        throw new Error('Please add an audio file (e.g. .mp3) to create an exercise from.');
+    }
+
+    return {
+        id: `local:${audioFile.name}`,
+        title: stripFileExtension(audioFile.name),
+        level: '',
+        language: 'de',
+        audio: URL.createObjectURL(audioFile),
+        vtt: null,
+        transcript: null,
+        source: 'local',
+        authoring: true
+    };
+}
+
+/**
+ * Get the lower-case extension of a file name
+ * @param {string} fileName - The file name
+ * @returns {string} - The extension without the dot, or an empty string
+ */
+function getFileExtension(fileName) {
+    const dotIndex = fileName.lastIndexOf('.');
+    return dotIndex === -1 ? '' : fileName.slice(dotIndex + 1).toLowerCase();
+}
+
+/**
+ * Remove the extension from a file name
+ * @param {string} fileName - The file name
+ * @returns {string} - The file name without its extension
+ */
+function stripFileExtension(fileName) {
+    const dotIndex = fileName.lastIndexOf('.');
+    return dotIndex === -1 ? fileName : fileName.slice(0, dotIndex);
+}
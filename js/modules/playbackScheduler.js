@@ -0,0 +1,158 @@
+/**
+ * Module for playing exactly one segment of the audio
+ * timeupdate events only fire every ~250ms, so on their own they let segments overrun
+ * into the next sentence. While the audio plays, the position is checked on every
+ * animation frame instead; timeupdate stays registered as a fallback for browsers
+ * without requestAnimationFrame and for background tabs, where frames are paused.
+ * Segments can be padded with a little audio before and after the cue, faded in and
+ * out so the neighboring words are not heard clearly.
+ */
+import { config } from './config.js';
+
+// Assumed duration of one animation frame (ms), used to stop on the frame closest to the end
+const FRAME_DURATION = 1000 / 60;
+
+/**
+ * Get the part of the audio to play for a cue, including lead-in and tail padding
+ * The config defaults can be overridden per cue with the cue settings
+ * "lead:<seconds>", "tail:<seconds>" and "fade:on|off" (e.g. "00:02.302 --> 00:03.552 lead:0.3")
+ * @param {Object} cue - Cue object ({ startTime, endTime, settings })
+ * @returns {Object} - { startTime, endTime, fadeInEnd, fadeOutStart } in seconds; without
+ *                     fading, fadeInEnd equals startTime and fadeOutStart equals endTime
+ */
+export function getSegmentPlaybackRange(cue) {
+    const settings = cue.settings || {};
+    const leadIn = parsePadding(settings.lead, config.segmentLeadIn);
+    const tail = parsePadding(settings.tail, config.segmentTail);
+    const fade = settings.fade ? settings.fade !== 'off' : config.segmentFade;
+
+    const startTime = Math.max(0, cue.startTime - leadIn);
+    const endTime = cue.endTime + tail;
+
+    return {
+        startTime,
+        endTime,
+        fadeInEnd: fade ? cue.startTime : startTime,
+        fadeOutStart: fade ? cue.endTime : endTime
+    };
+}
+
+/**
+ * Get the volume (0-1) for a playback position, fading in over the lead-in and out over the tail
+ * @param {Object} range - Range from getSegmentPlaybackRange
+ * @param {number} time - Playback position in seconds
+ * @returns {number} - Volume factor between 0 and 1
+ */
+export function getFadeVolume(range, time) {
+    let volume = 1;
+
+    if (time < range.fadeInEnd) {
+        volume = (time - range.startTime) / (range.fadeInEnd - range.startTime);
+    } else if (time > range.fadeOutStart) {
+        volume = (range.endTime - time) / (range.endTime - range.fadeOutStart);
+    }
+
+    return Math.min(1, Math.max(0, volume));
+}
+
+/**
+ * Call a function once the audio reaches the end of the range, fading the volume on the way
+ * @param {HTMLAudioElement} audio - The audio element
+ * @param {Object} range - Range from getSegmentPlaybackRange (only endTime is required)
+ * @param {Function} onEnd - Called once when the end time is reached (or the audio ends)
+ * @returns {Function} - Cancels the scheduled end without calling onEnd
+ */
+export function scheduleSegmentEnd(audio, range, onEnd) {
+    const canUseFrames = typeof requestAnimationFrame === 'function';
+    const fades = range.fadeInEnd > range.startTime || range.fadeOutStart < range.endTime;
+    const baseVolume = audio.volume;
+    const endTime = range.endTime;
+    let frameId = null;
+    let active = true;
+
+    const cancel = () => {
+        active = false;
+        stopFrameLoop();
+        audio.removeEventListener('timeupdate', handleTimeUpdate);
+        audio.removeEventListener('play', startFrameLoop);
+        audio.removeEventListener('pause', stopFrameLoop);
+        audio.removeEventListener('ended', finish);
+
+        // Leave the audio at its normal volume for whatever plays next
+        if (fades) {
+            audio.volume = baseVolume;
+        }
+    };
+
+    function finish() {
+        if (!active) return;
+        cancel();
+        onEnd();
+    }
+
+    function updateVolume() {
+        if (fades) {
+            audio.volume = baseVolume * getFadeVolume(range, audio.currentTime);
+        }
+    }
+
+    // Frame check: stop on the frame closest to the end time; half a frame of
+    // playback covers the same media time at every playback speed
+    function checkFrame() {
+        frameId = null;
+        if (!active) return;
+
+        const halfFrame = (FRAME_DURATION / 2 / 1000) * audio.playbackRate;
+        if (audio.currentTime >= endTime - halfFrame) {
+            finish();
+        } else {
+            updateVolume();
+            frameId = requestAnimationFrame(checkFrame);
+        }
+    }
+
+    function startFrameLoop() {
+        if (canUseFrames && active && frameId === null) {
+            frameId = requestAnimationFrame(checkFrame);
+        }
+    }
+
+    function stopFrameLoop() {
+        if (frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+    }
+
+    // Fallback check: the tolerance is scaled so it covers the same real time at every speed
+    function handleTimeUpdate() {
+        if (audio.currentTime >= endTime - config.segmentTimeTolerance * audio.playbackRate) {
+            finish();
+        } else {
+            updateVolume();
+        }
+    }
+
+    audio.addEventListener('timeupdate', handleTimeUpdate);
+    audio.addEventListener('play', startFrameLoop);
+    audio.addEventListener('pause', stopFrameLoop);
+    audio.addEventListener('ended', finish);
+
+    updateVolume();
+    if (!audio.paused) {
+        startFrameLoop();
+    }
+
+    return cancel;
+}
+
+/**
+ * Read a padding cue setting
+ * @param {string|undefined} value - Setting value in seconds (e.g. "0.3")
+ * @param {number} defaultValue - Value used if the setting is missing or invalid
+ * @returns {number} - Padding in seconds
+ */
+function parsePadding(value, defaultValue) {
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : defaultValue;
+}
@@ -6,9 +6,10 @@ import { findSegmentAtTime, jumpToSegment } from './segmentManager.js';
 /**
  * Initialize the audio player with the specified audio source
  * @param {string} audioSrc - Path to the audio file
+ * @param {string} [trackSrc] - Optional path to the VTT file attached as a metadata track
  * @returns {HTMLAudioElement} - The audio element
  */
-export function initPlayer(audioSrc) {
+export function initPlayer(audioSrc, trackSrc = null) {
     const audioContainer = document.getElementById(config.audioPlayerId);
     
     // Create audio element
@@ -28,11 +29,13 @@ export function initPlayer(audioSrc) {
     audio.load();
     
     // Add track element for VTT (optional, mostly for browsers that support native tracks)
-    const track = document.createElement('track');
-    track.kind = 'metadata';
-    track.src = audioSrc.replace('audio/', 'vtt/').replace('.mp3', '.vtt');
-    track.default = true;
-    audio.appendChild(track);
+    if (trackSrc) {
+        const track = document.createElement('track');
+        track.kind = 'metadata';
+        track.src = trackSrc;
+        track.default = true;
+        audio.appendChild(track);
+    }
     
     // Make sure container is empty before appending
     audioContainer.innerHTML = '';
@@ -0,0 +1,254 @@
+/**
+ * Module for exporting exercise results as JSON, CSV or a printable HTML report
+ * Everything is generated in the browser and downloaded directly
+ */
+import { processInput } from './textComparison/index.js';
+import { formatTime, downloadFile, escapeHTML } from '../utils/helpers.js';
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['segment', 'cue_id', 'speaker', 'start', 'end', 'speed', 'replays', 'reference', 'input', 'correct', 'misspelled', 'missing', 'extra'];
+
+/**
+ * Build the report all export formats are generated from
+ * @param {Object} exercise - The exercise ({ id, title, level, language })
+ * @param {Array} segments - Array of all segments
+ * @param {Array<string>} userInputs - User input per segment
+ * @param {Object} stats - Statistics shown on the results screen
+ * @param {Object} [segmentData] - Per segment: { playbackRates, replayCounts }
+ * @returns {Object} - Report with exercise info, summary and one entry per segment
+ */
+export function buildResultsReport(exercise, segments, userInputs, stats, { playbackRates = [], replayCounts = [] } = {}) {
+    return {
+        exercise: {
+            id: exercise ? exercise.id : '',
+            title: exercise ? exercise.title : '',
+            level: exercise ? exercise.level : '',
+            language: exercise ? exercise.language : ''
+        },
+        generatedAt: new Date().toISOString(),
+        summary: {
+            totalSegments: stats.totalSegments,
+            completedSegments: stats.completedSegments,
+            completionPercentage: stats.completionPercentage,
+            accuracy: stats.accuracy,
+            errorCount: stats.errorCount,
+            wordStats: stats.advancedMetrics,
+            totalTimeMs: stats.totalTimeMs
+        },
+        segments: segments.map((segment, index) => {
+            const input = userInputs[index] || '';
+            const attempted = input.trim() !== '';
+            const comparison = attempted ? processInput(segment.text, input) : null;
+
+            return {
+                index: index + 1,
+                id: segment.id || '',
+                speaker: segment.speaker || null,
+                startTime: segment.startTime,
+                endTime: segment.endTime,
+                playbackRate: playbackRates[index] ?? null,
+                replays: replayCounts[index] || 0,
+                reference: segment.text,
+                input,
+                attempted,
+                counts: comparison ? countWords(comparison) : null,
+                comparison
+            };
+        })
+    };
+}
+
+/**
+ * Generate the JSON export (the full comparison result of every segment)
+ * @param {Object} report - Report from buildResultsReport
+ * @returns {string} - JSON document
+ */
+export function generateResultsJSON(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Generate the CSV export with one row per segment
+ * @param {Object} report - Report from buildResultsReport
+ * @returns {string} - CSV document (RFC 4180, CRLF line endings)
+ */
+export function generateResultsCSV(report) {
+    const rows = report.segments.map(segment => [
+        segment.index,
+        segment.id,
+        segment.speaker || '',
+        segment.startTime.toFixed(3),
+        segment.endTime.toFixed(3),
+        segment.playbackRate ?? '',
+        segment.replays,
+        segment.reference,
+        segment.input,
+        segment.counts ? segment.counts.correct : '',
+        segment.counts ? segment.counts.misspelled : '',
+        segment.counts ? segment.counts.missing : '',
+        segment.counts ? segment.counts.extra : ''
+    ]);
+
+    return [CSV_COLUMNS, ...rows]
+        .map(row => row.map(escapeCSVField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Generate a standalone HTML report styled for printing (or saving as PDF)
+ * @param {Object} report - Report from buildResultsReport
+ * @returns {string} - Complete HTML document
+ */
+export function generateResultsReportHTML(report) {
+    const { exercise, summary } = report;
+    const words = summary.wordStats;
+
+    const segmentRows = report.segments.map(segment => `
+        <tr class="${segment.attempted ? '' : 'not-attempted'}">
+            <td>${segment.index}</td>
+            <td>
+                ${segment.speaker ? `<div class="speaker">${escapeHTML(segment.speaker)}</div>` : ''}
+                <div>${segment.comparison ? highlightReference(segment.comparison) : escapeHTML(segment.reference)}</div>
+                ${segment.comparison && segment.comparison.extraWords.length > 0
+                    ? `<div class="extra">Extra words: ${segment.comparison.extraWords.map(extra => escapeHTML(extra.word)).join(', ')}</div>`
+                    : ''}
+            </td>
+            <td>${segment.attempted ? escapeHTML(segment.input) : '<em>not attempted</em>'}</td>
+            <td class="count">${segment.playbackRate ? `${segment.playbackRate}×` : ''}</td>
+            <td class="count">${segment.replays || ''}</td>
+            <td class="count">${segment.counts ? segment.counts.correct : ''}</td>
+            <td class="count">${segment.counts ? segment.counts.misspelled : ''}</td>
+            <td class="count">${segment.counts ? segment.counts.missing : ''}</td>
+            <td class="count">${segment.counts ? segment.counts.extra : ''}</td>
+        </tr>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHTML(exercise.language || 'de')}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(exercise.title)} - Dictation Results</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #2c3e50; max-width: 900px; margin: 20px auto; padding: 0 20px; }
+        h1 { font-size: 22px; margin-bottom: 5px; }
+        .meta { color: #7f8c8d; font-size: 14px; margin-bottom: 20px; }
+        .summary { display: flex; flex-wrap: wrap; gap: 20px; margin-bottom: 25px; }
+        .summary div { border: 1px solid #ddd; border-radius: 6px; padding: 10px 15px; }
+        .summary strong { display: block; font-size: 20px; }
+        table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+        th { background: #f5f5f5; }
+        td.count { text-align: center; }
+        .speaker { font-weight: bold; color: #1565C0; }
+        .correct { color: #27ae60; }
+        .misspelled { color: #e74c3c; text-decoration: underline wavy #e74c3c; }
+        .missing { color: #e74c3c; text-decoration: line-through; }
+        .equivalent { border-bottom: 1px dotted #27ae60; }
+        .extra { color: #9b59b6; font-style: italic; font-size: 13px; }
+        .not-attempted { color: #999; }
+        .print-btn { margin-bottom: 20px; padding: 8px 16px; font-size: 14px; cursor: pointer; }
+        @media print {
+            body { margin: 0; max-width: none; }
+            .print-btn { display: none; }
+            tr { page-break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+    <h1>${escapeHTML(exercise.title)}</h1>
+    <div class="meta">
+        ${exercise.level ? `Level ${escapeHTML(exercise.level)} · ` : ''}${new Date(report.generatedAt).toLocaleString()}
+    </div>
+    <div class="summary">
+        <div>Completion<strong>${summary.completionPercentage}%</strong></div>
+        <div>Accuracy<strong>${summary.accuracy}%</strong></div>
+        ${words ? `<div>Words (correct / misspelled / missing / extra)<strong>${words.correctWords} / ${words.misspelledWords} / ${words.missingWords} / ${words.extraWords}</strong></div>` : ''}
+        <div>Time<strong>${formatTime(summary.totalTimeMs / 1000)}</strong></div>
+    </div>
+    <table>
+        <thead>
+            <tr>
+                <th>#</th>
+                <th>Reference</th>
+                <th>Input</th>
+                <th>Speed</th>
+                <th>Replays</th>
+                <th>Correct</th>
+                <th>Misspelled</th>
+                <th>Missing</th>
+                <th>Extra</th>
+            </tr>
+        </thead>
+        <tbody>${segmentRows}</tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate an export and download it
+ * @param {string} format - 'json', 'csv' or 'html'
+ * @param {Object} report - Report from buildResultsReport
+ */
+export function downloadResults(format, report) {
+    const baseName = `${(report.exercise.id || 'dictation').replace(/[^a-z0-9_-]+/gi, '-')}-results-${report.generatedAt.slice(0, 10)}`;
+
+    switch (format) {
+        case 'json':
+            downloadFile(generateResultsJSON(report), `${baseName}.json`, 'application/json');
+            break;
+        case 'csv':
+            // Byte order mark so spreadsheet programs read umlauts correctly
+            downloadFile('\uFEFF' + generateResultsCSV(report), `${baseName}.csv`, 'text/csv;charset=utf-8');
+            break;
+        case 'html':
+            downloadFile(generateResultsReportHTML(report), `${baseName}.html`, 'text/html;charset=utf-8');
+            break;
+        default:
+            console.error('Unknown export format:', format);
+    }
+}
+
+/**
+ * Count the word statuses of a comparison result
+ * @param {Object} comparison - Result from processInput
+ * @returns {Object} - { correct, misspelled, missing, extra }
+ */
+function countWords(comparison) {
+    const count = status => comparison.words.filter(word => word.status === status).length;
+
+    return {
+        correct: count('correct'),
+        misspelled: count('misspelled'),
+        missing: count('missing'),
+        extra: comparison.extraWords ? comparison.extraWords.length : 0
+    };
+}
+
+/**
+ * Highlight the reference words of a segment by their status
+ * @param {Object} comparison - Result from processInput
+ * @returns {string} - HTML
+ */
+function highlightReference(comparison) {
+    return comparison.words.map(word => {
+        if (word.equivalence) {
+            const typed = escapeHTML(word.equivalence.typed);
+            return `<span class="${word.status} equivalent" title="Accepted ${word.equivalence.type}: ${typed}">${escapeHTML(word.expected)}</span>`;
+        }
+        const title = word.status === 'misspelled' ? ` title="Typed: ${escapeHTML(word.word)}"` : '';
+        return `<span class="${word.status}"${title}>${escapeHTML(word.expected)}</span>`;
+    }).join(' ');
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function escapeCSVField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
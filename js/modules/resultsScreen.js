@@ -4,7 +4,12 @@
  */
 import { config } from './config.js';
 import { getAllSegments } from './segmentManager.js';
-import { getAllUserInputs } from './userDataStore.js';
+import { getAllUserInputs, getAllPlaybackRates, getAllReplayCounts } from './userDataStore.js';
+import { returnToExercisePicker } from './exerciseCatalog.js';
+import { saveAttempt } from './attemptHistory.js';
+import { showHistoryView } from './historyView.js';
+import { buildResultsReport, downloadResults } from './resultsExport.js';
+import { escapeHTML } from '../utils/helpers.js';
 import { 
   generateResultHTML,
   processInput 
@@ -16,11 +21,21 @@ let exerciseStartTime = null;
 let exerciseEndTime = null;
 let segmentTimes = [];
 
+// Exercise the results belong to, and whether the current attempt was already stored
+let currentExercise = null;
+let attemptRecorded = false;
+
+// Whether mistakes are listed per speaker (dialog exercises) instead of in segment order
+let groupBySpeaker = false;
+
 /**
  * Initialize the results screen
+ * @param {Object} exercise - The exercise being practised (used for the attempt history)
  * @returns {Object} - Public methods for the results screen
  */
-export function initResultsScreen() {
+export function initResultsScreen(exercise) {
+    currentExercise = exercise;
+    
     // Create the results container if it doesn't exist
     createResultsContainer();
     
@@ -31,7 +46,9 @@ export function initResultsScreen() {
     return {
         showResults,
         hideResults,
-        trackSegmentTime
+        trackSegmentTime,
+        getTimingState,
+        restoreTimingState
     };
 }
 
@@ -61,6 +78,55 @@ export function showResults() {
     // Set exercise end time
     exerciseEndTime = Date.now();
     
+    renderResults();
+    recordAttempt();
+}
+
+/**
+ * Store the finished attempt in the attempt history (once per attempt)
+ */
+function recordAttempt() {
+    if (attemptRecorded || !currentExercise) return;
+    
+    const segments = getAllSegments();
+    const userInputs = getAllUserInputs();
+    const stats = calculateStatistics(segments, userInputs);
+    
+    // An attempt without any typed segment is not worth keeping
+    if (stats.completedSegments === 0) return;
+    
+    attemptRecorded = true;
+    saveAttempt({
+        exerciseId: currentExercise.id,
+        exerciseTitle: currentExercise.title,
+        date: new Date(exerciseEndTime).toISOString(),
+        accuracy: stats.accuracy,
+        completionPercentage: stats.completionPercentage,
+        errorCount: stats.errorCount,
+        wordStats: stats.advancedMetrics,
+        totalTimeMs: stats.totalTimeMs,
+        segmentTimes: [...segmentTimes],
+        inputs: userInputs,
+        playbackRates: getAllPlaybackRates(),
+        replayCounts: getAllReplayCounts()
+    });
+}
+
+/**
+ * Get what was recorded per segment besides the input
+ * @returns {Object} - { playbackRates, replayCounts }, one entry per segment
+ */
+function getSegmentData() {
+    return {
+        playbackRates: getAllPlaybackRates(),
+        replayCounts: getAllReplayCounts()
+    };
+}
+
+/**
+ * Render the results into the results container
+ */
+function renderResults() {
     // Get the results container
     const resultsContainer = document.getElementById('results-container');
     if (!resultsContainer) return;
@@ -68,12 +134,13 @@ export function showResults() {
     // Get all segments and user inputs
     const segments = getAllSegments();
     const userInputs = getAllUserInputs();
+    const segmentData = getSegmentData();
     
     // Calculate statistics
     const stats = calculateStatistics(segments, userInputs);
     
     // Generate HTML for results screen
-    resultsContainer.innerHTML = generateResultsHTML(stats, segments, userInputs);
+    resultsContainer.innerHTML = generateResultsHTML(stats, segments, userInputs, segmentData);
     
     // Show the results container
     resultsContainer.style.display = 'block';
@@ -101,6 +168,26 @@ export function trackSegmentTime(segmentIndex, timeMs) {
     segmentTimes[segmentIndex] = timeMs;
 }
 
+/**
+ * Get the timing information so it can be saved with the session
+ * @returns {Object} - { elapsedMs, segmentTimes }
+ */
+export function getTimingState() {
+    return {
+        elapsedMs: exerciseStartTime ? Date.now() - exerciseStartTime : 0,
+        segmentTimes: [...segmentTimes]
+    };
+}
+
+/**
+ * Restore saved timing information so the exercise timer continues where it stopped
+ * @param {Object} timing - { elapsedMs, segmentTimes } as returned by getTimingState
+ */
+export function restoreTimingState(timing) {
+    exerciseStartTime = Date.now() - (timing.elapsedMs || 0);
+    segmentTimes = Array.isArray(timing.segmentTimes) ? [...timing.segmentTimes] : [];
+}
+
 /**
  * Calculate statistics for the exercise
  * @param {Array} segments - Array of all segments
@@ -189,9 +276,10 @@ function calculateStatistics(segments, userInputs) {
  * @param {Object} stats - Statistics object
  * @param {Array} segments - Array of all segments
  * @param {Array} userInputs - Array of user inputs
+ * @param {Object} segmentData - Per-segment { playbackRates, replayCounts } from getSegmentData
  * @returns {string} - HTML for the results screen
  */
-function generateResultsHTML(stats, segments, userInputs) {
+function generateResultsHTML(stats, segments, userInputs, segmentData) {
     // Header and stats sections (as in previous suggestion)
     let html = `
         <div class="results-header">
@@ -232,60 +320,28 @@ function generateResultsHTML(stats, segments, userInputs) {
         </div>
     `;
     
+    // Dialog exercises can list their mistakes per speaker
+    const hasSpeakers = segments.some(segment => segment.speaker);
+    if (hasSpeakers) {
+        html += `
+            <div class="results-view-options">
+                <button id="group-by-speaker-btn" class="toggle-btn" aria-pressed="${groupBySpeaker}">
+                    ${groupBySpeaker ? 'Show in segment order' : 'Group mistakes by speaker'}
+                </button>
+            </div>
+        `;
+    }
+    
     // Generate the segments section - focus on reference text with highlighting
     html += '<div class="results-segments">';
     
-    segments.forEach((segment, index) => {
-        const userInput = userInputs[index] || '';
-        if (userInput.trim() === '') return;
-        
-        try {
-            // Use the advanced comparison system
-            const comparisonResult = processInput(segment.text, userInput);
-            
-            // Only show segments with errors
-            const hasErrors = comparisonResult.words.some(w => w.status !== 'correct') || 
-                           (comparisonResult.extraWords && comparisonResult.extraWords.length > 0);
-                        
-            if (hasErrors) {
-                // Show the segment with reference text as the primary content
-                html += `
-                    <div class="segment-result">
-                        <div class="segment-header">
-                            <span>Segment ${index + 1}</span>
-                        </div>
-                        <div class="segment-content">
-                            <div class="reference-text">`;
-                
-                // Highlight reference text based on comparison
-                comparisonResult.words.forEach(word => {
-                    if (word.status === 'correct') {
-                        html += `<span class="word-correct">${word.expected}</span> `;
-                    } else if (word.status === 'misspelled') {
-                        html += `<span class="word-misspelled" title="User typed: ${word.word}">${word.expected}</span> `;
-                    } else if (word.status === 'missing') {
-                        html += `<span class="word-missing">${word.expected}</span> `;
-                    }
-                });
-                
-                html += `</div>`;
-                
-                // Show extra words if any
-                if (comparisonResult.extraWords && comparisonResult.extraWords.length > 0) {
-                    html += `<div class="extra-words-container">Extra words: `;
-                    comparisonResult.extraWords.forEach(extraWord => {
-                        html += `<span class="word-extra">${extraWord.word}</span> `;
-                    });
-                    html += `</div>`;
-                }
-                
-                html += `</div></div>`;
-            }
-        } catch (e) {
-            console.error("Advanced comparison failed for segment", index, e);
-            // Fallback implementation
-        }
-    });
+    if (hasSpeakers && groupBySpeaker) {
+        html += generateSpeakerGroupsHTML(segments, userInputs, segmentData);
+    } else {
+        segments.forEach((segment, index) => {
+            html += generateSegmentResultHTML(segment, index, userInputs[index] || '', segmentData).html;
+        });
+    }
     
     html += '</div>';
     
@@ -294,24 +350,173 @@ function generateResultsHTML(stats, segments, userInputs) {
         <div class="results-actions">
             <button id="retry-btn" class="result-btn retry-btn">Retry Exercise</button>
             <button id="new-exercise-btn" class="result-btn new-exercise-btn">New Exercise</button>
+            <button id="history-btn" class="result-btn history-btn">View Progress</button>
+        </div>
+        <div class="results-export">
+            <span class="results-export-label">Export results:</span>
+            <button class="export-btn" data-export-format="json" title="Full comparison result per segment">JSON</button>
+            <button class="export-btn" data-export-format="csv" title="One row per segment">CSV</button>
+            <button class="export-btn" data-export-format="html" title="Printable report (print or save as PDF)">Printable Report</button>
         </div>
     `;
     
     return html;
 }
 
+/**
+ * Generate HTML for one segment of the results (only segments with mistakes are shown)
+ * @param {Object} segment - The segment (cue) object
+ * @param {number} index - Index of the segment
+ * @param {string} userInput - What the user typed for this segment
+ * @param {Object} segmentData - Per-segment { playbackRates, replayCounts } from getSegmentData
+ * @returns {Object} - { html, mistakes } where html is empty if the segment has no mistakes
+ */
+function generateSegmentResultHTML(segment, index, userInput, segmentData) {
+    if (userInput.trim() === '') return { html: '', mistakes: 0 };
+    
+    const playbackRate = segmentData.playbackRates[index];
+    const replays = segmentData.replayCounts[index] || 0;
+    
+    try {
+        // Use the advanced comparison system
+        const comparisonResult = processInput(segment.text, userInput);
+        const extraWords = comparisonResult.extraWords || [];
+        const mistakes = comparisonResult.words.filter(w => w.status !== 'correct').length + extraWords.length;
+        
+        const equivalences = comparisonResult.equivalences || [];
+        
+        // Only show segments with errors (or words accepted in another spelling)
+        if (mistakes === 0 && equivalences.length === 0) return { html: '', mistakes: 0 };
+        
+        // Show the segment with reference text as the primary content
+        let html = `
+            <div class="segment-result">
+                <div class="segment-header">
+                    <span>Segment ${index + 1}</span>
+                    ${segment.speaker ? `<span class="segment-result-speaker">${escapeHTML(segment.speaker)}</span>` : ''}
+                    ${playbackRate && playbackRate !== 1 ? `<span class="segment-result-speed" title="Playback speed">${playbackRate}×</span>` : ''}
+                    ${replays > 0 ? `<span class="segment-result-replays" title="Replays">↻ ${replays}</span>` : ''}
+                </div>
+                <div class="segment-content">
+                    <div class="reference-text">`;
+        
+        // Highlight reference text based on comparison
+        comparisonResult.words.forEach(word => {
+            if (word.status === 'correct' && word.equivalence) {
+                html += `<span class="word-correct word-equivalent" title="Accepted ${word.equivalence.type}: ${escapeHTML(word.equivalence.typed)}">${escapeHTML(word.expected)}</span> `;
+            } else if (word.status === 'correct') {
+                html += `<span class="word-correct">${escapeHTML(word.expected)}</span> `;
+            } else if (word.status === 'misspelled') {
+                html += `<span class="word-misspelled" title="User typed: ${escapeHTML(word.word)}">${escapeHTML(word.expected)}</span> `;
+            } else if (word.status === 'missing') {
+                html += `<span class="word-missing">${escapeHTML(word.expected)}</span> `;
+            }
+        });
+        
+        html += `</div>`;
+        
+        // Show extra words if any
+        if (extraWords.length > 0) {
+            html += `<div class="extra-words-container">Extra words: `;
+            extraWords.forEach(extraWord => {
+                html += `<span class="word-extra">${escapeHTML(extraWord.word)}</span> `;
+            });
+            html += `</div>`;
+        }
+        
+        html += `</div></div>`;
+        
+        return { html, mistakes };
+    } catch (e) {
+        console.error("Advanced comparison failed for segment", index, e);
+        return { html: '', mistakes: 0 };
+    }
+}
+
+/**
+ * Generate HTML for the results grouped by speaker
+ * @param {Array} segments - Array of all segments
+ * @param {Array} userInputs - Array of user inputs
+ * @param {Object} segmentData - Per-segment { playbackRates, replayCounts } from getSegmentData
+ * @returns {string} - HTML with one group per speaker, in order of first appearance
+ */
+function generateSpeakerGroupsHTML(segments, userInputs, segmentData) {
+    const groups = new Map();
+    
+    segments.forEach((segment, index) => {
+        const speaker = segment.speaker || 'No speaker';
+        if (!groups.has(speaker)) {
+            groups.set(speaker, { html: '', mistakes: 0 });
+        }
+        
+        const result = generateSegmentResultHTML(segment, index, userInputs[index] || '', segmentData);
+        const group = groups.get(speaker);
+        group.html += result.html;
+        group.mistakes += result.mistakes;
+    });
+    
+    let html = '';
+    groups.forEach((group, speaker) => {
+        html += `
+            <div class="speaker-group">
+                <h3 class="speaker-group-title">${escapeHTML(speaker)}
+                    <span class="speaker-mistakes">${group.mistakes} ${group.mistakes === 1 ? 'mistake' : 'mistakes'}</span>
+                </h3>
+                ${group.html || '<p class="speaker-no-mistakes">No mistakes</p>'}
+            </div>
+        `;
+    });
+    
+    return html;
+}
+
 /**
  * Set up event listeners for result screen buttons
  */
 function setupResultEventListeners() {
     const retryBtn = document.getElementById('retry-btn');
     const newExerciseBtn = document.getElementById('new-exercise-btn');
+    const groupBySpeakerBtn = document.getElementById('group-by-speaker-btn');
+    const historyBtn = document.getElementById('history-btn');
+    
+    document.querySelectorAll('.results-export .export-btn').forEach(exportBtn => {
+        exportBtn.addEventListener('click', () => {
+            const segments = getAllSegments();
+            const userInputs = getAllUserInputs();
+            const stats = calculateStatistics(segments, userInputs);
+            const report = buildResultsReport(currentExercise, segments, userInputs, stats, getSegmentData());
+            downloadResults(exportBtn.dataset.exportFormat, report);
+        });
+    });
+    
+    if (historyBtn) {
+        historyBtn.addEventListener('click', () => {
+            // Show the progress over time; going back re-opens these results
+            hideResults();
+            showHistoryView(currentExercise, () => {
+                document.getElementById('results-container').style.display = 'block';
+            });
+        });
+    }
+    
+    if (groupBySpeakerBtn) {
+        groupBySpeakerBtn.addEventListener('click', () => {
+            groupBySpeaker = !groupBySpeaker;
+            renderResults();
+        });
+    }
     
     if (retryBtn) {
         retryBtn.addEventListener('click', () => {
             // Hide results and reset exercise
             hideResults();
             
+            // Start timing a new attempt
+            exerciseStartTime = Date.now();
+            exerciseEndTime = null;
+            segmentTimes = [];
+            attemptRecorded = false;
+            
             // Dispatch retry event
             document.dispatchEvent(new Event('retryExercise'));
         });
@@ -322,8 +527,8 @@ function setupResultEventListeners() {
             // Hide results
             hideResults();
             
-            // Dispatch new exercise event
-            document.dispatchEvent(new Event('newExercise'));
+            // Go back to the exercise picker
+            returnToExercisePicker();
         });
     }
 }
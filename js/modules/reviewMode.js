@@ -0,0 +1,223 @@
+/**
+ * Module for the read-only teacher review mode
+ * Loads a results JSON exported by a student, rebuilds each segment's comparison
+ * and lets the teacher step through the segments with the exercise audio.
+ * The learner's own data store and saved session are never touched.
+ */
+import { config } from './config.js';
+import { initSegmentManager, setCurrentSegmentIndex, replayCurrentSegment, stopSegmentPlayback, getCurrentSegment } from './segmentManager.js';
+import { processInput } from './textComparison/index.js';
+import { createDualInputDisplay, updateRawInputDisplay, updateReferenceMappingDisplay } from './uiManager.js';
+import { returnToExercisePicker } from './exerciseCatalog.js';
+import { formatTime, escapeHTML } from '../utils/helpers.js';
+
+// Elements of the regular dictation UI that are hidden while reviewing
+const DICTATION_ELEMENT_IDS = ['controls', config.segmentContainerId, 'capitalization-toggle-container', config.inputContainerId];
+
+// Numeric fields of the report summary shown in the review banner
+const SUMMARY_FIELDS = ['completionPercentage', 'accuracy', 'totalTimeMs'];
+
+/**
+ * Read a results file exported from the results screen
+ * @param {File} file - The .json file
+ * @returns {Promise<Object>} - Promise resolving to the validated report
+ */
+export async function loadResultsFile(file) {
+    const content = await file.text();
+    try {
+        return parseResultsReport(content);
+    } catch (error) {
+        throw new Error(`Could not read "${file.name}": ${error.message}`);
+    }
+}
+
+/**
+ * Parse and validate the content of a results JSON export
+ * @param {string} content - JSON text
+ * @returns {Object} - The report ({ exercise, generatedAt, summary, segments })
+ */
+export function parseResultsReport(content) {
+    let report;
+    try {
+        report = JSON.parse(content);
+    } catch (error) {
+        throw new Error('the file is not valid JSON');
+    }
+
+    if (!report || typeof report !== 'object' || !report.exercise || !Array.isArray(report.segments)) {
+        throw new Error('this is not a results file exported from the results screen (use "Export results: JSON")');
+    }
+    if (report.segments.length === 0) {
+        throw new Error('the results file contains no segments');
+    }
+
+    report.segments.forEach((segment, index) => {
+        const valid = segment
+            && typeof segment.reference === 'string'
+            && typeof segment.input === 'string'
+            && typeof segment.startTime === 'number'
+            && typeof segment.endTime === 'number';
+        if (!valid) {
+            throw new Error(`segment ${index + 1} is missing its reference, input or timing`);
+        }
+    });
+
+    // The summary is only displayed; drop anything that isn't a plain number
+    if (report.summary && typeof report.summary === 'object') {
+        SUMMARY_FIELDS.forEach(field => {
+            if (!Number.isFinite(report.summary[field])) {
+                delete report.summary[field];
+            }
+        });
+    } else {
+        report.summary = null;
+    }
+
+    return report;
+}
+
+/**
+ * Turn the report's segments into cues with a freshly computed comparison
+ * The comparison stored in the file is not trusted; it is rebuilt from reference and input
+ * @param {Object} report - Report from parseResultsReport
+ * @returns {Array} - Cue objects ({ id, startTime, endTime, text, speaker, playbackRate, replays, input, attempted, comparison })
+ */
+export function buildReviewSegments(report) {
+    return report.segments.map(segment => {
+        const attempted = segment.input.trim() !== '';
+
+        return {
+            id: segment.id || '',
+            startTime: segment.startTime,
+            endTime: segment.endTime,
+            text: segment.reference,
+            speaker: segment.speaker || null,
+            playbackRate: typeof segment.playbackRate === 'number' ? segment.playbackRate : null,
+            replays: Number.isInteger(segment.replays) ? segment.replays : 0,
+            input: segment.input,
+            attempted,
+            comparison: processInput(segment.reference, attempted ? segment.input : '')
+        };
+    });
+}
+
+/**
+ * Format the report summary for the review banner
+ * @param {Object|null} summary - Summary from parseResultsReport
+ * @returns {string} - Text such as "· Completion 50% · Accuracy 75% · Time 01:00" (empty without a summary)
+ */
+function formatReportSummary(summary) {
+    if (!summary) return '';
+
+    const parts = [];
+    if ('completionPercentage' in summary) parts.push(`Completion ${summary.completionPercentage}%`);
+    if ('accuracy' in summary) parts.push(`Accuracy ${summary.accuracy}%`);
+    if ('totalTimeMs' in summary) parts.push(`Time ${formatTime(summary.totalTimeMs / 1000)}`);
+
+    return parts.map(part => `· ${part}`).join(' ');
+}
+
+/**
+ * Start the review mode for a student's results
+ * @param {HTMLAudioElement|null} audio - The exercise audio (null if it isn't available)
+ * @param {Object} report - Report from parseResultsReport
+ */
+export function startReviewMode(audio, report) {
+    const playerContainer = document.getElementById(config.playerContainerId);
+    const reviewSegments = buildReviewSegments(report);
+
+    // Hide the regular dictation controls; the review panel has its own navigation
+    DICTATION_ELEMENT_IDS.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.style.display = 'none';
+    });
+
+    initSegmentManager(reviewSegments);
+
+    const reviewContainer = document.createElement('div');
+    reviewContainer.id = config.reviewContainerId;
+    reviewContainer.className = 'review-container';
+    reviewContainer.innerHTML = `
+        <div class="review-banner">
+            <span class="review-badge">Review</span>
+            Results exported ${escapeHTML(new Date(report.generatedAt).toLocaleString())}
+            ${escapeHTML(formatReportSummary(report.summary))}
+        </div>
+        <div class="segment-controls review-nav">
+            <button class="control-btn segment-btn review-prev-btn">◄ Prev</button>
+            <button class="control-btn segment-btn review-play-btn" ${audio ? '' : 'disabled title="No audio available for this exercise"'}>▶ Play</button>
+            <button class="control-btn segment-btn review-next-btn">Next ►</button>
+            <span class="segment-indicator review-indicator"></span>
+            <span class="segment-speaker review-speaker" style="display: none;"></span>
+        </div>
+        <div class="highlight-container review-display"></div>
+        <div class="review-segment-summary"></div>
+        <div class="results-actions">
+            <button class="result-btn new-exercise-btn review-exit-btn">Exit Review</button>
+        </div>
+    `;
+    playerContainer.appendChild(reviewContainer);
+
+    const display = createDualInputDisplay(reviewContainer.querySelector('.review-display'));
+
+    const showSegment = (index) => {
+        if (audio) stopSegmentPlayback(audio);
+        setCurrentSegmentIndex(index);
+        renderReviewSegment(reviewContainer, display, getCurrentSegment());
+    };
+
+    reviewContainer.querySelector('.review-prev-btn').addEventListener('click', () => {
+        const current = getCurrentSegment();
+        if (current && !current.isFirst) showSegment(current.index - 1);
+    });
+
+    reviewContainer.querySelector('.review-next-btn').addEventListener('click', () => {
+        const current = getCurrentSegment();
+        if (current && !current.isLast) showSegment(current.index + 1);
+    });
+
+    reviewContainer.querySelector('.review-play-btn').addEventListener('click', () => {
+        if (audio) replayCurrentSegment(audio);
+    });
+
+    reviewContainer.querySelector('.review-exit-btn').addEventListener('click', () => {
+        returnToExercisePicker();
+    });
+
+    showSegment(0);
+    console.log(`Review mode started for ${report.exercise.id} (${reviewSegments.length} segments)`);
+}
+
+/**
+ * Show one segment of the reviewed attempt
+ * @param {HTMLElement} reviewContainer - The review panel
+ * @param {Object} display - Elements from createDualInputDisplay
+ * @param {Object} current - Current segment info from getCurrentSegment
+ */
+function renderReviewSegment(reviewContainer, display, current) {
+    const segment = current.cue;
+
+    reviewContainer.querySelector('.review-indicator').textContent = `Segment ${current.index + 1} of ${current.total}`;
+
+    const speakerLabel = reviewContainer.querySelector('.review-speaker');
+    speakerLabel.textContent = segment.speaker || '';
+    speakerLabel.style.display = segment.speaker ? 'inline-block' : 'none';
+
+    // Same colored word view as during the dictation
+    updateReferenceMappingDisplay(display.referenceMapRow, segment.comparison, segment.text);
+    updateRawInputDisplay(display.rawInputDisplay, segment.attempted ? segment.input : '(not attempted)');
+
+    const count = status => segment.comparison.words.filter(word => word.status === status).length;
+    const extraWords = segment.comparison.extraWords || [];
+    reviewContainer.querySelector('.review-segment-summary').innerHTML = segment.attempted
+        ? `
+            <span class="word-correct">${count('correct')} correct</span> ·
+            <span class="word-misspelled">${count('misspelled')} misspelled</span> ·
+            <span class="word-missing">${count('missing')} missing</span> ·
+            <span class="word-extra">${extraWords.length} extra</span>
+            ${segment.playbackRate && segment.playbackRate !== 1 ? `· <span class="review-speed">heard at ${segment.playbackRate}×</span>` : ''}
+            ${segment.replays > 0 ? `· <span class="review-speed">replayed ${segment.replays}×</span>` : ''}
+            ${extraWords.length > 0 ? `<div class="extra-words-container">Extra words: ${extraWords.map(extra => `<span class="word-extra">${escapeHTML(extra.word)}</span>`).join(' ')}</div>` : ''}
+        `
+        : '<span class="review-not-attempted">The student did not type this segment.</span>';
+}
@@ -0,0 +1,176 @@
+/**
+ * Module for merging and splitting segments during practice
+ * A cue that is too short can be merged with the next one, a run-on cue can be split at
+ * a word boundary. The changed segments (also the timings changed in the waveform view)
+ * can be saved as an adjusted VTT file.
+ */
+import { config } from './config.js';
+import { createSegmentMarkers } from './player.js';
+import { getCurrentSegment, getAllSegments, mergeWithNextSegment, splitSegment, jumpToSegment } from './segmentManager.js';
+import { generateVTTContent } from '../utils/vttHelpers.js';
+import { downloadFile } from '../utils/helpers.js';
+
+// Audio element and exercise of the editor
+let editorAudio = null;
+let editorExercise = null;
+
+/**
+ * Set up the merge, split and save buttons
+ * @param {HTMLAudioElement} audio - The audio element
+ * @param {Object} exercise - The exercise ({ id, title })
+ */
+export function initSegmentEditor(audio, exercise) {
+    editorAudio = audio;
+    editorExercise = exercise;
+
+    const mergeBtn = document.getElementById(config.mergeSegmentBtnId);
+    const splitBtn = document.getElementById(config.splitSegmentBtnId);
+    const saveBtn = document.getElementById(config.saveVttBtnId);
+
+    if (mergeBtn) {
+        mergeBtn.addEventListener('click', mergeCurrentSegment);
+    }
+    if (splitBtn) {
+        splitBtn.addEventListener('click', toggleSplitChooser);
+    }
+    if (saveBtn) {
+        saveBtn.addEventListener('click', saveAdjustedVTT);
+    }
+
+    document.addEventListener('segmentStarted', () => {
+        hideSplitChooser();
+        updateEditButtons();
+    });
+    document.addEventListener('segmentsChanged', handleSegmentsChanged);
+    document.addEventListener('cueTimingChanged', markUnsavedChanges);
+
+    updateEditButtons();
+}
+
+/**
+ * Merge the current segment with the next one and play the merged segment
+ */
+function mergeCurrentSegment() {
+    const segment = getCurrentSegment();
+    if (!segment || segment.isLast) return;
+
+    if (mergeWithNextSegment(editorAudio, segment.index)) {
+        jumpToSegment(editorAudio, segment.index);
+    }
+}
+
+/**
+ * Show the words of the current segment with a split point between every two words,
+ * or hide them if they are shown
+ */
+function toggleSplitChooser() {
+    const chooser = document.getElementById(config.splitChooserId);
+    const segment = getCurrentSegment();
+    if (!chooser || !segment) return;
+
+    if (chooser.style.display !== 'none') {
+        hideSplitChooser();
+        return;
+    }
+
+    const words = segment.text.trim().split(/\s+/);
+    chooser.innerHTML = `
+        <p class="split-chooser-hint">Click where the segment should be split:</p>
+        <div class="split-chooser-words"></div>
+        <button class="control-btn split-cancel-btn">Cancel</button>
+    `;
+
+    const wordsContainer = chooser.querySelector('.split-chooser-words');
+    words.forEach((word, index) => {
+        if (index > 0) {
+            const splitPoint = document.createElement('button');
+            splitPoint.className = 'split-point';
+            splitPoint.dataset.wordIndex = index;
+            splitPoint.title = `Split before "${word}"`;
+            splitPoint.textContent = '|';
+            wordsContainer.appendChild(splitPoint);
+        }
+
+        const wordElement = document.createElement('span');
+        wordElement.className = 'split-chooser-word';
+        wordElement.textContent = word;
+        wordsContainer.appendChild(wordElement);
+    });
+
+    wordsContainer.addEventListener('click', (e) => {
+        const splitPoint = e.target.closest('.split-point');
+        if (!splitPoint) return;
+
+        if (splitSegment(editorAudio, segment.index, Number(splitPoint.dataset.wordIndex))) {
+            jumpToSegment(editorAudio, segment.index);
+        }
+    });
+    chooser.querySelector('.split-cancel-btn').addEventListener('click', hideSplitChooser);
+
+    chooser.style.display = 'block';
+}
+
+/**
+ * Hide the split chooser
+ */
+function hideSplitChooser() {
+    const chooser = document.getElementById(config.splitChooserId);
+    if (chooser) {
+        chooser.style.display = 'none';
+        chooser.innerHTML = '';
+    }
+}
+
+/**
+ * Enable the buttons that can be used on the current segment
+ */
+function updateEditButtons() {
+    const segment = getCurrentSegment();
+    const mergeBtn = document.getElementById(config.mergeSegmentBtnId);
+    const splitBtn = document.getElementById(config.splitSegmentBtnId);
+
+    if (mergeBtn) {
+        mergeBtn.disabled = !segment || segment.isLast;
+    }
+    if (splitBtn) {
+        splitBtn.disabled = !segment || segment.text.trim().split(/\s+/).length < 2;
+    }
+}
+
+/**
+ * Redraw the progress bar markers after segments were merged or split
+ * @param {CustomEvent} event - segmentsChanged event ({ action, index, cues })
+ */
+function handleSegmentsChanged(event) {
+    if (editorAudio.duration) {
+        createSegmentMarkers(event.detail.cues, editorAudio.duration);
+    }
+
+    hideSplitChooser();
+    updateEditButtons();
+    markUnsavedChanges();
+}
+
+/**
+ * Highlight the save button until the changed segments are saved
+ */
+function markUnsavedChanges() {
+    const saveBtn = document.getElementById(config.saveVttBtnId);
+    if (saveBtn) {
+        saveBtn.classList.add('has-changes');
+    }
+}
+
+/**
+ * Download the segments, as merged, split and retimed, as a VTT file
+ * Used by the save button and by the waveform view's download button
+ */
+export function saveAdjustedVTT() {
+    const fileName = `${editorExercise.id || 'transcript'}.vtt`;
+    downloadFile(generateVTTContent(getAllSegments()), fileName, 'text/vtt;charset=utf-8');
+
+    const saveBtn = document.getElementById(config.saveVttBtnId);
+    if (saveBtn) {
+        saveBtn.classList.remove('has-changes');
+    }
+}
@@ -4,9 +4,13 @@
 import { config } from './config.js';
 import { formatTime } from '../utils/helpers.js';
 import { generatePlaceholdersForReference, updatePlaceholders } from './uiManager.js';
+import stateManager from './utils/stateManager.js';
+import { scheduleSegmentEnd, getSegmentPlaybackRange } from './playbackScheduler.js';
+import { getReplayCount, wasSegmentPlayed, mergeSegmentData, splitSegmentData } from './userDataStore.js';
+import { mergeCues, splitCue } from '../utils/vttHelpers.js';
 
-// Store the current timeupdate handler reference
-let currentTimeUpdateHandler = null;
+// Cancels the scheduled end of the segment that is playing
+let cancelScheduledEnd = null;
 
 // Track active playback state
 let isCurrentlyPlaying = false;
@@ -14,6 +18,18 @@ let isCurrentlyPlaying = false;
 // Add protection against rapid segment advancement
 let lastAdvanceTime = 0;
 
+// Automatic repeats of the current segment (repeat mode)
+const repeatState = {
+    remaining: 0, // Plays still to come after the current one
+    timer: null   // Timeout of the pause before the next play
+};
+
+// Limits on navigation and replays (set by the exam mode)
+const playbackRestrictions = {
+    replayLimit: null,   // Replays allowed per segment, null for no limit
+    allowPrevious: true  // Whether going back to earlier segments is allowed
+};
+
 // State for segment management
 const segmentState = {
     cues: [], // Array of VTT cue objects
@@ -26,6 +42,7 @@ const segmentState = {
  * @param {Array} cues - Array of cue objects from VTT parser
  */
 export function initSegmentManager(cues) {
+    cancelRepeats();
     segmentState.cues = cues;
     segmentState.currentIndex = 0;
     segmentState.isPlaying = false;
@@ -37,84 +54,111 @@ export function initSegmentManager(cues) {
 
 /**
  * Play the current segment
+ * In repeat mode the segment is played several times with a pause between the plays
  * @param {HTMLAudioElement} audio - The audio element
  */
 export function playCurrentSegment(audio) {
-    // Prevent playback if we're already playing
-    if (isCurrentlyPlaying) {
-        console.log('Already playing a segment, ignoring request');
+    // With a replay limit, playing a segment that was already heard uses up a replay
+    if (playbackRestrictions.replayLimit !== null && wasSegmentPlayed(segmentState.currentIndex)) {
+        replayCurrentSegment(audio);
         return;
     }
+    playSegment(audio, getRepeatCount());
+}
+
+/**
+ * Start playing the current segment a number of times
+ * @param {HTMLAudioElement} audio - The audio element
+ * @param {number} plays - How often the segment is played
+ * @returns {boolean} - True if playback started
+ */
+function playSegment(audio, plays) {
+    // Prevent playback if we're already playing (a paused segment may be started again)
+    if (isCurrentlyPlaying && !audio.paused) {
+        console.log('Already playing a segment, ignoring request');
+        return false;
+    }
+    
+    cancelRepeats();
+    repeatState.remaining = plays - 1;
+    return startSegmentPlayback(audio, 0);
+}
 
+/**
+ * Play the current segment once
+ * @param {HTMLAudioElement} audio - The audio element
+ * @param {number} repeat - Number of the play in repeat mode (0 for the first play)
+ * @returns {boolean} - True if playback started
+ */
+function startSegmentPlayback(audio, repeat) {
     if (!segmentState.cues || segmentState.cues.length === 0) {
         console.error('No cues available to play');
-        return;
+        return false;
     }
     
     const currentCue = segmentState.cues[segmentState.currentIndex];
-    console.log(`Starting segment ${segmentState.currentIndex + 1} at ${currentCue.startTime.toFixed(2)}`);
     
-    // Remove any previous listener
-    if (currentTimeUpdateHandler) {
-        audio.removeEventListener('timeupdate', currentTimeUpdateHandler);
-        currentTimeUpdateHandler = null;
-    }
+    // Play a little before and after the cue so the first and last syllables aren't clipped
+    const playbackRange = getSegmentPlaybackRange(currentCue);
+    console.log(`Starting segment ${segmentState.currentIndex + 1} at ${playbackRange.startTime.toFixed(2)}`);
+    
+    // Cancel the end of any previous segment
+    clearScheduledEnd();
     
-    // Create new handler
-    currentTimeUpdateHandler = () => {
-        // Only check end time if we're still playing the same segment
-        // Log for debugging
-        // console.log(`Segment ${segmentState.currentIndex + 1}: Current time: ${audio.currentTime.toFixed(2)}, End time: ${currentCue.endTime.toFixed(2)}`);
+    // Called once the segment's end time is reached
+    const handleSegmentEnd = () => {
+        console.log(`Ending segment ${segmentState.currentIndex + 1} at time ${audio.currentTime.toFixed(2)}`);
         
-        if (audio.currentTime >= currentCue.endTime - config.segmentTimeTolerance) {
-            console.log(`Ending segment ${segmentState.currentIndex + 1} at time ${audio.currentTime.toFixed(2)}`);
-            
-            // Set flag that we've ended this segment
-            isCurrentlyPlaying = false;
-            
-            audio.pause();
-            segmentState.isPlaying = false;
-            
-            // Remove the listener to prevent multiple firings
-            if (currentTimeUpdateHandler) {
-                audio.removeEventListener('timeupdate', currentTimeUpdateHandler);
-                currentTimeUpdateHandler = null;
+        // Set flag that we've ended this segment
+        isCurrentlyPlaying = false;
+        cancelScheduledEnd = null;
+        
+        audio.pause();
+        segmentState.isPlaying = false;
+        
+        // Check if this was the last segment
+        const isLastSegment = segmentState.currentIndex === segmentState.cues.length - 1;
+        
+        // Dispatch segment ended event
+        const event = new CustomEvent('segmentEnded', {
+            detail: { 
+                index: segmentState.currentIndex,
+                cue: currentCue,
+                isLastSegment: isLastSegment,
+                repeatsRemaining: repeatState.remaining
             }
-            
-            // Check if this was the last segment
-            const isLastSegment = segmentState.currentIndex === segmentState.cues.length - 1;
-            
-            // Dispatch segment ended event
-            const event = new CustomEvent('segmentEnded', {
-                detail: { 
-                    index: segmentState.currentIndex,
-                    cue: currentCue,
-                    isLastSegment: isLastSegment
-                }
-            });
-            document.dispatchEvent(event);
-            
-            // If this was the last segment, also dispatch the showResults event
-            // if (isLastSegment) {
-            //    console.log('Last segment ended naturally, showing results');
-            //    document.dispatchEvent(new CustomEvent('showResults'));
-            // } 
+        });
+        document.dispatchEvent(event);
+        
+        // Repeat mode: play the segment again after a pause
+        if (repeatState.remaining > 0) {
+            repeatState.timer = setTimeout(() => {
+                repeatState.timer = null;
+                repeatState.remaining--;
+                startSegmentPlayback(audio, repeat + 1);
+            }, getRepeatPause(currentCue));
         }
     };
     
     // Add proper error handling for seeking
     try {
-        audio.currentTime = currentCue.startTime;
+        applyPlaybackRate(audio);
+        audio.currentTime = playbackRange.startTime;
         
         // Set flag that we're now playing
         isCurrentlyPlaying = true;
         
-        // Register new handler
-        audio.addEventListener('timeupdate', currentTimeUpdateHandler);
+        // Stop exactly at the end of the segment (including its tail)
+        const cancelThisEnd = scheduleSegmentEnd(audio, playbackRange, handleSegmentEnd);
+        cancelScheduledEnd = cancelThisEnd;
         
         // Play with error handling
         audio.play().catch(error => {
             console.error(`Failed to play segment ${segmentState.currentIndex + 1}:`, error);
+            // play() can reject after another segment has started; leave that segment's end alone
+            if (cancelScheduledEnd === cancelThisEnd) {
+                clearScheduledEnd();
+            }
             isCurrentlyPlaying = false;
         });
         
@@ -124,14 +168,83 @@ export function playCurrentSegment(audio) {
         const startEvent = new CustomEvent('segmentStarted', {
             detail: { 
                 index: segmentState.currentIndex,
-                cue: segmentState.cues[segmentState.currentIndex]
+                cue: segmentState.cues[segmentState.currentIndex],
+                playbackRate: audio.playbackRate,
+                repeat
             }
         });
         document.dispatchEvent(startEvent);
+        return true;
         
     } catch (error) {
-        console.error(`Failed to seek to ${currentCue.startTime} for segment ${segmentState.currentIndex + 1}:`, error);
+        console.error(`Failed to seek to ${playbackRange.startTime} for segment ${segmentState.currentIndex + 1}:`, error);
+        clearScheduledEnd();
         isCurrentlyPlaying = false;
+        return false;
+    }
+}
+
+/**
+ * Limit replays and backwards navigation (used by the exam mode)
+ * @param {Object} restrictions - { replayLimit, allowPrevious }; omitted values are left unchanged
+ */
+export function setPlaybackRestrictions(restrictions) {
+    Object.assign(playbackRestrictions, restrictions);
+}
+
+/**
+ * Cancel the remaining automatic repeats of the current segment
+ * A play that is already running is not interrupted
+ */
+export function cancelRepeats() {
+    if (repeatState.timer) {
+        clearTimeout(repeatState.timer);
+        repeatState.timer = null;
+    }
+    repeatState.remaining = 0;
+}
+
+/**
+ * Get how often each segment is played in repeat mode
+ * @returns {number} - Number of plays (1 = repeat mode off)
+ */
+function getRepeatCount() {
+    const repeatCount = stateManager.getState('audio').repeatCount;
+    return Number.isInteger(repeatCount) && repeatCount > 1 ? repeatCount : 1;
+}
+
+/**
+ * Get the pause between two plays of a segment in repeat mode
+ * Unless a fixed pause is configured, longer segments get a longer pause to write them down
+ * @param {Object} cue - The cue being repeated
+ * @returns {number} - Pause in milliseconds
+ */
+function getRepeatPause(cue) {
+    if (typeof config.repeatPause === 'number') {
+        return config.repeatPause;
+    }
+    const segmentDuration = (cue.endTime - cue.startTime) * 1000;
+    return Math.max(config.repeatPauseMin, segmentDuration * config.repeatPauseFactor);
+}
+
+/**
+ * Apply the selected playback speed to the audio element
+ * Pitch is preserved where the browser supports it, so slowed down speech doesn't sound lower
+ * @param {HTMLAudioElement} audio - The audio element
+ */
+export function applyPlaybackRate(audio) {
+    const playbackRate = stateManager.getState('audio').playbackRate || 1;
+    
+    // Some browsers reset playbackRate to defaultPlaybackRate when the source reloads
+    audio.defaultPlaybackRate = playbackRate;
+    audio.playbackRate = playbackRate;
+    
+    if ('preservesPitch' in audio) {
+        audio.preservesPitch = true;
+    } else if ('webkitPreservesPitch' in audio) {
+        audio.webkitPreservesPitch = true;
+    } else if ('mozPreservesPitch' in audio) {
+        audio.mozPreservesPitch = true;
     }
 }
 
@@ -143,11 +256,8 @@ export function playCurrentSegment(audio) {
 export function nextSegment(audio) {
     // First pause any playing audio and clear handlers
     audio.pause();
-    
-    if (currentTimeUpdateHandler) {
-        audio.removeEventListener('timeupdate', currentTimeUpdateHandler);
-        currentTimeUpdateHandler = null;
-    }
+    clearScheduledEnd();
+    cancelRepeats();
     
     // Reset the playing state flag
     isCurrentlyPlaying = false;
@@ -175,7 +285,7 @@ export function nextSegment(audio) {
  * @returns {boolean} - True if moved to previous segment, false if already at first segment
  */
 export function previousSegment(audio) {
-    if (segmentState.currentIndex > 0) {
+    if (segmentState.currentIndex > 0 && playbackRestrictions.allowPrevious) {
         segmentState.currentIndex--;
         updateSegmentIndicator();
         playCurrentSegment(audio);
@@ -185,11 +295,26 @@ export function previousSegment(audio) {
 }
 
 /**
- * Replay the current segment
+ * Replay the current segment once (remaining automatic repeats are cancelled)
+ * Dispatches a segmentReplayed event so replays can be counted per segment,
+ * or replayLimitReached if the segment's replays are used up
  * @param {HTMLAudioElement} audio - The audio element
  */
 export function replayCurrentSegment(audio) {
-    playCurrentSegment(audio);
+    const { replayLimit } = playbackRestrictions;
+    if (replayLimit !== null && getReplayCount(segmentState.currentIndex) >= replayLimit) {
+        console.log(`Replay limit of ${replayLimit} reached for segment ${segmentState.currentIndex + 1}`);
+        document.dispatchEvent(new CustomEvent('replayLimitReached', {
+            detail: { index: segmentState.currentIndex, replayLimit }
+        }));
+        return;
+    }
+    
+    if (playSegment(audio, 1)) {
+        document.dispatchEvent(new CustomEvent('segmentReplayed', {
+            detail: { index: segmentState.currentIndex }
+        }));
+    }
 }
 
 /**
@@ -199,6 +324,9 @@ export function replayCurrentSegment(audio) {
  * @returns {boolean} - True if jump was successful, false otherwise
  */
 export function jumpToSegment(audio, index) {
+    if (index < segmentState.currentIndex && !playbackRestrictions.allowPrevious) {
+        return false;
+    }
     if (index >= 0 && index < segmentState.cues.length) {
         segmentState.currentIndex = index;
         updateSegmentIndicator();
@@ -208,6 +336,187 @@ export function jumpToSegment(audio, index) {
     return false;
 }
 
+/**
+ * Stop the segment that is playing (if any) without moving to another segment
+ * @param {HTMLAudioElement} audio - The audio element
+ */
+export function stopSegmentPlayback(audio) {
+    audio.pause();
+    clearScheduledEnd();
+    cancelRepeats();
+    
+    isCurrentlyPlaying = false;
+    segmentState.isPlaying = false;
+}
+
+/**
+ * Pause the segment that is playing, so resumeSegment can continue it
+ * Remaining automatic repeats are cancelled
+ * @param {HTMLAudioElement} audio - The audio element
+ */
+export function pauseSegment(audio) {
+    cancelRepeats();
+    audio.pause();
+    segmentState.isPlaying = false;
+}
+
+/**
+ * Continue a paused segment where it stopped, or else play the current segment from its start
+ * @param {HTMLAudioElement} audio - The audio element
+ */
+export function resumeSegment(audio) {
+    if (isCurrentlyPlaying && cancelScheduledEnd && audio.paused) {
+        segmentState.isPlaying = true;
+        audio.play().catch(error => {
+            console.error(`Failed to resume segment ${segmentState.currentIndex + 1}:`, error);
+        });
+        return;
+    }
+    playCurrentSegment(audio);
+}
+
+/**
+ * Let media keys, headset buttons and foot pedals that act as media devices control the segments
+ * Actions the browser doesn't support are skipped
+ * @param {HTMLAudioElement} audio - The audio element
+ * @returns {boolean} - True if the Media Session API is available
+ */
+export function setupMediaSession(audio) {
+    if (!('mediaSession' in navigator)) {
+        console.log('Media Session API not available, media keys are not supported');
+        return false;
+    }
+    
+    const actionHandlers = {
+        play: () => resumeSegment(audio),
+        pause: () => pauseSegment(audio),
+        previoustrack: () => previousSegment(audio),
+        // Finishing the exercise is left to the Finish button
+        nexttrack: () => {
+            if (segmentState.currentIndex < segmentState.cues.length - 1) {
+                nextSegment(audio);
+            }
+        },
+        // Transcription pedals rewind with seekbackward; here that means hearing the segment again
+        seekbackward: () => replayCurrentSegment(audio)
+    };
+    
+    Object.entries(actionHandlers).forEach(([action, handler]) => {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (error) {
+            console.log(`Media session action "${action}" is not supported`);
+        }
+    });
+    
+    updateMediaSessionMetadata();
+    return true;
+}
+
+/**
+ * Show the current segment in the browser's and operating system's media controls
+ */
+function updateMediaSessionMetadata() {
+    if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+    
+    const currentCue = segmentState.cues[segmentState.currentIndex];
+    const titleElement = document.getElementById(config.exerciseTitleId);
+    
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title: `Segment ${segmentState.currentIndex + 1} of ${segmentState.cues.length}`,
+        artist: currentCue && currentCue.speaker ? currentCue.speaker : '',
+        album: titleElement ? titleElement.textContent : ''
+    });
+}
+
+/**
+ * Cancel the scheduled end of the segment that is playing (if any)
+ */
+function clearScheduledEnd() {
+    if (cancelScheduledEnd) {
+        cancelScheduledEnd();
+        cancelScheduledEnd = null;
+    }
+}
+
+/**
+ * Move to a segment without playing it (e.g. when resuming a saved session)
+ * @param {number} index - Index of the segment
+ * @returns {boolean} - True if the index was valid
+ */
+export function setCurrentSegmentIndex(index) {
+    if (index >= 0 && index < segmentState.cues.length) {
+        cancelRepeats();
+        segmentState.currentIndex = index;
+        updateSegmentIndicator();
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Merge a segment with the one after it
+ * The cues array is changed in place, so every module holding it sees the new segments
+ * @param {HTMLAudioElement} audio - The audio element
+ * @param {number} index - Index of the first of the two segments
+ * @returns {boolean} - True if the segments were merged (false for the last segment)
+ */
+export function mergeWithNextSegment(audio, index) {
+    if (index < 0 || index >= segmentState.cues.length - 1) {
+        return false;
+    }
+    
+    stopSegmentPlayback(audio);
+    segmentState.cues.splice(index, 2, mergeCues(segmentState.cues[index], segmentState.cues[index + 1]));
+    mergeSegmentData(index);
+    
+    if (segmentState.currentIndex > index) {
+        segmentState.currentIndex--;
+    }
+    
+    notifySegmentsChanged('merge', index);
+    return true;
+}
+
+/**
+ * Split a segment in two at a word boundary (the split time is estimated, see splitCue)
+ * @param {HTMLAudioElement} audio - The audio element
+ * @param {number} index - Index of the segment
+ * @param {number} wordIndex - Index of the first word of the second part
+ * @returns {boolean} - True if the segment was split
+ */
+export function splitSegment(audio, index, wordIndex) {
+    const cue = segmentState.cues[index];
+    const parts = cue ? splitCue(cue, wordIndex) : null;
+    if (!parts) {
+        return false;
+    }
+    
+    stopSegmentPlayback(audio);
+    segmentState.cues.splice(index, 1, ...parts);
+    splitSegmentData(index);
+    
+    if (segmentState.currentIndex > index) {
+        segmentState.currentIndex++;
+    }
+    
+    notifySegmentsChanged('split', index);
+    return true;
+}
+
+/**
+ * Update the indicator and tell the other modules that segments were merged or split
+ * @param {string} action - 'merge' or 'split'
+ * @param {number} index - Index of the (first) changed segment
+ */
+function notifySegmentsChanged(action, index) {
+    updateSegmentIndicator();
+    
+    document.dispatchEvent(new CustomEvent('segmentsChanged', {
+        detail: { action, index, cues: segmentState.cues }
+    }));
+}
+
 /**
  * Get the current segment information
  * @returns {Object} - Current segment information or null if no segments
@@ -293,6 +602,8 @@ export function findSegmentAtTime(time) {
  * Update the segment indicator in the UI
  */
 function updateSegmentIndicator() {
+    updateMediaSessionMetadata();
+    
     const indicatorElement = document.getElementById(config.segmentIndicatorId);
     if (!indicatorElement) return;
     
@@ -300,6 +611,18 @@ function updateSegmentIndicator() {
     const total = segmentState.cues.length;
     
     indicatorElement.textContent = `Segment ${current} of ${total}`;
+    
+    // Show the cue identifier from the VTT file (if any) as a tooltip
+    const currentCue = segmentState.cues[segmentState.currentIndex];
+    indicatorElement.title = currentCue && currentCue.id ? `Cue ${currentCue.id}` : '';
+    
+    // Show who is speaking in dialog exercises
+    const speakerElement = document.getElementById(config.segmentSpeakerId);
+    if (speakerElement) {
+        const speaker = currentCue ? currentCue.speaker : null;
+        speakerElement.textContent = speaker || '';
+        speakerElement.style.display = speaker ? 'inline-block' : 'none';
+    }
 }
 
 /**
@@ -0,0 +1,234 @@
+/**
+ * Module for saving the dictation session so it survives a page reload
+ * Sessions are stored in localStorage per exercise, together with a hash of
+ * the exercise's cues as loaded so a changed transcript is detected before resuming.
+ * Segments merged, split or retimed during practice are stored with the session and
+ * replace the loaded ones on resume, so the answers keep their segments.
+ */
+import { config } from './config.js';
+import { throttle } from '../utils/helpers.js';
+
+// Format version of the stored session record
+const SESSION_VERSION = 1;
+
+/**
+ * Compute a hash of the cues (timing and text) of an exercise
+ * @param {Array} cues - Array of cue objects
+ * @returns {string} - Hash as a hexadecimal string
+ */
+export function hashCues(cues) {
+    const source = cues
+        .map(cue => `${cue.startTime.toFixed(3)}|${cue.endTime.toFixed(3)}|${cue.text}`)
+        .join('\n');
+
+    // 32-bit FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < source.length; i++) {
+        hash ^= source.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Describe the transcript of an exercise as loaded (before any segment was edited)
+ * @param {Array} cues - Array of cue objects
+ * @returns {Object} - { cueHash, cueCount }
+ */
+export function describeTranscript(cues) {
+    return { cueHash: hashCues(cues), cueCount: cues.length };
+}
+
+/**
+ * Load the saved session of an exercise
+ * @param {string} exerciseId - The exercise id
+ * @returns {Object|null} - The saved session or null if there is none (or it can't be read)
+ */
+export function loadSession(exerciseId) {
+    try {
+        const savedData = localStorage.getItem(getSessionKey(exerciseId));
+        if (!savedData) return null;
+
+        const session = JSON.parse(savedData);
+        if (!session || session.version !== SESSION_VERSION || !Array.isArray(session.inputs)) {
+            console.warn('Ignoring saved session in an unknown format for exercise', exerciseId);
+            return null;
+        }
+
+        return session;
+    } catch (error) {
+        console.error('Failed to load saved session:', error);
+        return null;
+    }
+}
+
+/**
+ * Save the session of an exercise
+ * @param {string} exerciseId - The exercise id
+ * @param {Array} cues - Array of cue objects the session belongs to (with any edited segments)
+ * @param {Object} snapshot - { inputs, playbackRates, replayCounts, currentIndex, timing, capitalizationSensitive }
+ * @param {Object} [transcript] - The transcript as loaded, from describeTranscript (defaults to the cues)
+ * @returns {boolean} - True if saved successfully
+ */
+export function saveSession(exerciseId, cues, snapshot, transcript = describeTranscript(cues)) {
+    try {
+        const edited = hashCues(cues) !== transcript.cueHash || cues.length !== transcript.cueCount;
+        const session = {
+            version: SESSION_VERSION,
+            exerciseId,
+            cueHash: transcript.cueHash,
+            cueCount: transcript.cueCount,
+            editedCues: edited ? cues : null,
+            ...snapshot,
+            savedAt: Date.now()
+        };
+        localStorage.setItem(getSessionKey(exerciseId), JSON.stringify(session));
+        return true;
+    } catch (error) {
+        console.error('Failed to save session:', error);
+        return false;
+    }
+}
+
+/**
+ * Remove the saved session of an exercise
+ * @param {string} exerciseId - The exercise id
+ */
+export function clearSession(exerciseId) {
+    try {
+        localStorage.removeItem(getSessionKey(exerciseId));
+    } catch (error) {
+        console.error('Failed to clear saved session:', error);
+    }
+}
+
+/**
+ * Check whether a saved session was made for the current cues
+ * @param {Object} session - The saved session
+ * @param {Array} cues - Array of cue objects of the exercise as loaded now
+ * @returns {boolean} - True if the transcript has changed since the session was saved
+ */
+export function hasTranscriptChanged(session, cues) {
+    return session.cueHash !== hashCues(cues) || session.cueCount !== cues.length;
+}
+
+/**
+ * Get the segments a saved session was typed against
+ * @param {Object} session - The saved session
+ * @param {Array} cues - Array of cue objects of the exercise as loaded now
+ * @returns {Array} - The segments as edited in the session, or the loaded cues if none were
+ *   edited (or the transcript has changed since, so the edits don't apply any more)
+ */
+export function getSessionCues(session, cues) {
+    if (!Array.isArray(session.editedCues) || hasTranscriptChanged(session, cues)) {
+        return cues;
+    }
+    return session.editedCues;
+}
+
+/**
+ * Start saving the session automatically
+ * Saves are throttled and triggered by typing, segment changes and setting changes;
+ * a pending save is written immediately when the page is hidden or closed
+ * @param {string} exerciseId - The exercise id
+ * @param {Array} cues - Array of cue objects (changed in place when segments are edited)
+ * @param {Function} getSnapshot - Returns the current { inputs, playbackRates, replayCounts, currentIndex, timing, capitalizationSensitive }
+ * @param {Object} [transcript] - The transcript as loaded, from describeTranscript (defaults to the cues)
+ * @returns {Object} - { save, clear } to save right away or to discard the session
+ */
+export function initSessionAutosave(exerciseId, cues, getSnapshot, transcript = describeTranscript(cues)) {
+    let enabled = true;
+
+    const scheduleSave = throttle(() => {
+        if (enabled) {
+            saveSession(exerciseId, cues, getSnapshot(), transcript);
+        }
+    }, config.sessionSaveInterval);
+
+    const handleChange = () => {
+        enabled = true;
+        scheduleSave();
+    };
+
+    const events = [
+        'input', 'segmentStarted', 'segmentReplayed', 'inputSubmitted', 'capitalizationToggleChanged',
+        'segmentsChanged', 'cueTimingChanged'
+    ];
+    events.forEach(eventName => {
+        document.addEventListener(eventName, handleChange);
+    });
+
+    window.addEventListener('pagehide', () => scheduleSave.flush());
+
+    return {
+        save: () => {
+            scheduleSave();
+            scheduleSave.flush();
+        },
+        clear: () => {
+            // Stop a pending save from writing the finished session back
+            enabled = false;
+            scheduleSave.flush();
+            clearSession(exerciseId);
+        }
+    };
+}
+
+/**
+ * Ask the user whether to resume a saved session
+ * @param {Object} session - The saved session
+ * @param {Array} cues - Array of cue objects of the exercise as loaded now
+ * @returns {Promise<boolean>} - Promise resolving to true to resume, false to start over
+ */
+export function showResumePrompt(session, cues) {
+    const playerContainer = document.getElementById(config.playerContainerId);
+    const transcriptChanged = hasTranscriptChanged(session, cues);
+    const segmentCount = getSessionCues(session, cues).length;
+    const typedSegments = session.inputs.filter(input => input && input.trim() !== '').length;
+    const savedAt = new Date(session.savedAt).toLocaleString();
+
+    return new Promise(resolve => {
+        const prompt = document.createElement('div');
+        prompt.className = transcriptChanged ? 'resume-prompt transcript-changed' : 'resume-prompt';
+        prompt.setAttribute('role', 'dialog');
+        prompt.innerHTML = `
+            <p class="resume-prompt-message">Resume where you left off?</p>
+            <p class="resume-prompt-details">
+                Segment ${Math.min(session.currentIndex || 0, segmentCount - 1) + 1} of ${segmentCount},
+                ${typedSegments} ${typedSegments === 1 ? 'segment' : 'segments'} typed (saved ${savedAt})
+            </p>
+            ${transcriptChanged ? `
+            <p class="resume-prompt-warning" role="alert">
+                The transcript of this exercise has changed since this session was saved.
+                Your answers may no longer line up with the segments.
+            </p>` : ''}
+            <div class="resume-prompt-actions">
+                <button class="result-btn resume-btn">${transcriptChanged ? 'Resume anyway' : 'Resume'}</button>
+                <button class="result-btn start-over-btn">Start over</button>
+            </div>
+        `;
+
+        const answer = (resume) => {
+            prompt.remove();
+            resolve(resume);
+        };
+
+        prompt.querySelector('.resume-btn').addEventListener('click', () => answer(true));
+        prompt.querySelector('.start-over-btn').addEventListener('click', () => answer(false));
+
+        playerContainer.insertBefore(prompt, playerContainer.firstChild);
+
+        // Starting over is the safe default when the transcript has changed
+        prompt.querySelector(transcriptChanged ? '.start-over-btn' : '.resume-btn').focus();
+    });
+}
+
+/**
+ * Get the localStorage key of an exercise's session
+ * @param {string} exerciseId - The exercise id
+ * @returns {string} - The storage key
+ */
+function getSessionKey(exerciseId) {
+    return `${config.sessionStoragePrefix}${exerciseId}`;
+}
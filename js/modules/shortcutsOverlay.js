@@ -0,0 +1,237 @@
+/**
+ * Module for the keyboard shortcut cheat sheet
+ * Lists the actions with their keys and lets the user rebind them: after pressing
+ * "Change", the next key combo pressed is bound to the action unless it conflicts.
+ * The foot pedal section turns pedal mode on and learns the keys the pedals send.
+ */
+import { config } from './config.js';
+import {
+    getKeymap, getKeyCombo, formatShortcut, getBindingError, setBinding, resetBindings, setShortcutsSuspended,
+    getPedalKeymap, getPedalBindingError, setPedalBinding, isPedalModeEnabled, setPedalModeEnabled
+} from './keymap.js';
+import { escapeHTML } from '../utils/helpers.js';
+
+// Action whose new keys are being recorded (null when not recording)
+let capturingActionId = null;
+// Whether the pedal key of that action is recorded instead of its shortcut
+let isCapturingPedal = false;
+// Element that had the focus before the overlay opened
+let previousFocus = null;
+
+/**
+ * Show the cheat sheet, or close it if it is already open
+ */
+export function toggleShortcutsOverlay() {
+    if (document.getElementById(config.shortcutsOverlayId)) {
+        hideShortcutsOverlay();
+    } else {
+        showShortcutsOverlay();
+    }
+}
+
+/**
+ * Show the cheat sheet
+ */
+export function showShortcutsOverlay() {
+    if (document.getElementById(config.shortcutsOverlayId)) return;
+
+    previousFocus = document.activeElement;
+
+    const overlay = document.createElement('div');
+    overlay.id = config.shortcutsOverlayId;
+    overlay.className = 'shortcuts-overlay';
+    overlay.innerHTML = `
+        <div class="shortcuts-panel" role="dialog" aria-modal="true" aria-labelledby="shortcuts-title">
+            <h2 id="shortcuts-title">Keyboard shortcuts</h2>
+            <table class="shortcuts-table">
+                <tbody></tbody>
+            </table>
+            <p class="shortcuts-note">Keys without Ctrl or Alt only work while typing in the text field.</p>
+            <h3 class="shortcuts-subtitle">Foot pedal</h3>
+            <label class="pedal-mode-toggle">
+                <input type="checkbox" class="pedal-mode-checkbox" ${isPedalModeEnabled() ? 'checked' : ''}>
+                Pedal mode
+            </label>
+            <table class="shortcuts-table pedal-table">
+                <tbody></tbody>
+            </table>
+            <p class="shortcuts-note">In pedal mode the pedal keys are not typed. Press "Learn", then the pedal.</p>
+            <p class="shortcuts-message" role="status"></p>
+            <div class="shortcuts-actions">
+                <button class="result-btn shortcuts-reset-btn">Reset to defaults</button>
+                <button class="result-btn shortcuts-close-btn">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+    renderBindings(overlay);
+
+    overlay.addEventListener('click', (e) => {
+        const changeBtn = e.target.closest('.shortcut-change-btn');
+        if (changeBtn) {
+            startCapture(overlay, changeBtn.dataset.action, changeBtn.dataset.pedal === 'true');
+        } else if (e.target.classList.contains('shortcuts-reset-btn')) {
+            stopCapture();
+            resetBindings();
+            renderBindings(overlay);
+            showMessage(overlay, 'All shortcuts and pedal keys are back to their defaults.');
+        } else if (e.target.classList.contains('shortcuts-close-btn') || e.target === overlay) {
+            hideShortcutsOverlay();
+        }
+    });
+
+    overlay.querySelector('.pedal-mode-checkbox').addEventListener('change', (e) => {
+        setPedalModeEnabled(e.target.checked);
+        showMessage(overlay, e.target.checked ? 'Pedal mode is on.' : 'Pedal mode is off.');
+    });
+
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && capturingActionId === null) {
+            e.preventDefault();
+            hideShortcutsOverlay();
+        }
+    });
+
+    overlay.querySelector('.shortcuts-close-btn').focus();
+}
+
+/**
+ * Close the cheat sheet and give the focus back
+ */
+export function hideShortcutsOverlay() {
+    const overlay = document.getElementById(config.shortcutsOverlayId);
+    if (!overlay) return;
+
+    stopCapture();
+    overlay.remove();
+
+    if (previousFocus && typeof previousFocus.focus === 'function') {
+        previousFocus.focus();
+    }
+    previousFocus = null;
+}
+
+/**
+ * Fill the tables with the actions and their keys
+ * @param {HTMLElement} overlay - The overlay element
+ */
+function renderBindings(overlay) {
+    const tableBody = overlay.querySelector('.shortcuts-table tbody');
+    const pedalTableBody = overlay.querySelector('.pedal-table tbody');
+
+    tableBody.innerHTML = getKeymap().map(action => `
+        <tr class="${action.isCustom ? 'shortcut-custom' : ''}">
+            <td class="shortcut-label">${action.label}</td>
+            <td class="shortcut-keys">${action.keys.map(key => `<kbd>${escapeHTML(formatShortcut(key))}</kbd>`).join(' ')}</td>
+            <td><button class="segment-btn shortcut-change-btn" data-action="${action.id}">Change</button></td>
+        </tr>
+    `).join('');
+
+    pedalTableBody.innerHTML = getPedalKeymap().map(pedal => `
+        <tr class="${pedal.isCustom ? 'shortcut-custom' : ''}">
+            <td class="shortcut-label">${pedal.label}</td>
+            <td class="shortcut-keys"><kbd>${escapeHTML(pedal.code)}</kbd></td>
+            <td><button class="segment-btn shortcut-change-btn" data-action="${pedal.id}" data-pedal="true">Learn</button></td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Wait for the new keys of an action
+ * @param {HTMLElement} overlay - The overlay element
+ * @param {string} actionId - Action to rebind
+ * @param {boolean} isPedal - True to learn the action's pedal key instead of its shortcut
+ */
+function startCapture(overlay, actionId, isPedal) {
+    stopCapture();
+
+    capturingActionId = actionId;
+    isCapturingPedal = isPedal;
+    setShortcutsSuspended(true);
+    document.addEventListener('keydown', handleCaptureKey, true);
+
+    const changeBtn = overlay.querySelector(`.shortcut-change-btn[data-action="${actionId}"]${isPedal ? '[data-pedal]' : ':not([data-pedal])'}`);
+    if (changeBtn) {
+        changeBtn.textContent = isPedal ? 'Press pedal…' : 'Press keys…';
+        changeBtn.classList.add('capturing');
+    }
+    showMessage(overlay, isPedal ? 'Press the pedal, or Escape to cancel.' : 'Press the new shortcut, or Escape to cancel.');
+}
+
+/**
+ * Stop waiting for new keys
+ */
+function stopCapture() {
+    if (capturingActionId === null) return;
+
+    capturingActionId = null;
+    setShortcutsSuspended(false);
+    document.removeEventListener('keydown', handleCaptureKey, true);
+}
+
+/**
+ * Bind the keys pressed while waiting for a new shortcut
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleCaptureKey(event) {
+    const overlay = document.getElementById(config.shortcutsOverlayId);
+    if (!overlay) {
+        stopCapture();
+        return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const actionId = capturingActionId;
+
+    if (event.key === 'Escape') {
+        stopCapture();
+        renderBindings(overlay);
+        showMessage(overlay, '');
+        return;
+    }
+
+    // Pedals are told apart by the key code they send, whatever the keyboard layout
+    if (isCapturingPedal) {
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
+        stopCapture();
+
+        const pedalError = getPedalBindingError(actionId, event.code);
+        if (!pedalError) {
+            setPedalBinding(actionId, event.code);
+        }
+        renderBindings(overlay);
+        showMessage(overlay, pedalError || `Saved ${event.code}.`, !!pedalError);
+        return;
+    }
+
+    // Wait until a key is pressed together with the modifiers
+    const combo = getKeyCombo(event);
+    if (!combo) return;
+
+    stopCapture();
+
+    const error = getBindingError(actionId, combo);
+    if (error) {
+        renderBindings(overlay);
+        showMessage(overlay, error, true);
+        return;
+    }
+
+    setBinding(actionId, combo);
+    renderBindings(overlay);
+    showMessage(overlay, `Saved ${formatShortcut(combo)}.`);
+}
+
+/**
+ * Show a message below the table
+ * @param {HTMLElement} overlay - The overlay element
+ * @param {string} message - Message text
+ * @param {boolean} [isError] - True to show the message as an error
+ */
+function showMessage(overlay, message, isError = false) {
+    const messageElement = overlay.querySelector('.shortcuts-message');
+    messageElement.textContent = message;
+    messageElement.classList.toggle('error', isError);
+}
@@ -136,7 +136,7 @@ export function compareTexts(userInput, referenceText) {
     const recentSegmentChange = (getTimeSinceSegmentChange() < 1500); // 1.5 second safety window
     
     // Transform special characters in user input
-    const transformedInput = transformSpecialCharacters(userInput);
+    const transformedInput = transformSpecialCharacters(userInput, referenceText);
 
     // Normalize both texts for comparison:
     // 1. Apply transformations for special characters
@@ -67,7 +67,7 @@ export function createAlignment(inputWord, referenceWord) {
     logger.debug('Creating alignment between', { inputWord, referenceWord });
     
     // Transform input for improved matching
-    const transformedInput = transformSpecialCharacters(inputWord.toLowerCase());
+    const transformedInput = transformSpecialCharacters(inputWord.toLowerCase(), referenceWord);
     const refLower = referenceWord.toLowerCase();
     
     // Create results structure
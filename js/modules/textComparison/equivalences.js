@@ -0,0 +1,384 @@
+/**
+ * Equivalences Module
+ * Accepts different ways of writing the same thing when grading: digits and written
+ * numbers ("3" / "drei", "21" / "einundzwanzig", "1990" / "neunzehnhundertneunzig"),
+ * ordinals ("3." / "dritten"), times ("8:30" / "acht Uhr dreißig") and common
+ * abbreviations ("z. B." / "zum Beispiel"). The typed words are written the way the
+ * reference writes them before the comparison, and every replacement is reported.
+ */
+import { createLogger } from '../utils/logger.js';
+import { textComparisonConfig } from '../config.js';
+import { getActiveLanguageProfile } from './languageProfiles.js';
+
+// Create logger for this module
+const logger = createLogger('equivalences');
+
+const ONES = [
+  'null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn',
+  'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'
+];
+const TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+
+// Ordinal stems below 20 that aren't simply the number + "t"
+const ORDINAL_STEMS = { 1: ['erst'], 3: ['dritt'], 7: ['siebt', 'siebent'], 8: ['acht'] };
+const ORDINAL_ENDINGS = ['e', 'en', 'er', 'es', 'em'];
+
+// Abbreviations (written without spaces and dots) and what they stand for
+const ABBREVIATIONS = [
+  ['zb', 'zum Beispiel'], ['dh', 'das heißt'], ['ua', 'unter anderem'], ['usw', 'und so weiter'],
+  ['bzw', 'beziehungsweise'], ['ca', 'circa'], ['ca', 'zirka'], ['dr', 'Doktor'], ['nr', 'Nummer'],
+  ['str', 'Straße'], ['etc', 'et cetera'], ['vgl', 'vergleiche'], ['zt', 'zum Teil'],
+  ['oä', 'oder Ähnliches'], ['hr', 'Herr'], ['mio', 'Millionen'], ['mrd', 'Milliarden']
+];
+
+// Largest number written out (digits above it are only compared as digits)
+const MAX_NUMBER = 999999;
+
+// Whether digits are accepted for numbers the reference writes out (set per exercise)
+let digitsAllowed = textComparisonConfig.allowDigits !== false;
+
+/**
+ * Set whether digits are accepted for numbers the reference writes out
+ * Numbers written out for digits in the reference are accepted either way.
+ * @param {boolean} allowed - Whether "3" counts for "drei"
+ */
+export function setAllowDigits(allowed) {
+  digitsAllowed = allowed !== false;
+}
+
+/**
+ * Check whether digits are accepted for numbers the reference writes out
+ * @returns {boolean} - True if "3" counts for "drei"
+ */
+export function areDigitsAllowed() {
+  return digitsAllowed;
+}
+
+/**
+ * Write the typed words the way the reference writes the same number, time or abbreviation
+ * @param {Array<string>} inputTokens - The typed words
+ * @param {Array<string>} referenceTokens - The reference words
+ * @param {Object} [options] - { allowDigits } (defaults to the exercise's setting)
+ * @returns {Object} - { tokens, applied } where applied lists { type, from, to, referenceStart,
+ *   referenceEnd } per replacement (type is 'number', 'ordinal', 'time' or 'abbreviation')
+ */
+export function applyEquivalences(inputTokens, referenceTokens, options = {}) {
+  if (!textComparisonConfig.useEquivalences || !getActiveLanguageProfile().usesEquivalences) {
+    return { tokens: inputTokens, applied: [] };
+  }
+
+  const allowDigits = options.allowDigits ?? digitsAllowed;
+  const usedReference = new Set();
+  const tokens = [];
+  const applied = [];
+
+  let i = 0;
+  while (i < inputTokens.length) {
+    let found = null;
+    for (let j = 0; j < referenceTokens.length && !found; j++) {
+      if (usedReference.has(j)) continue;
+      const equivalence = findEquivalence(inputTokens, i, referenceTokens, j, allowDigits);
+      if (equivalence) {
+        found = { ...equivalence, referenceStart: j };
+      }
+    }
+
+    if (!found) {
+      tokens.push(inputTokens[i]);
+      i++;
+      continue;
+    }
+
+    const from = inputTokens.slice(i, i + found.inputLength);
+    const to = referenceTokens.slice(found.referenceStart, found.referenceStart + found.referenceLength);
+    for (let k = 0; k < found.referenceLength; k++) {
+      usedReference.add(found.referenceStart + k);
+    }
+
+    tokens.push(...to);
+    applied.push({
+      type: found.type,
+      from: from.join(' '),
+      to: to.join(' '),
+      referenceStart: found.referenceStart,
+      referenceEnd: found.referenceStart + found.referenceLength
+    });
+    i += found.inputLength;
+  }
+
+  if (applied.length > 0) {
+    logger.debug('Applied equivalences', { applied });
+  }
+  return { tokens, applied };
+}
+
+/**
+ * Get the ways a number is written out in German (lower case)
+ * @param {number} value - A whole number from 0 to 999999
+ * @returns {Array<string>} - The spellings, e.g. ["einundzwanzig"] or ["tausend", "eintausend"]
+ */
+export function getNumberWords(value) {
+  if (!Number.isInteger(value) || value < 0 || value > MAX_NUMBER) return [];
+  if (value === 0) return ['null'];
+
+  const words = joinParts(
+    value >= 1000 ? thousandsWords(Math.floor(value / 1000)) : [''],
+    value % 1000 ? belowThousandWords(value % 1000) : ['']
+  );
+
+  // Years: 1990 = neunzehnhundertneunzig
+  if (value >= 1100 && value < 2000 && value % 100 !== value % 1000) {
+    words.push(...joinParts([`${ONES[Math.floor(value / 100)]}hundert`], value % 100 ? belowHundredWords(value % 100) : ['']));
+  }
+
+  return withSwissSpelling(words);
+}
+
+/**
+ * Get the ways an ordinal number is written out in German (lower case, with all endings)
+ * @param {number} value - A whole number from 1 to 999999
+ * @returns {Array<string>} - The spellings, e.g. ["dritte", "dritten", ...]
+ */
+export function getOrdinalWords(value) {
+  if (!Number.isInteger(value) || value < 1 || value > MAX_NUMBER) return [];
+
+  const lastPart = value % 100;
+  let stems;
+  if (lastPart > 0 && lastPart < 20) {
+    const prefixes = value >= 100 ? getNumberWords(value - lastPart) : [''];
+    const lastStems = ORDINAL_STEMS[lastPart] || [`${ONES[lastPart]}t`];
+    stems = joinParts(prefixes, lastStems);
+  } else {
+    stems = getNumberWords(value).map(word => `${word}st`);
+  }
+
+  return withSwissSpelling(stems.flatMap(stem => ORDINAL_ENDINGS.map(ending => stem + ending)));
+}
+
+/**
+ * Find an equivalence between the typed words at one position and the reference words at another
+ * @param {Array<string>} input - The typed words
+ * @param {number} i - Position in the typed words
+ * @param {Array<string>} reference - The reference words
+ * @param {number} j - Position in the reference words
+ * @param {boolean} allowDigits - Whether digits count for written numbers
+ * @returns {Object|null} - { type, inputLength, referenceLength }, or null
+ */
+function findEquivalence(input, i, reference, j, allowDigits) {
+  // The same spelling needs no equivalence
+  if (toComparable(input[i]) === toComparable(reference[j])) return null;
+
+  return findNumberEquivalence(input, i, reference, j, allowDigits) ||
+    findTimeEquivalence(input, i, reference, j, allowDigits) ||
+    findAbbreviationEquivalence(input, i, reference, j);
+}
+
+/**
+ * Digits on one side and a written number or ordinal on the other
+ * @returns {Object|null} - { type, inputLength, referenceLength }, or null
+ */
+function findNumberEquivalence(input, i, reference, j, allowDigits) {
+  const typedNumber = parseDigits(input[i]);
+  const referenceNumber = parseDigits(reference[j]);
+
+  if (typedNumber && !referenceNumber && allowDigits) {
+    const type = getNumberType(typedNumber, toComparable(reference[j]));
+    return type ? { type, inputLength: 1, referenceLength: 1 } : null;
+  }
+  if (referenceNumber && !typedNumber) {
+    const type = getNumberType(referenceNumber, toComparable(input[i]));
+    return type ? { type, inputLength: 1, referenceLength: 1 } : null;
+  }
+  return null;
+}
+
+/**
+ * A time in digits (8:30, optionally followed by "Uhr") on one side, written out on the other
+ * @returns {Object|null} - { type, inputLength, referenceLength }, or null
+ */
+function findTimeEquivalence(input, i, reference, j, allowDigits) {
+  const typedTime = parseTime(input, i);
+  const referenceTime = parseTime(reference, j);
+
+  if (typedTime && !referenceTime && allowDigits) {
+    const length = matchWrittenTime(reference, j, typedTime);
+    return length ? { type: 'time', inputLength: typedTime.length, referenceLength: length } : null;
+  }
+  if (referenceTime && !typedTime) {
+    const length = matchWrittenTime(input, i, referenceTime);
+    return length ? { type: 'time', inputLength: length, referenceLength: referenceTime.length } : null;
+  }
+  return null;
+}
+
+/**
+ * An abbreviation on one side and the words it stands for (or another way to write it) on the other
+ * @returns {Object|null} - { type, inputLength, referenceLength }, or null
+ */
+function findAbbreviationEquivalence(input, i, reference, j) {
+  for (const [abbreviation, expansion] of ABBREVIATIONS) {
+    const expansionLength = expansion.split(' ').length;
+    const typedAbbreviation = matchAbbreviation(input, i, abbreviation);
+    const referenceAbbreviation = matchAbbreviation(reference, j, abbreviation);
+
+    if (typedAbbreviation && referenceAbbreviation) {
+      return { type: 'abbreviation', inputLength: typedAbbreviation, referenceLength: referenceAbbreviation };
+    }
+    if (typedAbbreviation && matchWords(reference, j, expansion)) {
+      return { type: 'abbreviation', inputLength: typedAbbreviation, referenceLength: expansionLength };
+    }
+    if (referenceAbbreviation && matchWords(input, i, expansion)) {
+      return { type: 'abbreviation', inputLength: expansionLength, referenceLength: referenceAbbreviation };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a number written in digits ("3", "1990,", "3.", "1.000")
+ * @param {string} token - A word
+ * @returns {Object|null} - { value, ordinal } where ordinal is true if a dot follows, or null
+ */
+function parseDigits(token) {
+  const match = (token || '').match(/^(\d{1,3}(?:\.\d{3})+|\d+)(\.?)[,;:!?)"»“”]*$/);
+  if (!match) return null;
+  return { value: Number(match[1].replace(/\./g, '')), ordinal: match[2] === '.' };
+}
+
+/**
+ * Check how a written word stands for a number
+ * @param {Object} number - { value, ordinal } from parseDigits
+ * @param {string} word - The written word (comparable form)
+ * @returns {string|null} - 'number', 'ordinal' or null
+ */
+function getNumberType(number, word) {
+  if (number.ordinal && getOrdinalWords(number.value).includes(word)) return 'ordinal';
+  if (getNumberWords(number.value).includes(word)) return 'number';
+  return null;
+}
+
+/**
+ * Read a time written in digits ("8:30", "8.30 Uhr")
+ * @param {Array<string>} tokens - The words
+ * @param {number} index - Position of the time
+ * @returns {Object|null} - { hours, minutes, length } where length counts an "Uhr" after it, or null
+ */
+function parseTime(tokens, index) {
+  const match = (tokens[index] || '').match(/^([01]?\d|2[0-3])[:.]([0-5]\d)[,;!?.]*$/);
+  if (!match) return null;
+  const length = toComparable(tokens[index + 1] || '') === 'uhr' ? 2 : 1;
+  return { hours: Number(match[1]), minutes: Number(match[2]), length };
+}
+
+/**
+ * Check whether a time is written out at a position ("acht Uhr dreißig", "acht Uhr")
+ * @param {Array<string>} tokens - The words
+ * @param {number} index - Position of the hour
+ * @param {Object} time - { hours, minutes }
+ * @returns {number} - Number of words of the written time (0 if it isn't there)
+ */
+function matchWrittenTime(tokens, index, time) {
+  const hourWords = time.hours === 1 ? ['ein', 'eins'] : getNumberWords(time.hours);
+  if (!hourWords.includes(toComparable(tokens[index] || ''))) return 0;
+  if (toComparable(tokens[index + 1] || '') !== 'uhr') return 0;
+  if (time.minutes === 0) return 2;
+  return getNumberWords(time.minutes).includes(toComparable(tokens[index + 2] || '')) ? 3 : 0;
+}
+
+/**
+ * Check whether an abbreviation is written at a position, in one or two words ("z.B.", "z. B.")
+ * @param {Array<string>} tokens - The words
+ * @param {number} index - Position of the abbreviation
+ * @param {string} abbreviation - The abbreviation without spaces and dots
+ * @returns {number} - Number of words of the abbreviation (0 if it isn't there)
+ */
+function matchAbbreviation(tokens, index, abbreviation) {
+  for (let length = 1; length <= 2 && index + length <= tokens.length; length++) {
+    const written = tokens.slice(index, index + length).join('');
+    if (toComparable(written).replace(/\./g, '') === abbreviation) {
+      // Single letters need their dots ("z B" isn't an abbreviation)
+      if (length === 2 && !written.includes('.')) return 0;
+      return length;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Check whether words are written at a position
+ * @param {Array<string>} tokens - The words
+ * @param {number} index - Position of the first word
+ * @param {string} words - The words, separated by spaces
+ * @returns {boolean} - True if the words are there
+ */
+function matchWords(tokens, index, words) {
+  return words.split(' ').every((word, offset) =>
+    toComparable(tokens[index + offset] || '') === word.toLowerCase());
+}
+
+/**
+ * Written form of the thousands of a number ("ein" before "tausend")
+ * @param {number} thousands - Number of thousands (1 to 999)
+ * @returns {Array<string>} - The spellings, ending in "tausend"
+ */
+function thousandsWords(thousands) {
+  if (thousands === 1) return ['tausend', 'eintausend'];
+  return belowThousandWords(thousands).map(word => `${word.replace(/eins$/, 'ein')}tausend`);
+}
+
+/**
+ * Written form of a number from 1 to 999
+ * @param {number} value - The number
+ * @returns {Array<string>} - The spellings
+ */
+function belowThousandWords(value) {
+  const hundreds = Math.floor(value / 100);
+  const rest = value % 100;
+  let hundredWords = [''];
+  if (hundreds === 1) {
+    hundredWords = ['hundert', 'einhundert'];
+  } else if (hundreds > 1) {
+    hundredWords = [`${ONES[hundreds]}hundert`];
+  }
+  return joinParts(hundredWords, rest ? belowHundredWords(rest) : ['']);
+}
+
+/**
+ * Written form of a number from 1 to 99
+ * @param {number} value - The number
+ * @returns {Array<string>} - The spelling (one)
+ */
+function belowHundredWords(value) {
+  if (value < 20) return [ONES[value]];
+  const ones = value % 10;
+  const tens = TENS[Math.floor(value / 10)];
+  return [ones ? `${ones === 1 ? 'ein' : ONES[ones]}und${tens}` : tens];
+}
+
+/**
+ * Combine every spelling of the first part with every spelling of the second
+ * @param {Array<string>} first - Spellings of the first part
+ * @param {Array<string>} second - Spellings of the second part
+ * @returns {Array<string>} - The combined spellings
+ */
+function joinParts(first, second) {
+  return first.flatMap(start => second.map(end => start + end)).filter(Boolean);
+}
+
+/**
+ * Add the spellings with ss for ß ("dreissig")
+ * @param {Array<string>} words - Spellings
+ * @returns {Array<string>} - The spellings and their ss variants
+ */
+function withSwissSpelling(words) {
+  return [...new Set([...words, ...words.map(word => word.replace(/ß/g, 'ss'))])];
+}
+
+/**
+ * Get the form of a word used for comparing
+ * @param {string} word - The word
+ * @returns {string} - Lower-case word without leading and trailing punctuation (dots inside are kept)
+ */
+function toComparable(word) {
+  return (word || '').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}.]+$/gu, '').replace(/\.$/, '').toLowerCase();
+}
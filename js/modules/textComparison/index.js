@@ -6,6 +6,9 @@
 import { findBestWordMatches, generateHighlightedHTML } from './wordMatcher.js';
 import { calculateSimilarityScore, levenshteinDistance } from './similarityScoring.js';
 import { normalizeText, normalizeWord, transformSpecialCharacters, notifySegmentChange, getTimeSinceSegmentChange, createTextNormalizer, normalizeForComparison } from './textNormalizer.js';
+import { transformText } from './transformationRules.js';
+import { getLanguageProfile, setActiveLanguage, getActiveLanguageProfile, transformInput, isPunctuation, tokenizeText } from './languageProfiles.js';
+import { applyEquivalences, setAllowDigits } from './equivalences.js';
 import { processInput, processInputWithCharacterTracking } from './inputProcessor.js';
 import { createAlignment, DEFAULT_ALIGNMENT_RESULT } from './alignmentUtility.js';
 import { createAdvancedAlignment, alignWords } from './textAlignmentService.js';
@@ -43,6 +46,15 @@ export {
   normalizeText,
   normalizeWord,
   transformSpecialCharacters,
+  transformText,
+  transformInput,
+  getLanguageProfile,
+  setActiveLanguage,
+  getActiveLanguageProfile,
+  isPunctuation,
+  tokenizeText,
+  applyEquivalences,
+  setAllowDigits,
   notifySegmentChange,
   getTimeSinceSegmentChange,
   processInput,
@@ -6,6 +6,8 @@
 import { normalizeText, normalizeForComparison } from './textNormalizer.js';
 import { findBestWordMatches } from './wordMatcher.js';
 import { findBestAlignment } from './alignmentUtility.js';
+import { applyContractions, tokenizeText } from './languageProfiles.js';
+import { applyEquivalences } from './equivalences.js';
 import stateManager from '../utils/stateManager.js';
 
 /**
@@ -16,10 +18,18 @@ import stateManager from '../utils/stateManager.js';
  */
 export function processInput(referenceText, userInput, options = {}) {
   const capitalizationSensitive = options.capitalizationSensitive === true;
-  const normRef = normalizeForComparison(referenceText, capitalizationSensitive);
-  const normInput = normalizeForComparison(userInput, capitalizationSensitive);
-  const expectedWords = normRef.split(/\s+/).filter(Boolean);
-  const actualWords = normInput.split(/\s+/).filter(Boolean);
+  // Words are split like the language does it (French: "l'homme" is graded as "l'" and "homme");
+  // contractions are written like the reference first ("do not" vs "don't"), and so are
+  // numbers, times and abbreviations ("3" vs "drei", "z. B." vs "zum Beispiel")
+  const referenceParts = tokenizeText(referenceText);
+  const equivalences = applyEquivalences(
+    tokenizeText(applyContractions(userInput, referenceText)).map(token => token.text),
+    referenceParts.map(token => token.text)
+  );
+  const referenceTokens = getComparedTokens(referenceParts, capitalizationSensitive);
+  const expectedWords = referenceTokens.map(token => token.word);
+  const actualWords = getComparedTokens(equivalences.tokens.map(text => ({ text })), capitalizationSensitive)
+    .map(token => token.word);
 
   // LOG: Entry
   console.log('[processInput] called', { referenceText, userInput });
@@ -56,6 +66,25 @@ export function processInput(referenceText, userInput, options = {}) {
   // LOG: matchResult
   console.log('[processInput] matchResult', matchResult);
 
+  // Elided words are shown joined to the next word again (e.g. in the live display)
+  referenceTokens.forEach((token, index) => {
+    if (token.joinedWith && matchResult.words[index]) {
+      matchResult.words[index].joinedWith = token.joinedWith;
+    }
+  });
+
+  // Words typed another way keep what was typed (shown instead of the reference spelling)
+  equivalences.applied.forEach(equivalence => {
+    let first = true;
+    referenceTokens.forEach((token, index) => {
+      const wordResult = matchResult.words[index];
+      if (token.index < equivalence.referenceStart || token.index >= equivalence.referenceEnd) return;
+      if (!wordResult || wordResult.status !== 'correct') return;
+      wordResult.equivalence = { type: equivalence.type, typed: equivalence.from, first };
+      first = false;
+    });
+  });
+
   // Calculate overall stats
   const correctWords = matchResult.words.filter(w => w.status === 'correct').length;
   const misspelledWords = matchResult.words.filter(w => w.status === 'misspelled').length;
@@ -66,6 +95,7 @@ export function processInput(referenceText, userInput, options = {}) {
   const result = {
     words: matchResult.words,
     extraWords: matchResult.extraWords,
+    equivalences: equivalences.applied,
     stats: {
       correctWords,
       misspelledWords,
@@ -112,6 +142,23 @@ export function processInput(referenceText, userInput, options = {}) {
   return result;
 }
 
+/**
+ * Normalize the words of a text for the comparison
+ * @param {Array} tokens - [{ text, joinedWith }] from tokenizeText
+ * @param {boolean} capitalizationSensitive - Whether to preserve case
+ * @return {Array} - [{ word, joinedWith, index }] for every word that isn't only punctuation
+ *   (index is the position in tokens)
+ */
+function getComparedTokens(tokens, capitalizationSensitive) {
+  return tokens
+    .map((token, index) => ({
+      word: normalizeForComparison(token.text, capitalizationSensitive),
+      joinedWith: token.joinedWith,
+      index
+    }))
+    .filter(token => token.word);
+}
+
 /**
  * Processes input text with character-level tracking
  * @param {string} referenceText - The expected text
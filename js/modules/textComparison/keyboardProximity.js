@@ -3,6 +3,7 @@
  * Detects common typo patterns based on key proximity
  * on multiple keyboard layouts (QWERTZ, QWERTY, and AZERTY)
  */
+import { getActiveLanguageProfile, getLanguageProfile, detectTypoPatterns } from './languageProfiles.js';
 
 /**
  * Defines the German QWERTZ keyboard layout adjacency map
@@ -182,17 +183,19 @@ const AZERTY_ADJACENCY_MAP = {
 /**
  * Get the active keyboard layout adjacency map based on configuration
  * 
- * @param {string} layout - The keyboard layout name ('qwertz', 'qwerty', 'azerty')
+ * @param {string} layout - The keyboard layout name ('qwertz', 'qwerty', 'azerty', 'auto')
  * @returns {Object} - The corresponding adjacency map
  */
 export function getKeyboardLayout(layout = 'auto') {
-  // Default to QWERTZ if not specified (German dictation tool)
+  // 'auto' uses the keyboard layout of the exercise language
+  if (layout === 'auto') {
+    layout = getActiveLanguageProfile().keyboardLayout;
+  }
   if (layout === 'qwerty') {
     return QWERTY_ADJACENCY_MAP;
   } else if (layout === 'azerty') {
     return AZERTY_ADJACENCY_MAP;
   } else {
-    // Default to QWERTZ for German dictation tool
     return QWERTZ_ADJACENCY_MAP;
   }
 }
@@ -261,53 +264,12 @@ export function keyboardProximityCost(char1, char2, layout = 'auto') {
 
 /**
  * German-specific common typo detection
- * Recognizes common typo patterns in German
+ * Recognizes common typo patterns in German (the typo patterns of the German language profile)
  * 
  * @param {string} input - Input word
  * @param {string} reference - Reference word
  * @returns {number} - Additional similarity bonus (0-0.2) if pattern detected
  */
 export function detectGermanTypoPatterns(input, reference) {
-  // Convert to lowercase for case-insensitive matching
-  const inputLower = input.toLowerCase();
-  const refLower = reference.toLowerCase();
-  
-  let similarityBonus = 0;
-  
-  // Pattern 1: 'sch' written as 'sh'
-  if (inputLower.includes('sh') && refLower.includes('sch')) {
-    similarityBonus = Math.max(similarityBonus, 0.15);
-  }
-  
-  // Pattern 2: Umlauts written as base vowel (a instead of ä, etc.)
-  const umlautMap = {
-    'ä': 'a', 'ö': 'o', 'ü': 'u',
-  };
-  
-  for (const [umlaut, base] of Object.entries(umlautMap)) {
-    if (refLower.includes(umlaut) && inputLower.includes(base)) {
-      const umlautIndex = refLower.indexOf(umlaut);
-      const baseIndex = inputLower.indexOf(base);
-      
-      // Check if they appear at similar positions
-      if (Math.abs(umlautIndex - baseIndex) <= 2) {
-        similarityBonus = Math.max(similarityBonus, 0.15);
-      }
-    }
-  }
-  
-  // Pattern 3: Single 's' instead of 'ß'
-  if (refLower.includes('ß') && (inputLower.includes('s') && !inputLower.includes('ß'))) {
-    similarityBonus = Math.max(similarityBonus, 0.1);
-  }
-  
-  // Pattern 4: Double vowels commonly mistaken as single vowels
-  const commonDoubles = ['ee', 'aa', 'oo'];
-  for (const doubleVowel of commonDoubles) {
-    if (refLower.includes(doubleVowel) && !inputLower.includes(doubleVowel)) {
-      similarityBonus = Math.max(similarityBonus, 0.1);
-    }
-  }
-  
-  return similarityBonus;
+  return detectTypoPatterns(input, reference, getLanguageProfile('de'));
 }
@@ -0,0 +1,347 @@
+/**
+ * Language Profiles Module
+ * Everything the comparison needs to know about the language of an exercise: how typed
+ * text is normalized, which characters are punctuation, which contractions count as the
+ * same words, common typo patterns and the keyboard layout. The exercise's `language`
+ * selects the profile; the rest of the comparison engine is the same for every language.
+ */
+import { createLogger } from '../utils/logger.js';
+import { textComparisonConfig } from '../config.js';
+import { transformText } from './transformationRules.js';
+
+// Create logger for this module
+const logger = createLogger('languageProfiles');
+
+/**
+ * Typo patterns give a similarity bonus when the reference contains `reference` and:
+ * - the input contains `input` (within `maxOffset` characters of the same position, if set)
+ * - with `requireMissing`, the input doesn't contain `reference` itself
+ */
+export const LANGUAGE_PROFILES = {
+  de: {
+    code: 'de',
+    name: 'German',
+    keyboardLayout: 'qwertz',
+    // ae → ä, a: → ä, s: → ß … (see transformationRules.js)
+    usesTransformationRules: true,
+    // Numbers, times and abbreviations written another way are accepted (see equivalences.js)
+    usesEquivalences: true,
+    punctuation: '.,!?;:()[]{}"\'«»„“”',
+    elisions: [],
+    apostropheWords: [],
+    contractions: [
+      ["geht's", 'geht es'], ["gibt's", 'gibt es'], ["wie's", 'wie es'], ["hat's", 'hat es'],
+      ["ist's", 'ist es'], ["war's", 'war es'], ["wär's", 'wäre es']
+    ],
+    typoPatterns: [
+      { reference: 'sch', input: 'sh', bonus: 0.15 },
+      { reference: 'ä', input: 'a', maxOffset: 2, bonus: 0.15 },
+      { reference: 'ö', input: 'o', maxOffset: 2, bonus: 0.15 },
+      { reference: 'ü', input: 'u', maxOffset: 2, bonus: 0.15 },
+      { reference: 'ß', input: 's', requireMissing: true, bonus: 0.1 },
+      { reference: 'ee', requireMissing: true, bonus: 0.1 },
+      { reference: 'aa', requireMissing: true, bonus: 0.1 },
+      { reference: 'oo', requireMissing: true, bonus: 0.1 }
+    ],
+    specialCharacters: ['ä', 'ö', 'ü', 'ß'],
+    composeSequences: { '"a': 'ä', '"o': 'ö', '"u': 'ü', '"s': 'ß' },
+    // "ss" at the end of a word is composed into ß where the sentence has ß
+    composeWordEndEszett: true
+  },
+  fr: {
+    code: 'fr',
+    name: 'French',
+    keyboardLayout: 'azerty',
+    usesTransformationRules: false,
+    usesEquivalences: false,
+    punctuation: '.,!?;:()[]{}"\'«»‹›“”’…',
+    contractions: [],
+    // Elided words are graded as words of their own ("l'homme" = "l'" + "homme")
+    elisions: ['l', 'd', 'j', 'm', 'n', 's', 't', 'c', 'qu', 'jusqu', 'lorsqu', 'puisqu', 'quoiqu'],
+    // Words with an apostrophe that are one word, also when typed with a space ("aujourd hui")
+    apostropheWords: ["aujourd'hui", "prud'homme", "quelqu'un", "quelqu'une", "presqu'île", "entr'acte"],
+    typoPatterns: [
+      { reference: 'é', input: 'e', maxOffset: 1, bonus: 0.15 },
+      { reference: 'è', input: 'e', maxOffset: 1, bonus: 0.15 },
+      { reference: 'ê', input: 'e', maxOffset: 1, bonus: 0.15 },
+      { reference: 'à', input: 'a', maxOffset: 1, bonus: 0.15 },
+      { reference: 'â', input: 'a', maxOffset: 1, bonus: 0.15 },
+      { reference: 'ç', input: 'c', maxOffset: 1, bonus: 0.15 },
+      { reference: 'ô', input: 'o', maxOffset: 1, bonus: 0.15 },
+      { reference: 'û', input: 'u', maxOffset: 1, bonus: 0.15 },
+      { reference: 'eau', input: 'o', maxOffset: 1, bonus: 0.1 },
+      { reference: 'ph', input: 'f', maxOffset: 1, bonus: 0.1 }
+    ],
+    specialCharacters: ['é', 'è', 'ê', 'ë', 'à', 'â', 'ç', 'î', 'ï', 'ô', 'ù', 'û', 'œ', '«', '»'],
+    // The acute accent comes after the e, so elisions like "l'enfant" stay as typed
+    composeSequences: {
+      "e'": 'é', '`e': 'è', '`a': 'à', '`u': 'ù',
+      '^e': 'ê', '^a': 'â', '^i': 'î', '^o': 'ô', '^u': 'û',
+      '"e': 'ë', '"i': 'ï', '"u': 'ü', ',c': 'ç'
+    },
+    composeWordEndEszett: false
+  },
+  es: {
+    code: 'es',
+    name: 'Spanish',
+    keyboardLayout: 'qwerty',
+    usesTransformationRules: false,
+    usesEquivalences: false,
+    punctuation: '.,!?;:()[]{}"\'«»“”¿¡…',
+    contractions: [],
+    elisions: [],
+    apostropheWords: [],
+    typoPatterns: [
+      { reference: 'á', input: 'a', maxOffset: 1, bonus: 0.15 },
+      { reference: 'é', input: 'e', maxOffset: 1, bonus: 0.15 },
+      { reference: 'í', input: 'i', maxOffset: 1, bonus: 0.15 },
+      { reference: 'ó', input: 'o', maxOffset: 1, bonus: 0.15 },
+      { reference: 'ú', input: 'u', maxOffset: 1, bonus: 0.15 },
+      { reference: 'ñ', input: 'n', maxOffset: 1, bonus: 0.15 },
+      { reference: 'v', input: 'b', maxOffset: 0, bonus: 0.1 },
+      { reference: 'll', input: 'y', maxOffset: 1, bonus: 0.1 },
+      { reference: 'h', requireMissing: true, bonus: 0.1 }
+    ],
+    specialCharacters: ['á', 'é', 'í', 'ó', 'ú', 'ñ', 'ü', '¿', '¡'],
+    composeSequences: { "'a": 'á', "'e": 'é', "'i": 'í', "'o": 'ó', "'u": 'ú', '~n': 'ñ', '"u': 'ü' },
+    composeWordEndEszett: false
+  },
+  en: {
+    code: 'en',
+    name: 'English',
+    keyboardLayout: 'qwerty',
+    usesTransformationRules: false,
+    usesEquivalences: false,
+    punctuation: '.,!?;:()[]{}"\'“”‘’…',
+    elisions: [],
+    apostropheWords: [],
+    contractions: [
+      ["don't", 'do not'], ["doesn't", 'does not'], ["didn't", 'did not'], ["can't", 'cannot'],
+      ["won't", 'will not'], ["isn't", 'is not'], ["aren't", 'are not'], ["wasn't", 'was not'],
+      ["weren't", 'were not'], ["haven't", 'have not'], ["hasn't", 'has not'], ["couldn't", 'could not'],
+      ["wouldn't", 'would not'], ["shouldn't", 'should not'], ["i'm", 'i am'], ["you're", 'you are'],
+      ["we're", 'we are'], ["they're", 'they are'], ["it's", 'it is'], ["that's", 'that is'],
+      ["there's", 'there is'], ["i've", 'i have'], ["we've", 'we have'], ["i'll", 'i will'],
+      ["you'll", 'you will'], ["let's", 'let us']
+    ],
+    typoPatterns: [
+      { reference: 'ie', input: 'ei', maxOffset: 0, bonus: 0.15 },
+      { reference: 'ei', input: 'ie', maxOffset: 0, bonus: 0.15 },
+      { reference: 'ph', input: 'f', maxOffset: 1, bonus: 0.1 },
+      { reference: 'ough', input: 'ow', maxOffset: 1, bonus: 0.1 },
+      { reference: 'll', requireMissing: true, bonus: 0.1 },
+      { reference: 'ss', requireMissing: true, bonus: 0.1 }
+    ],
+    specialCharacters: [],
+    composeSequences: {},
+    composeWordEndEszett: false
+  }
+};
+
+// Profile of the running exercise
+let activeProfile = null;
+
+// Apostrophes that are written as ' for the comparison
+const APOSTROPHES = /['’‘ʼ]/g;
+
+// Characters around a contraction that still make it a whole word
+const PHRASE_BOUNDARY = '.,!?;:()"«»„“”';
+
+/**
+ * Get the profile of a language
+ * @param {string} language - Language code (e.g. 'de', 'fr')
+ * @returns {Object} - The profile, or the default language's profile for unknown languages
+ */
+export function getLanguageProfile(language) {
+  const code = String(language || '').toLowerCase().split('-')[0];
+  return LANGUAGE_PROFILES[code] || LANGUAGE_PROFILES[textComparisonConfig.language] || LANGUAGE_PROFILES.de;
+}
+
+/**
+ * Select the language profile used for comparing input (called once the exercise is known)
+ * @param {string} language - Language code of the exercise
+ * @returns {Object} - The selected profile
+ */
+export function setActiveLanguage(language) {
+  activeProfile = getLanguageProfile(language);
+  if (language && activeProfile.code !== String(language).toLowerCase().split('-')[0]) {
+    logger.warn('No language profile, using the default', { language, profile: activeProfile.code });
+  }
+  return activeProfile;
+}
+
+/**
+ * Get the profile used for comparing input
+ * @returns {Object} - The profile of the running exercise (the default language's before one is selected)
+ */
+export function getActiveLanguageProfile() {
+  return activeProfile || getLanguageProfile(textComparisonConfig.language);
+}
+
+/**
+ * Normalize typed text the way the language needs (German: ae → ä etc.)
+ * @param {string} text - The text as typed
+ * @param {string|null} [referenceText=null] - The expected text (see transformText)
+ * @param {Object} [profile] - Language profile (defaults to the active one)
+ * @returns {Object} - { text, changes } where changes lists { from, to } per changed word
+ */
+export function transformInput(text, referenceText = null, profile = getActiveLanguageProfile()) {
+  if (!profile.usesTransformationRules) {
+    return { text: text || '', changes: [] };
+  }
+  return transformText(text, referenceText);
+}
+
+/**
+ * Check whether a character is punctuation in the language
+ * @param {string} char - The character
+ * @param {Object} [profile] - Language profile (defaults to the active one)
+ * @returns {boolean} - True if the character is punctuation
+ */
+export function isPunctuation(char, profile = getActiveLanguageProfile()) {
+  return Boolean(char) && profile.punctuation.includes(char);
+}
+
+/**
+ * Remove the punctuation of the language from a text
+ * @param {string} text - The text
+ * @param {Object} [profile] - Language profile (defaults to the active one)
+ * @returns {string} - The text without punctuation
+ */
+export function removePunctuation(text, profile = getActiveLanguageProfile()) {
+  if (!text) return '';
+  return Array.from(text).filter(char => !profile.punctuation.includes(char)).join('');
+}
+
+/**
+ * Write the contractions in the input the way the reference writes them
+ * ("do not" becomes "don't" if the reference says "don't", and the other way round)
+ * @param {string} input - The typed text
+ * @param {string} referenceText - The expected text
+ * @param {Object} [profile] - Language profile (defaults to the active one)
+ * @returns {string} - The input with its contractions adjusted
+ */
+export function applyContractions(input, referenceText, profile = getActiveLanguageProfile()) {
+  if (!input || !referenceText || profile.contractions.length === 0) return input || '';
+
+  // Compare with typographic apostrophes written as '
+  const reference = ` ${referenceText.toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, ' ')} `;
+  let result = input;
+
+  profile.contractions.forEach(([contracted, expanded]) => {
+    const hasContracted = containsPhrase(reference, contracted);
+    const hasExpanded = containsPhrase(reference, expanded);
+    if (hasContracted && !hasExpanded) {
+      result = replacePhrase(result, expanded, contracted);
+    } else if (hasExpanded && !hasContracted) {
+      result = replacePhrase(result, contracted, expanded);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Split a text into the words that are graded
+ * Words are separated by whitespace; elided words are split off the word they are attached
+ * to ("l'homme" → "l'", "homme"). Apostrophes are written as ' in the words, and words with
+ * an apostrophe that were typed with a space are joined again ("aujourd hui" → "aujourd'hui").
+ * @param {string} text - The text
+ * @param {Object} [profile] - Language profile (defaults to the active one)
+ * @returns {Array} - [{ text, joinedWith }] where joinedWith is the apostrophe that joins an
+ *   elided word to the next word in the text ('' for words followed by a space)
+ */
+export function tokenizeText(text, profile = getActiveLanguageProfile()) {
+  if (!text) return [];
+
+  let joined = text;
+  profile.apostropheWords.forEach(word => {
+    const [first, second] = word.split("'");
+    const pattern = new RegExp(`(^|[^\\p{L}])${escapeRegExp(first)}\\s*['’‘ʼ]?\\s*${escapeRegExp(second)}(?![\\p{L}])`, 'giu');
+    joined = joined.replace(pattern, (match, before) => {
+      const found = match.slice(before.length);
+      const capitalized = found[0] !== found[0].toLowerCase();
+      return before + (capitalized ? word[0].toUpperCase() + word.slice(1) : word);
+    });
+  });
+
+  const elision = profile.elisions.length > 0
+    ? new RegExp(`^([^\\p{L}]*(?:${profile.elisions.map(escapeRegExp).join('|')}))(['’‘ʼ])(?=\\p{L})`, 'iu')
+    : null;
+  const apostropheWords = new Set(profile.apostropheWords);
+
+  const tokens = [];
+  joined.split(/\s+/).filter(Boolean).forEach(word => {
+    let rest = word;
+    let match = elision && rest.match(elision);
+    while (match && !apostropheWords.has(rest.replace(APOSTROPHES, "'").replace(/[^\p{L}']/gu, '').toLowerCase())) {
+      tokens.push({ text: `${match[1]}'`, joinedWith: match[2] });
+      rest = rest.slice(match[0].length);
+      match = rest.match(elision);
+    }
+    tokens.push({ text: rest.replace(APOSTROPHES, "'"), joinedWith: '' });
+  });
+  return tokens;
+}
+
+/**
+ * Get the similarity bonus for typo patterns that are common in the language
+ * @param {string} input - Input word
+ * @param {string} reference - Reference word
+ * @param {Object} [profile] - Language profile (defaults to the active one)
+ * @returns {number} - The largest bonus of the patterns found (0 if none)
+ */
+export function detectTypoPatterns(input, reference, profile = getActiveLanguageProfile()) {
+  const inputLower = input.toLowerCase();
+  const refLower = reference.toLowerCase();
+
+  return profile.typoPatterns.reduce((bonus, pattern) => {
+    const refIndex = refLower.indexOf(pattern.reference);
+    if (refIndex === -1) return bonus;
+    if (pattern.requireMissing && inputLower.includes(pattern.reference)) return bonus;
+
+    if (pattern.input !== undefined) {
+      const inputIndex = inputLower.indexOf(pattern.input);
+      if (inputIndex === -1) return bonus;
+      if (pattern.maxOffset !== undefined && Math.abs(refIndex - inputIndex) > pattern.maxOffset) return bonus;
+    }
+
+    return Math.max(bonus, pattern.bonus);
+  }, 0);
+}
+
+/**
+ * Check whether a padded, lower-case text contains a phrase as whole words
+ * @param {string} paddedText - Text with a space at both ends
+ * @param {string} phrase - The phrase
+ * @returns {boolean} - True if the phrase is in the text
+ */
+function containsPhrase(paddedText, phrase) {
+  return new RegExp(`[\\s${escapeRegExp(PHRASE_BOUNDARY)}]${escapeRegExp(phrase)}[\\s${escapeRegExp(PHRASE_BOUNDARY)}]`).test(paddedText);
+}
+
+/**
+ * Replace a phrase (as whole words, ignoring case and the apostrophe style) in a text
+ * The replacement starts with a capital letter if the replaced phrase did
+ * @param {string} text - The text
+ * @param {string} phrase - Phrase to replace
+ * @param {string} replacement - Replacement
+ * @returns {string} - The text with the phrase replaced
+ */
+function replacePhrase(text, phrase, replacement) {
+  const pattern = escapeRegExp(phrase).replace(/'/g, "['’‘]").replace(/ /g, '\\s+');
+  return text.replace(new RegExp(`(^|[\\s${escapeRegExp(PHRASE_BOUNDARY)}])${pattern}(?=$|[\\s${escapeRegExp(PHRASE_BOUNDARY)}])`, 'gi'), (match, before) => {
+    const found = match.slice(before.length);
+    const capitalized = found[0] !== found[0].toLowerCase();
+    return before + (capitalized ? replacement[0].toUpperCase() + replacement.slice(1) : replacement);
+  });
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
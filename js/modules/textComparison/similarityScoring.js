@@ -3,12 +3,13 @@
  * Provides functions to calculate word similarity for matching purposes
  * Using the proven algorithms from the old system
  * Enhanced with keyboard proximity analysis, length-based thresholds,
- * and German-specific typo pattern detection.
+ * and language-specific typo pattern detection.
  */
 
 import { normalizeForComparison } from './textNormalizer.js';
 import { textComparisonConfig } from '../config.js';
-import { keyboardProximityCost, detectGermanTypoPatterns } from './keyboardProximity.js';
+import { keyboardProximityCost } from './keyboardProximity.js';
+import { getActiveLanguageProfile } from './languageProfiles.js';
 
 /**
  * Calculates similarity between two words using multiple techniques:
@@ -104,8 +105,8 @@ export function levenshteinDistance(str1, str2) {
 
 /**
  * Enhanced Levenshtein distance calculation with keyboard proximity consideration
- * Takes into account the proximity of keys on a German QWERTZ keyboard
- * when calculating substitution cost
+ * Takes into account the proximity of keys on the keyboard layout of the
+ * exercise language (QWERTZ for German) when calculating substitution cost
  * 
  * @param {string} str1 - First string
  * @param {string} str2 - Second string
@@ -119,6 +120,10 @@ export function levenshteinDistanceKeyboard(str1, str2) {
   
   const matrix = [];
   
+  // 'auto' means the layout of the exercise language, not every layout at once
+  const configuredLayout = textComparisonConfig.keyboardLayout || 'auto';
+  const layout = configuredLayout === 'auto' ? getActiveLanguageProfile().keyboardLayout : configuredLayout;
+  
   // Initialize matrix
   for (let i = 0; i <= str2.length; i++) {
     matrix[i] = [i];
@@ -138,7 +143,7 @@ export function levenshteinDistanceKeyboard(str1, str2) {
       const cost = char1 === char2 ? 0 : keyboardProximityCost(
         char1, 
         char2, 
-        textComparisonConfig.keyboardLayout || 'auto'
+        layout
       );
       
       matrix[i][j] = Math.min(
@@ -60,7 +60,7 @@ export function createAdvancedAlignment(inputText, referenceText) {
     });
     
     // Normalize texts for comparison
-    const normalizedInput = transformSpecialCharacters(inputText.toLowerCase());
+    const normalizedInput = transformSpecialCharacters(inputText.toLowerCase(), referenceText);
     const normalizedReference = referenceText.toLowerCase();
     
     // Create alignment result structure
@@ -1,9 +1,10 @@
 /**
  * Text Normalization Module
  * Handles normalizing text for more accurate comparison,
- * with special handling for German language characters.
+ * following the language profile of the exercise (e.g. German special characters).
  */
 import { createLogger } from '../utils/logger.js';
+import { transformInput, removePunctuation } from './languageProfiles.js';
 
 // Create logger for this module
 const logger = createLogger('textNormalizer');
@@ -30,44 +31,19 @@ export function getTimeSinceSegmentChange() {
 }
 
 /**
- * Transform input text to normalize German special characters
+ * Transform input text to normalize special characters
+ * For German, uses the enabled rule sets of the transformation rules (ae → ä, a: → ä, s: → ß …);
+ * other languages leave the text as typed
  * @param {string} input - The user input text
+ * @param {string|null} [referenceText=null] - The expected text, so only spellings that
+ *   match an umlaut or ß of the reference are transformed
  * @returns {string} - Normalized text with transformed special characters
  */
-export function transformSpecialCharacters(input) {
+export function transformSpecialCharacters(input, referenceText = null) {
     if (!input) return '';
     
     try {
-        // Try-catch to handle any unexpected errors in the transformation process
-        let result = input;
-        let needsTransformation = false;
-        
-        // Check if this word needs special character transformation
-        needsTransformation = /[aouAOU][e:\/]|s[s:\/]|B[a-zäöüß]|[a-zäöüß]B|sh/.test(input);
-        
-        if (!needsTransformation) {
-            // Skip unnecessary processing and logging for words that don't need transformation
-            return input;
-        }
-        
-        // Apply transformations in a specific order for best results
-        // 1. First transform letter+e patterns
-        result = transformLetterE(result);
-        logger.debug('After transformLetterE', { result });
-        
-        // 2. Then transform colon patterns
-        result = transformColon(result);
-        logger.debug('After transformColon', { result });
-        
-        // 3. Then transform slash patterns
-        result = transformSlash(result);
-        logger.debug('After transformSlash', { result });
-        
-        // 4. Finally transform eszett
-        result = transformEszett(result);
-        logger.debug('After transformEszett', { result });
-        
-        return result;
+        return transformInput(input, referenceText).text;
     } catch (err) {
         // Fallback in case of any error - return original input
         logger.error("Error in transformation", err);
@@ -75,100 +51,6 @@ export function transformSpecialCharacters(input) {
     }
 }
 
-/**
- * Transform letter+e notation to umlauts (ae → ä, oe → ö, ue → ü)
- * @param {string} text - Input text
- * @returns {string} - Transformed text
- */
-function transformLetterE(text) {
-    if (!text) return text;
-    
-    logger.debug('transformLetterE input', { text });
-    
-    // Log intermediate transformations:
-    let result = text;
-    
-    result = result.replace(/ae/g, 'ä');
-    logger.debug('After ae→ä', { result });
-    
-    result = result.replace(/oe/g, 'ö');
-    logger.debug('After oe→ö', { result }); 
-    
-    result = result.replace(/ue/g, 'ü');
-    logger.debug('After ue→ü', { result });
-    
-    result = result.replace(/Ae/g, 'Ä');
-    result = result.replace(/Oe/g, 'Ö');
-    result = result.replace(/Ue/g, 'Ü');
-    return result;
-}
-
-/**
- * Transform colon notation to umlauts (a: → ä, o: → ö, u: → ü)
- * @param {string} text - Input text
- * @returns {string} - Transformed text
- */
-function transformColon(text) {
-    let result = text;
-    result = result.replace(/a:/g, 'ä');
-    result = result.replace(/o:/g, 'ö');
-    result = result.replace(/u:/g, 'ü');
-    result = result.replace(/A:/g, 'Ä');
-    result = result.replace(/O:/g, 'Ö');
-    result = result.replace(/U:/g, 'Ü');
-    return result;
-}
-
-/**
- * Transform slash notation to umlauts (a/ → ä, o/ → ö, u/ → ü)
- * @param {string} text - Input text
- * @returns {string} - Transformed text
- */
-function transformSlash(text) {
-    let result = text;
-    result = result.replace(/a\//g, 'ä');
-    result = result.replace(/o\//g, 'ö');
-    result = result.replace(/u\//g, 'ü');
-    result = result.replace(/A\//g, 'Ä');
-    result = result.replace(/O\//g, 'Ö');
-    result = result.replace(/U\//g, 'Ü');
-    return result;
-}
-
-/**
- * Transform eszett alternative writings to proper eszett (ß)
- * Only transforms specific patterns, NEVER regular 'ss'
- * @param {string} text - The input text
- * @returns {string} - Text with transformed eszett
- */
-function transformEszett(text) {
-    let result = text;
-    
-    // Pattern 1: Replace "s:" with "ß"
-    result = result.replace(/s:/g, 'ß');
-    result = result.replace(/S:/g, 'ß');
-    
-    // Pattern 2: Replace "s/" with "ß"
-    result = result.replace(/s\//g, 'ß');
-    result = result.replace(/S\//g, 'ß');
-    
-    // Pattern 3: Replace capital B in the middle/end of a word with "ß"
-    result = result.replace(/([a-zäöü])B($|[a-zäöü])/g, '$1ß$2');
-    
-    // Pattern 4: Replace "straBe" with "straße" (and other common words with ß)
-    result = result.replace(/straBe/g, 'straße');
-    result = result.replace(/StraBe/g, 'Straße');
-    result = result.replace(/STRABE/g, 'STRAßE');
-    
-    // You can add more common German words with ß here as needed
-    result = result.replace(/groBe/g, 'große');
-    result = result.replace(/GroBe/g, 'Große');
-    result = result.replace(/weiBe/g, 'weiße');
-    result = result.replace(/WeiBe/g, 'Weiße');
-    
-    return result;
-}
-
 /**
  * Normalizes a word for comparison by removing punctuation,
  * converting to lowercase, and handling special characters
@@ -204,7 +86,7 @@ export function normalizeText(text) {
  * - German special char transforms (ae→ä, etc.)
  * - Only capital B in the middle/end of a word → ß
  * - Never ss→ß, never ä→ae, etc.
- * - Strip all punctuation
+ * - Strip all punctuation (the punctuation set of the language profile)
  * - Normalize whitespace
  * - Case sensitivity controlled by argument
  *
@@ -217,7 +99,7 @@ export function normalizeForComparison(text, caseSensitive = false) {
   // 1. Special char transforms
   let result = transformSpecialCharacters(text);
   // 2. Strip punctuation
-  result = result.replace(/[.,!?;:()\[\]{}"'«»„“”]/g, '');
+  result = removePunctuation(result);
   // 3. Normalize whitespace
   result = result.trim().replace(/\s+/g, ' ');
   // 4. Case sensitivity
@@ -0,0 +1,303 @@
+/**
+ * Transformation Rules Module
+ * Turns the spellings learners type for German special characters on keyboards without
+ * them (ae, a:, a/, s:, B …) into umlauts and ß. The rules come in named rule sets that
+ * can be turned on and off. Words from the exceptions dictionary (e.g. "Feuer",
+ * "aktuell") are never transformed, and when the reference text is known a spelling is
+ * only transformed where a reference word has the umlaut or ß at that position.
+ */
+import { createLogger } from '../utils/logger.js';
+import { getPreference, setPreference } from '../../utils/preferences.js';
+
+// Create logger for this module
+const logger = createLogger('transformationRules');
+
+/**
+ * Check whether a capital B stands for ß: after a lower-case letter and not before a capital
+ * @param {string} word - The word
+ * @param {number} index - Position of the B
+ * @returns {boolean} - True if the B is inside a word
+ */
+function isInsideWord(word, index) {
+  const next = word[index + 1];
+  return index > 0 && /\p{Ll}/u.test(word[index - 1]) && !(next && /\p{Lu}/u.test(next));
+}
+
+// Rule sets in the order they are tried; every rule replaces `from` with `to`
+export const RULE_SETS = [
+  {
+    id: 'letterE',
+    label: 'ae, oe, ue → ä, ö, ü',
+    rules: [
+      { from: 'ae', to: 'ä' }, { from: 'oe', to: 'ö' }, { from: 'ue', to: 'ü' },
+      { from: 'Ae', to: 'Ä' }, { from: 'Oe', to: 'Ö' }, { from: 'Ue', to: 'Ü' }
+    ]
+  },
+  {
+    id: 'colon',
+    label: 'a:, o:, u: → ä, ö, ü',
+    rules: [
+      { from: 'a:', to: 'ä' }, { from: 'o:', to: 'ö' }, { from: 'u:', to: 'ü' },
+      { from: 'A:', to: 'Ä' }, { from: 'O:', to: 'Ö' }, { from: 'U:', to: 'Ü' }
+    ]
+  },
+  {
+    id: 'slash',
+    label: 'a/, o/, u/ → ä, ö, ü',
+    rules: [
+      { from: 'a/', to: 'ä' }, { from: 'o/', to: 'ö' }, { from: 'u/', to: 'ü' },
+      { from: 'A/', to: 'Ä' }, { from: 'O/', to: 'Ö' }, { from: 'U/', to: 'Ü' }
+    ]
+  },
+  {
+    id: 'eszett',
+    label: 's: and s/ → ß',
+    rules: [
+      { from: 's:', to: 'ß' }, { from: 'S:', to: 'ß' },
+      { from: 's/', to: 'ß' }, { from: 'S/', to: 'ß' }
+    ]
+  },
+  {
+    id: 'capitalB',
+    label: 'B inside a word → ß',
+    rules: [{ from: 'B', to: 'ß', test: isInsideWord }]
+  }
+];
+
+// Preference holding { ruleSetId: enabled } for the rule sets the user changed
+const PREFERENCE_KEY = 'transformationRules';
+
+// Enabled state of the rule sets (loaded from the preferences when first needed)
+let ruleSetStates = null;
+
+// Words that are never transformed; entries ending in "*" match every word starting with them
+let exceptionWords = new Set();
+let exceptionPrefixes = [];
+
+// Words the learner chose to keep as typed (undo), for the rest of the page session
+const keptAsTyped = new Set();
+
+/**
+ * Get the rule sets with their current state
+ * @returns {Array} - [{ id, label, enabled }]
+ */
+export function getRuleSets() {
+  return RULE_SETS.map(({ id, label }) => ({ id, label, enabled: isRuleSetEnabled(id) }));
+}
+
+/**
+ * Check whether a rule set is turned on (all are on unless the user turned them off)
+ * @param {string} ruleSetId - Id of the rule set
+ * @returns {boolean} - True if the rule set is used
+ */
+export function isRuleSetEnabled(ruleSetId) {
+  if (!ruleSetStates) {
+    ruleSetStates = { ...getPreference(PREFERENCE_KEY, {}) };
+  }
+  return ruleSetStates[ruleSetId] !== false;
+}
+
+/**
+ * Turn a rule set on or off and save the choice
+ * @param {string} ruleSetId - Id of the rule set
+ * @param {boolean} enabled - Whether the rule set is used
+ * @returns {boolean} - False if there is no such rule set
+ */
+export function setRuleSetEnabled(ruleSetId, enabled) {
+  if (!RULE_SETS.some(ruleSet => ruleSet.id === ruleSetId)) {
+    return false;
+  }
+
+  isRuleSetEnabled(ruleSetId);
+  ruleSetStates[ruleSetId] = enabled;
+  setPreference(PREFERENCE_KEY, ruleSetStates);
+  return true;
+}
+
+/**
+ * Set the words that are never transformed
+ * @param {Array<string>} words - Words (case is ignored); "feuer*" also matches "Feuerwehr"
+ */
+export function setTransformationExceptions(words) {
+  const entries = (words || []).map(word => String(word).trim().toLowerCase()).filter(Boolean);
+  exceptionWords = new Set(entries.filter(entry => !entry.endsWith('*')));
+  exceptionPrefixes = entries.filter(entry => entry.endsWith('*')).map(entry => entry.slice(0, -1));
+}
+
+/**
+ * Load the words that are never transformed from a dictionary file
+ * The file is a JSON array of words or an object with a "words" array
+ * @param {string} url - URL of the dictionary
+ * @returns {Promise<number>} - Number of words loaded (0 if the dictionary can't be loaded)
+ */
+export async function loadTransformationExceptions(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+
+    const dictionary = await response.json();
+    const words = Array.isArray(dictionary) ? dictionary : dictionary.words;
+    if (!Array.isArray(words)) {
+      throw new Error('Expected an array of words');
+    }
+
+    setTransformationExceptions(words);
+    logger.info('Transformation exceptions loaded', { count: words.length });
+    return words.length;
+  } catch (error) {
+    logger.error('Failed to load transformation exceptions', error);
+    return 0;
+  }
+}
+
+/**
+ * Check whether a word is never transformed
+ * @param {string} word - The word, as typed
+ * @returns {boolean} - True if the word is in the exceptions or was kept as typed
+ */
+export function isTransformationException(word) {
+  const comparable = toComparable(word);
+  return exceptionWords.has(comparable) ||
+    keptAsTyped.has(comparable) ||
+    exceptionPrefixes.some(prefix => comparable.startsWith(prefix));
+}
+
+/**
+ * Keep a word as typed for the rest of the session (undo of a transformation)
+ * @param {string} word - The word, as typed
+ */
+export function keepWordAsTyped(word) {
+  keptAsTyped.add(toComparable(word));
+}
+
+/**
+ * Apply the enabled rule sets to a text
+ * @param {string} text - The text as typed
+ * @param {string|null} [referenceText=null] - The expected text; when given, a spelling is
+ *   only transformed where the reference word the typed word stands for has the resulting
+ *   character at that position, and words that are spelled like a reference word are left alone
+ * @returns {Object} - { text, changes } where changes lists { from, to } per changed word
+ */
+export function transformText(text, referenceText = null) {
+  if (!text) return { text: '', changes: [] };
+
+  const rules = RULE_SETS
+    .filter(ruleSet => isRuleSetEnabled(ruleSet.id))
+    .flatMap(ruleSet => ruleSet.rules);
+  if (rules.length === 0) return { text, changes: [] };
+
+  const referenceWords = referenceText
+    ? referenceText.split(/\s+/).map(toComparable).filter(Boolean)
+    : null;
+  const changes = [];
+
+  const result = text.replace(/\S+/g, token => {
+    const transformed = transformWord(token, rules, referenceWords);
+    if (transformed !== token) {
+      changes.push({ from: token, to: transformed });
+    }
+    return transformed;
+  });
+
+  if (changes.length > 0) {
+    logger.debug('Transformed special characters', { changes });
+  }
+  return { text: result, changes };
+}
+
+/**
+ * Apply the rules to one word
+ * With a reference, the word is transformed towards the reference word it stands for: the
+ * transformation is only kept if at most a third of the letters still differ from that word
+ * (so "Tuer" becomes "Tür" for "Tür", but "Blues" stays "Blues" for "Blüte")
+ * @param {string} token - The word with any punctuation around it
+ * @param {Array} rules - The enabled rules
+ * @param {Array<string>|null} referenceWords - Comparable reference words (or null)
+ * @returns {string} - The transformed word
+ */
+function transformWord(token, rules, referenceWords) {
+  // Leading quotes and brackets are kept as they are and don't count for the positions
+  const [, leading, word] = token.match(/^([^\p{L}\p{N}]*)(.*)$/su);
+  if (!word || isTransformationException(word)) return token;
+  if (!referenceWords) return leading + applyRules(word, rules, null);
+  if (referenceWords.includes(toComparable(word))) return token;
+
+  let best = word;
+  let bestDistance = Infinity;
+  referenceWords.forEach(referenceWord => {
+    const candidate = applyRules(word, rules, referenceWord);
+    if (candidate === word) return;
+
+    const comparable = toComparable(candidate);
+    const distance = getEditDistance(comparable, referenceWord);
+    const allowed = Math.floor(Math.max(comparable.length, referenceWord.length) / 3);
+    if (distance <= allowed && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return leading + best;
+}
+
+/**
+ * Replace the spellings of a word that the rules cover
+ * @param {string} word - The word without leading punctuation
+ * @param {Array} rules - The enabled rules
+ * @param {string|null} referenceWord - Comparable reference word; when given, a rule is only
+ *   applied where this word has the resulting character at that position
+ * @returns {string} - The word with the rules applied
+ */
+function applyRules(word, rules, referenceWord) {
+  let output = '';
+  let i = 0;
+  while (i < word.length) {
+    const position = output.length;
+    const rule = rules.find(candidate =>
+      word.startsWith(candidate.from, i) &&
+      (!candidate.test || candidate.test(word, i)) &&
+      (!referenceWord || referenceWord[position] === candidate.to.toLowerCase())
+    );
+
+    if (rule) {
+      output += rule.to;
+      i += rule.from.length;
+    } else {
+      output += word[i];
+      i++;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Count the letters that have to be inserted, removed or replaced to turn one word into another
+ * (levenshteinDistance in similarityScoring.js normalizes, and with it transforms, its words)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - The edit distance
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Get the form of a word used to compare it with reference words and exceptions
+ * @param {string} word - The word
+ * @returns {string} - Lower-case word without leading and trailing punctuation
+ */
+function toComparable(word) {
+  return word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase();
+}
@@ -68,7 +68,7 @@ export function compareWords(inputWord, referenceWord, options = {}) {
     // Transform input word for special character handling
     let transformedInput;
     try {
-      transformedInput = transformSpecialCharacters(inputForCompare);
+      transformedInput = transformSpecialCharacters(inputForCompare, refForCompare);
     } catch (error) {
       logger.error('Error transforming input word', { inputWord, error });
       transformedInput = inputForCompare;
@@ -160,7 +160,7 @@ export function findBestMatchingReferenceWord(
     // Transform input once outside the loop
     let transformedInput;
     try {
-      transformedInput = transformSpecialCharacters(ignoreCase ? inputWord.toLowerCase() : inputWord);
+      transformedInput = transformSpecialCharacters(ignoreCase ? inputWord.toLowerCase() : inputWord, referenceWords.join(' '));
     } catch (error) {
       logger.error('Error transforming input word', { inputWord, error });
       transformedInput = ignoreCase ? inputWord.toLowerCase() : inputWord;
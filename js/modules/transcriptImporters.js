@@ -0,0 +1,346 @@
+/**
+ * Module for importing transcripts in formats other than WebVTT
+ * SRT, LRC and tab-separated "start<TAB>end<TAB>text" files (Audacity label export)
+ * are converted into the same cue objects the VTT parser produces
+ */
+import { parseVTTContent } from './vttParser.js';
+
+// Duration (seconds) given to the last LRC line when the file has no [length:] tag
+const LRC_LAST_CUE_DURATION = 5;
+
+// SRT timing line: "00:00:01,000 --> 00:00:02,500" (optionally followed by position coordinates)
+const SRT_TIMING_PATTERN = /^(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})[ \t]+-->[ \t]+(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})(?:[ \t]+.*)?$/;
+
+// LRC time tag: [mm:ss], [mm:ss.xx] or [mm:ss.xxx]
+const LRC_TIME_TAG_PATTERN = /\[(\d{1,3}):(\d{2}(?:[.:]\d{1,3})?)\]/g;
+
+// LRC metadata tag: [ti:Title], [length: 03:25], [offset:+500], ...
+const LRC_METADATA_PATTERN = /^\[([a-z]+):(.*)\]$/i;
+
+/**
+ * Error thrown for invalid transcript content, carrying the 1-based line number
+ */
+export class TranscriptParseError extends Error {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {number} line - Line number (1-based) where the problem was found
+     * @param {string} format - Transcript format being parsed
+     */
+    constructor(message, line, format) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'TranscriptParseError';
+        this.line = line;
+        this.format = format;
+        this.reason = message;
+    }
+}
+
+/**
+ * Load a transcript file of any supported format
+ * @param {string} transcriptUrl - URL of the transcript file
+ * @returns {Promise<Array>} - Promise resolving to array of cue objects
+ */
+export async function parseTranscript(transcriptUrl) {
+    try {
+        const response = await fetch(transcriptUrl);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load transcript file: ${response.status} ${response.statusText}`);
+        }
+
+        const content = await response.text();
+        return parseTranscriptContent(content, { fileName: transcriptUrl });
+    } catch (error) {
+        console.error('Error parsing transcript file:', error);
+        throw error;
+    }
+}
+
+/**
+ * Parse transcript content, picking the parser by content sniffing and file extension
+ * @param {string} content - Content of the transcript file
+ * @param {Object} [options] - Options
+ * @param {string} [options.format] - Force a format ('vtt', 'srt', 'lrc' or 'labels')
+ * @param {string} [options.fileName] - File name or URL, used when the content is ambiguous
+ * @returns {Array} - Array of cue objects with start time, end time, and text
+ */
+export function parseTranscriptContent(content, options = {}) {
+    const format = options.format || detectTranscriptFormat(content, options.fileName);
+
+    switch (format) {
+        case 'vtt':
+            return parseVTTContent(content);
+        case 'srt':
+            return parseSRTContent(content);
+        case 'lrc':
+            return parseLRCContent(content);
+        case 'labels':
+            return parseLabelContent(content);
+        default:
+            throw new Error('Unrecognized transcript format. Supported formats: WebVTT (.vtt), SubRip (.srt), LRC (.lrc) and tab-separated labels (.txt)');
+    }
+}
+
+/**
+ * Detect the format of a transcript
+ * The content is checked first; the file extension is used when the content gives no clear answer
+ * @param {string} content - Content of the transcript file
+ * @param {string} [fileName] - File name or URL
+ * @returns {string|null} - 'vtt', 'srt', 'lrc', 'labels' or null if unknown
+ */
+export function detectTranscriptFormat(content, fileName = '') {
+    const lines = splitLines(content).map(line => line.trim()).filter(Boolean);
+    const firstLine = lines[0] || '';
+
+    if (firstLine.startsWith('WEBVTT')) return 'vtt';
+    if (/^\d+$/.test(firstLine) && lines[1] && SRT_TIMING_PATTERN.test(lines[1])) return 'srt';
+    if (/^\[\d{1,3}:\d{2}/.test(firstLine) || (LRC_METADATA_PATTERN.test(firstLine) && lines.some(line => /^\[\d{1,3}:\d{2}/.test(line)))) return 'lrc';
+    if (/^[\d:.,]+\t[\d:.,]+(\t|$)/.test(splitLines(content).find(line => line.trim()) || '')) return 'labels';
+
+    const extension = (fileName.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+    switch ((extension || '').toLowerCase()) {
+        case 'vtt': return 'vtt';
+        case 'srt': return 'srt';
+        case 'lrc': return 'lrc';
+        case 'txt':
+        case 'tsv': return 'labels';
+        default: return null;
+    }
+}
+
+/**
+ * Parse SubRip (SRT) content
+ * @param {string} content - Content of an SRT file
+ * @returns {Array} - Array of cue objects
+ */
+export function parseSRTContent(content) {
+    const lines = splitLines(content);
+    const cues = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        if (lines[i].trim() === '') {
+            i++;
+            continue;
+        }
+
+        // Optional numeric index line
+        let id = '';
+        if (/^\d+$/.test(lines[i].trim())) {
+            id = lines[i].trim();
+            i++;
+        }
+
+        const timingMatch = (lines[i] || '').trim().match(SRT_TIMING_PATTERN);
+        if (!timingMatch) {
+            throw new TranscriptParseError(`Invalid SRT timing line "${(lines[i] || '').trim()}"`, Math.min(i, lines.length - 1) + 1, 'srt');
+        }
+
+        const timingLine = i + 1;
+        const startTime = parseClockTime(timingMatch[1]);
+        const endTime = parseClockTime(timingMatch[2]);
+        i++;
+
+        const textLines = [];
+        while (i < lines.length && lines[i].trim() !== '') {
+            textLines.push(lines[i].trim());
+            i++;
+        }
+
+        cues.push(createCue(id, startTime, endTime, stripSubtitleFormatting(textLines.join(' ')), timingLine, 'srt'));
+    }
+
+    return cues;
+}
+
+/**
+ * Parse LRC (lyrics) content
+ * Each line starts at its time tag and ends where the next line starts
+ * @param {string} content - Content of an LRC file
+ * @returns {Array} - Array of cue objects
+ */
+export function parseLRCContent(content) {
+    const lines = splitLines(content);
+    const entries = [];
+    let offsetSeconds = 0;
+    let lengthSeconds = null;
+
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === '') return;
+
+        const metadataMatch = line.match(LRC_METADATA_PATTERN);
+        if (metadataMatch && !/^\d+$/.test(metadataMatch[1])) {
+            const [, tag, value] = metadataMatch;
+            if (tag.toLowerCase() === 'offset') {
+                offsetSeconds = parseInt(value, 10) / 1000 || 0;
+            } else if (tag.toLowerCase() === 'length') {
+                lengthSeconds = parseClockTime(value.trim());
+            }
+            return;
+        }
+
+        const times = [];
+        let textStart = 0;
+        LRC_TIME_TAG_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = LRC_TIME_TAG_PATTERN.exec(line)) !== null && match.index === textStart) {
+            times.push(parseInt(match[1], 10) * 60 + parseFloat(match[2].replace(':', '.')));
+            textStart = LRC_TIME_TAG_PATTERN.lastIndex;
+        }
+
+        if (times.length === 0) {
+            throw new TranscriptParseError(`Expected a time tag like [00:12.34] at the start of "${line}"`, index + 1, 'lrc');
+        }
+
+        // Remove enhanced-LRC word timestamps (<00:12.34>)
+        const text = line.slice(textStart).replace(/<\d{1,3}:\d{2}(?:[.:]\d{1,3})?>/g, '').trim();
+        times.forEach(time => entries.push({ time: Math.max(0, time - offsetSeconds), text, line: index + 1 }));
+    });
+
+    entries.sort((a, b) => a.time - b.time);
+
+    const cues = [];
+    entries.forEach((entry, index) => {
+        // Lines with a time tag but no text only mark where the previous line ends
+        if (!entry.text) return;
+
+        const next = entries[index + 1];
+        const endTime = next ? next.time : (lengthSeconds !== null ? lengthSeconds : entry.time + LRC_LAST_CUE_DURATION);
+        cues.push(createCue(String(cues.length + 1), entry.time, endTime, entry.text, entry.line, 'lrc'));
+    });
+
+    return cues;
+}
+
+/**
+ * Parse tab-separated "start<TAB>end<TAB>text" content (Audacity label export)
+ * Times may be given in seconds (12.5) or as clock times (00:00:12.500); a point label
+ * (start == end) ends where the next label starts
+ * @param {string} content - Content of the label file
+ * @returns {Array} - Array of cue objects
+ */
+export function parseLabelContent(content) {
+    const lines = splitLines(content);
+    const labels = [];
+
+    lines.forEach((line, index) => {
+        if (line.trim() === '') return;
+
+        // Audacity writes spectral selection ranges on extra lines starting with a tab or backslash
+        if (/^[\t\\]/.test(line)) return;
+
+        const [start, end, ...textParts] = line.split('\t');
+        const lineNumber = index + 1;
+
+        if (end === undefined) {
+            throw new TranscriptParseError(`Expected "start<TAB>end<TAB>text" but found "${line.trim()}"`, lineNumber, 'labels');
+        }
+
+        labels.push({
+            startTime: parseLabelTime(start, lineNumber),
+            endTime: parseLabelTime(end, lineNumber),
+            text: textParts.join(' ').trim(),
+            line: lineNumber
+        });
+    });
+
+    return labels.map((label, index) => {
+        let endTime = label.endTime;
+
+        // A point label (start == end) runs up to the next label
+        if (endTime === label.startTime) {
+            const next = labels[index + 1];
+            if (!next) {
+                throw new TranscriptParseError('The last label is a point label (start == end); give it an end time', label.line, 'labels');
+            }
+            endTime = next.startTime;
+        }
+
+        return createCue(String(index + 1), label.startTime, endTime, label.text, label.line, 'labels');
+    });
+}
+
+/**
+ * Build a cue object after validating its timing and text
+ * @param {string} id - Cue identifier
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @param {string} text - Cue text
+ * @param {number} line - Line number used in error messages
+ * @param {string} format - Transcript format used in error messages
+ * @returns {Object} - Cue object
+ */
+function createCue(id, startTime, endTime, text, line, format) {
+    if (endTime <= startTime) {
+        throw new TranscriptParseError('Cue end time must be after its start time', line, format);
+    }
+    if (!text) {
+        throw new TranscriptParseError('Cue has no text', line, format);
+    }
+
+    return {
+        id,
+        startTime,
+        endTime,
+        text,
+        rawText: text,
+        settings: {},
+        speaker: null
+    };
+}
+
+/**
+ * Parse a clock time (HH:MM:SS,mmm, HH:MM:SS.mmm or MM:SS.xx) into seconds
+ * @param {string} value - Clock time
+ * @returns {number} - Time in seconds
+ */
+function parseClockTime(value) {
+    const parts = value.replace(',', '.').split(':').map(Number);
+    if (parts.some(part => Number.isNaN(part))) {
+        throw new Error(`Invalid timestamp format: ${value}`);
+    }
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Parse a label time given in seconds or as a clock time
+ * @param {string} value - Time value
+ * @param {number} lineNumber - Line number used in error messages
+ * @returns {number} - Time in seconds
+ */
+function parseLabelTime(value, lineNumber) {
+    const trimmed = value.trim();
+    const time = trimmed.includes(':') ? parseClockTime(trimmed) : Number(trimmed.replace(',', '.'));
+
+    if (trimmed === '' || Number.isNaN(time)) {
+        throw new TranscriptParseError(`Invalid time "${trimmed}"`, lineNumber, 'labels');
+    }
+
+    return time;
+}
+
+/**
+ * Remove SRT formatting tags (<i>, <b>, <font ...>, {\an8}) from cue text
+ * @param {string} text - Cue text
+ * @returns {string} - Plain text
+ */
+function stripSubtitleFormatting(text) {
+    return text
+        .replace(/<\/?(?:i|b|u|font)(?:\s[^>]*)?>/gi, '')
+        .replace(/\{\\[^}]*\}/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Split content into lines, removing a byte order mark and normalizing line endings
+ * @param {string} content - File content
+ * @returns {Array<string>} - Lines
+ */
+function splitLines(content) {
+    return (content || '')
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .split('\n');
+}
@@ -0,0 +1,139 @@
+/**
+ * Module for the typing help settings and the notice of transformed words
+ * The settings turn the rule sets (ae → ä, a: → ä, s: → ß …) on and off; the notice below
+ * the input field shows which typed words were transformed and lets the learner keep a
+ * word as typed.
+ */
+import { config } from './config.js';
+import { getRuleSets, setRuleSetEnabled, keepWordAsTyped } from './textComparison/transformationRules.js';
+import { getActiveLanguageProfile } from './textComparison/languageProfiles.js';
+
+// Most transformed words listed in the notice (the latest ones)
+const MAX_NOTICE_CHANGES = 3;
+
+/**
+ * Set up the typing help button and its settings panel
+ * The button is hidden for exercise languages that don't use the rule sets
+ * @param {Function} onRulesChanged - Called after a rule set was turned on or off
+ */
+export function initTransformationPanel(onRulesChanged) {
+    const settingsBtn = document.getElementById(config.transformationBtnId);
+    if (!settingsBtn) return;
+
+    if (!getActiveLanguageProfile().usesTransformationRules) {
+        settingsBtn.style.display = 'none';
+        return;
+    }
+
+    settingsBtn.addEventListener('click', () => {
+        const panel = getSettingsPanel(onRulesChanged);
+        const isVisible = panel.style.display !== 'none';
+        panel.style.display = isVisible ? 'none' : 'block';
+        settingsBtn.setAttribute('aria-expanded', String(!isVisible));
+    });
+}
+
+/**
+ * Show the words that were transformed while typing, each with an undo button
+ * @param {Array} changes - { from, to } per transformed word, from transformText
+ * @param {Function} onUndo - Called after the learner chose to keep a word as typed
+ */
+export function showTransformationNotice(changes, onUndo) {
+    const notice = getNotice();
+    if (!notice) return;
+
+    if (!changes || changes.length === 0) {
+        notice.style.display = 'none';
+        notice.innerHTML = '';
+        return;
+    }
+
+    notice.innerHTML = '<span class="transformation-notice-label">Typed as:</span>';
+    changes.slice(-MAX_NOTICE_CHANGES).forEach(change => {
+        const item = document.createElement('span');
+        item.className = 'transformation-change';
+
+        const text = document.createElement('span');
+        text.textContent = `${change.from} → ${change.to}`;
+
+        const undoBtn = document.createElement('button');
+        undoBtn.className = 'transformation-undo-btn';
+        undoBtn.textContent = 'Undo';
+        undoBtn.title = `Keep "${change.from}" as typed`;
+        undoBtn.addEventListener('click', () => {
+            keepWordAsTyped(change.from);
+            onUndo();
+            document.getElementById(config.inputFieldId)?.focus();
+        });
+
+        item.appendChild(text);
+        item.appendChild(undoBtn);
+        notice.appendChild(item);
+    });
+
+    notice.style.display = 'flex';
+}
+
+/**
+ * Get the settings panel, creating it below the toggle buttons
+ * @param {Function} onRulesChanged - Called after a rule set was turned on or off
+ * @returns {HTMLElement} - The panel
+ */
+function getSettingsPanel(onRulesChanged) {
+    let panel = document.getElementById(config.transformationSettingsId);
+    if (panel) return panel;
+
+    panel = document.createElement('div');
+    panel.id = config.transformationSettingsId;
+    panel.className = 'transformation-settings';
+    panel.style.display = 'none';
+    panel.innerHTML = `
+        <p class="transformation-settings-hint">Spellings turned into ä, ö, ü and ß while you type (only where the sentence has them):</p>
+        <ul class="transformation-rule-list"></ul>
+    `;
+
+    const list = panel.querySelector('.transformation-rule-list');
+    getRuleSets().forEach(ruleSet => {
+        const item = document.createElement('li');
+        item.innerHTML = '<label><input type="checkbox" class="transformation-rule-checkbox"> <span></span></label>';
+
+        const checkbox = item.querySelector('input');
+        checkbox.checked = ruleSet.enabled;
+        checkbox.dataset.ruleSet = ruleSet.id;
+        item.querySelector('span').textContent = ruleSet.label;
+
+        list.appendChild(item);
+    });
+
+    list.addEventListener('change', (e) => {
+        const checkbox = e.target.closest('.transformation-rule-checkbox');
+        if (!checkbox) return;
+
+        setRuleSetEnabled(checkbox.dataset.ruleSet, checkbox.checked);
+        onRulesChanged();
+    });
+
+    const toggleContainer = document.getElementById(config.transformationBtnId).parentNode;
+    toggleContainer.parentNode.insertBefore(panel, toggleContainer.nextSibling);
+    return panel;
+}
+
+/**
+ * Get the notice element, creating it below the input field
+ * @returns {HTMLElement|null} - The notice, or null without an input field
+ */
+function getNotice() {
+    let notice = document.getElementById(config.transformationNoticeId);
+    if (notice) return notice;
+
+    const inputField = document.getElementById(config.inputFieldId);
+    if (!inputField) return null;
+
+    notice = document.createElement('div');
+    notice.id = config.transformationNoticeId;
+    notice.className = 'transformation-notice';
+    notice.setAttribute('aria-live', 'polite');
+    notice.style.display = 'none';
+    inputField.parentNode.insertBefore(notice, inputField.nextSibling);
+    return notice;
+}
@@ -1,8 +1,12 @@
 // UI interactions and DOM manipulation
 import { config } from './config.js';
 import { updateProgress, setAudioProgress } from './player.js';
-import { playCurrentSegment, nextSegment, previousSegment, replayCurrentSegment } from './segmentManager.js';
+import { nextSegment, previousSegment, replayCurrentSegment, applyPlaybackRate, getCurrentSegment, pauseSegment, resumeSegment, setupMediaSession } from './segmentManager.js';
 import stateManager from './utils/stateManager.js';
+import { getPreference, setPreference } from '../utils/preferences.js';
+import { initKeymap } from './keymap.js';
+import { toggleShortcutsOverlay } from './shortcutsOverlay.js';
+import { initTransformationPanel } from './transformationPanel.js';
 
 /**
  * Set up UI components and event listeners
@@ -18,14 +22,26 @@ export function setupUI(audio, segmentState, inputManager) {
     // Setup segment navigation buttons
     setupSegmentControls(audio);
     
-    // Play button event
+    // Setup the playback speed control
+    setupSpeedControl(audio);
+    
+    // Setup the repeat mode control
+    setupRepeatControl();
+    
+    // Setup the keyboard shortcuts and their cheat sheet
+    setupKeyboardShortcuts(audio, inputManager);
+    
+    // Let media keys and pedals that act as media devices control the segments
+    setupMediaSession(audio);
+    
+    // Play button event (continues a paused segment)
     playBtn.addEventListener('click', () => {
-        playCurrentSegment(audio);
+        resumeSegment(audio);
     });
     
     // Pause button event
     pauseBtn.addEventListener('click', () => {
-        audio.pause();
+        pauseSegment(audio);
     });
     
     // Time/progress update
@@ -114,6 +130,9 @@ export function setupUI(audio, segmentState, inputManager) {
         });
     }
 
+    // Typing help: turn the rule sets for ä, ö, ü and ß on and off
+    initTransformationPanel(() => inputManager.refreshInput());
+
     function updateCapitalizationToggleUI(isActive) {
         capitalizationToggle.setAttribute('aria-pressed', isActive);
         capitalizationToggle.classList.toggle('active', isActive);
@@ -121,6 +140,126 @@ export function setupUI(audio, segmentState, inputManager) {
     }
 }
 
+/**
+ * Setup the playback speed control
+ * The chosen speed is saved as a user preference and used for every segment played afterwards
+ * @param {HTMLAudioElement} audio - The audio element
+ */
+function setupSpeedControl(audio) {
+    const speedSelect = document.getElementById(config.playbackSpeedId);
+    
+    // Fall back to native speed if the saved speed is no longer offered
+    const savedRate = Number(getPreference('playbackRate', 1));
+    const playbackRate = config.playbackRates.includes(savedRate) ? savedRate : 1;
+    stateManager.updateState('audio', { playbackRate });
+    
+    if (!speedSelect) return;
+    
+    speedSelect.innerHTML = config.playbackRates
+        .map(rate => `<option value="${rate}">${rate}×</option>`)
+        .join('');
+    speedSelect.value = String(playbackRate);
+    
+    speedSelect.addEventListener('change', () => {
+        const selectedRate = Number(speedSelect.value);
+        stateManager.updateState('audio', { playbackRate: selectedRate });
+        setPreference('playbackRate', selectedRate);
+        
+        // Also change the speed of a segment that is playing right now
+        applyPlaybackRate(audio);
+        
+        document.dispatchEvent(new CustomEvent('playbackRateChanged', {
+            detail: { playbackRate: selectedRate }
+        }));
+    });
+}
+
+/**
+ * Setup the repeat mode control (how often each segment is played)
+ * The choice is saved as a user preference like the playback speed
+ */
+function setupRepeatControl() {
+    const repeatSelect = document.getElementById(config.repeatCountId);
+    
+    const savedCount = Number(getPreference('repeatCount', 1));
+    const repeatCount = config.repeatCounts.includes(savedCount) ? savedCount : 1;
+    stateManager.updateState('audio', { repeatCount });
+    
+    if (!repeatSelect) return;
+    
+    repeatSelect.innerHTML = config.repeatCounts
+        .map(count => `<option value="${count}">${count}×</option>`)
+        .join('');
+    repeatSelect.value = String(repeatCount);
+    
+    repeatSelect.addEventListener('change', () => {
+        const selectedCount = Number(repeatSelect.value);
+        stateManager.updateState('audio', { repeatCount: selectedCount });
+        setPreference('repeatCount', selectedCount);
+    });
+}
+
+/**
+ * Setup the keyboard shortcuts
+ * Most actions press the matching button, so they follow the same rules (e.g. in the exam mode)
+ * @param {HTMLAudioElement} audio - The audio element
+ * @param {Object} inputManager - The input manager object
+ */
+function setupKeyboardShortcuts(audio, inputManager) {
+    const clickButton = (id) => {
+        const button = document.getElementById(id);
+        if (button) button.click();
+    };
+    
+    // Only the cheat sheet is available while the results are shown
+    const whileDictating = (handler) => () => {
+        const resultsContainer = document.getElementById(config.resultsContainerId);
+        if (!resultsContainer || resultsContainer.style.display === 'none') {
+            handler();
+        }
+    };
+    
+    initKeymap({
+        playPause: whileDictating(() => clickButton(audio.paused ? config.playBtnId : config.pauseBtnId)),
+        replay: whileDictating(() => clickButton(config.replaySegmentBtnId)),
+        previousSegment: whileDictating(() => clickButton(config.prevSegmentBtnId)),
+        nextSegment: whileDictating(() => {
+            // Finishing takes its own shortcut, so Next does nothing on the last segment
+            const segment = getCurrentSegment();
+            if (segment && !segment.isLast) {
+                clickButton(config.nextSegmentBtnId);
+            }
+        }),
+        slower: whileDictating(() => changePlaybackSpeed(-1)),
+        faster: whileDictating(() => changePlaybackSpeed(1)),
+        submit: whileDictating(() => inputManager.submitInput()),
+        finish: whileDictating(() => document.dispatchEvent(new Event('finishExercise'))),
+        showShortcuts: toggleShortcutsOverlay
+    });
+    
+    const shortcutsBtn = document.getElementById(config.shortcutsBtnId);
+    if (shortcutsBtn) {
+        shortcutsBtn.addEventListener('click', toggleShortcutsOverlay);
+    }
+}
+
+/**
+ * Switch to the next slower or faster playback speed offered in the speed control
+ * @param {number} step - -1 for slower, 1 for faster
+ */
+function changePlaybackSpeed(step) {
+    const speedSelect = document.getElementById(config.playbackSpeedId);
+    if (!speedSelect) return;
+    
+    const currentIndex = config.playbackRates.indexOf(Number(speedSelect.value));
+    const newIndex = Math.min(config.playbackRates.length - 1, Math.max(0, currentIndex + step));
+    if (newIndex === currentIndex) return;
+    
+    // Go through the speed control so the change is saved and applied like a selection
+    speedSelect.value = String(config.playbackRates[newIndex]);
+    speedSelect.dispatchEvent(new Event('change'));
+}
+
 /**
  * Setup segment control buttons and their event listeners
  * @param {HTMLAudioElement} audio - The audio element
@@ -229,12 +368,19 @@ function createSegmentControls() {
     segmentIndicator.className = 'segment-indicator';
     segmentIndicator.textContent = 'Segment 1 of 1';
     
+    // Create speaker label (only shown for cues with a voice tag)
+    const segmentSpeaker = document.createElement('span');
+    segmentSpeaker.id = config.segmentSpeakerId;
+    segmentSpeaker.className = 'segment-speaker';
+    segmentSpeaker.style.display = 'none';
+    
     // Append buttons to container
     segmentContainer.appendChild(prevBtn);
     segmentContainer.appendChild(replayBtn);
     segmentContainer.appendChild(nextBtn);
     segmentContainer.appendChild(finishBtn);
     segmentContainer.appendChild(segmentIndicator);
+    segmentContainer.appendChild(segmentSpeaker);
     
     // Append segment container after the regular controls
     controlsDiv.parentNode.insertBefore(segmentContainer, controlsDiv.nextSibling);
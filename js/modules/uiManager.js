@@ -14,7 +14,8 @@ import {
   compareWords,
   findBestMatchingReferenceWord,
   createAdvancedAlignment,
-  normalizeForComparison
+  normalizeForComparison,
+  isPunctuation
 } from './textComparison/index.js';
 import { createLogger, LOG_LEVELS } from './utils/logger.js';
 // Import the state manager
@@ -24,6 +25,31 @@ function isCapitalizationSensitive() {
   return stateManager.getState('comparison')?.capitalizationSensitive ?? false;
 }
 
+function isFeedbackHidden() {
+  return stateManager.getState('ui')?.hideFeedback ?? false;
+}
+
+// Classes that tell the learner whether a word or letter is right
+const FEEDBACK_CLASSES = [
+  'correct', 'misspelled',
+  'word-correct', 'word-misspelled', 'word-missing', 'word-extra', 'word-equivalent',
+  'ref-word-correct', 'ref-word-misspelled', 'ref-word-missing',
+  'extra-letter'
+];
+
+/**
+ * Remove correct/misspelled coloring from a display (exam mode)
+ * Typed letters stay visible; the extra word list is dropped since it labels words as wrong
+ * @param {HTMLElement} container - Display to strip
+ */
+function removeFeedbackStyling(container) {
+  container.querySelectorAll(FEEDBACK_CLASSES.map(name => `.${name}`).join(',')).forEach(element => {
+    element.classList.remove(...FEEDBACK_CLASSES);
+    element.removeAttribute('title');
+  });
+  container.querySelectorAll('.extra-words-container').forEach(element => element.remove());
+}
+
 // Create a logger for this module
 const logger = createLogger('uiManager');
 
@@ -45,6 +71,10 @@ export function updateInputDisplay(comparisonResult, containerElement, reference
   
   // Display reference text with appropriate highlighting based on user input
   displayHighlightedReference(containerElement, comparisonResult, referenceText);
+  
+  if (isFeedbackHidden()) {
+    removeFeedbackStyling(containerElement);
+  }
 }
 
 /**
@@ -244,7 +274,7 @@ export function generatePlaceholdersForReference(referenceText) {
     // Create underscores for each letter, but skip punctuation
     for (let i = 0; i < word.length; i++) {
       const char = word[i];
-      if (/[.,!?;:()\[\]{}"'«»„“”]/.test(char)) continue; // skip punctuation
+      if (isPunctuation(char)) continue; // skip punctuation
       const letterSpan = document.createElement('span');
       letterSpan.className = 'letter-placeholder';
       letterSpan.textContent = '_';
@@ -396,6 +426,10 @@ export function updatePlaceholders(result, placeholderContainer) {
       extraWordsContainer.remove();
     }
   }
+
+  if (isFeedbackHidden()) {
+    removeFeedbackStyling(placeholderContainer);
+  }
 }
 
 /**
@@ -454,6 +488,13 @@ export function updateReferenceMappingDisplay(referenceMapRow, result, reference
     }
     referenceMapRow.innerHTML = ''; // Clear existing content
 
+    // Without feedback the display only repeats what was typed; lining it up with the
+    // reference would show which letters are missing or extra
+    if (isFeedbackHidden()) {
+      displayTypedWords(referenceMapRow, result);
+      return;
+    }
+
     // Assuming referenceText is the source of truth for the words to display placeholders for.
     const referenceWordsRaw = referenceText.split(/\\s+/).filter(w => w.length > 0);
 
@@ -471,7 +512,7 @@ export function updateReferenceMappingDisplay(referenceMapRow, result, reference
       if (wordResult.status === 'missing') {
         for (let i = 0; i < currentExpectedRaw.length; i++) {
           const char = currentExpectedRaw[i];
-          if (/[.,!?;:()\[\]{}"'«»„""]/.test(char)) {
+          if (isPunctuation(char)) {
             const puncSpan = document.createElement('span');
             puncSpan.className = 'punctuation';
             puncSpan.textContent = char;
@@ -484,10 +525,26 @@ export function updateReferenceMappingDisplay(referenceMapRow, result, reference
           }
         }
         referenceMapRow.appendChild(wordElement);
-        referenceMapRow.appendChild(document.createTextNode(' ')); // Space between words
+        appendWordSeparator(referenceMapRow, wordResult);
         return; // Continue to next wordResult
       }
 
+      // Words typed another way ("3" for "drei") show what was typed, once per equivalence
+      if (wordResult.equivalence) {
+        if (!wordResult.equivalence.first) return;
+        wordElement.classList.add('word-equivalent');
+        wordElement.title = `Accepted as ${wordResult.equivalence.type}`;
+        for (const char of wordResult.equivalence.typed) {
+          const letterSpan = document.createElement('span');
+          letterSpan.className = 'letter-placeholder revealed correct';
+          letterSpan.textContent = char;
+          wordElement.appendChild(letterSpan);
+        }
+        referenceMapRow.appendChild(wordElement);
+        appendWordSeparator(referenceMapRow, wordResult);
+        return;
+      }
+
       // If the word was attempted (correct or misspelled)
       const alignment = wordResult.alignment || {};
       
@@ -511,7 +568,7 @@ export function updateReferenceMappingDisplay(referenceMapRow, result, reference
         const refChar = currentExpectedRaw[origRefIdx];
         
         // Handle punctuation
-        if (/[.,!?;:()\[\]{}"'«»„""]/.test(refChar)) {
+        if (isPunctuation(refChar)) {
           const puncSpan = document.createElement('span');
           puncSpan.className = 'punctuation';
           puncSpan.textContent = refChar;
@@ -581,7 +638,7 @@ export function updateReferenceMappingDisplay(referenceMapRow, result, reference
       }
       
       referenceMapRow.appendChild(wordElement);
-      referenceMapRow.appendChild(document.createTextNode(' ')); // Space between words
+      appendWordSeparator(referenceMapRow, wordResult);
     });
 
     // Handle extra input words (words not matched to any reference word)
@@ -623,6 +680,52 @@ export function updateReferenceMappingDisplay(referenceMapRow, result, reference
   }
 }
 
+/**
+ * Get the words the learner typed, as typed and in the order typed
+ * @param {Object} result - The result from processInput
+ * @returns {Array<string>} - The typed words
+ */
+export function getTypedWords(result) {
+  return (result.inputText || '').trim().split(/\s+/).filter(word => word.length > 0);
+}
+
+/**
+ * Show the typed words in the reference mapping display without comparing them (exam mode)
+ * @param {HTMLElement} referenceMapRow - The reference mapping display element
+ * @param {Object} result - The result from processInput
+ */
+function displayTypedWords(referenceMapRow, result) {
+  getTypedWords(result).forEach(word => {
+    const wordElement = document.createElement('span');
+    wordElement.className = 'word-placeholder';
+    for (const char of word) {
+      const letterSpan = document.createElement('span');
+      letterSpan.className = 'letter-placeholder revealed';
+      letterSpan.textContent = char;
+      wordElement.appendChild(letterSpan);
+    }
+    referenceMapRow.appendChild(wordElement);
+    referenceMapRow.appendChild(document.createTextNode(' '));
+  });
+}
+
+/**
+ * Add the separator after a word of the reference mapping display
+ * An elided word ("l'") is written together with the next word, like in the reference
+ * @param {HTMLElement} referenceMapRow - The reference mapping display element
+ * @param {Object} wordResult - The word's result from processInput
+ */
+function appendWordSeparator(referenceMapRow, wordResult) {
+  if (wordResult.joinedWith) {
+    const apostropheSpan = document.createElement('span');
+    apostropheSpan.className = 'punctuation';
+    apostropheSpan.textContent = wordResult.joinedWith;
+    referenceMapRow.appendChild(apostropheSpan);
+  } else {
+    referenceMapRow.appendChild(document.createTextNode(' ')); // Space between words
+  }
+}
+
 // Removed deprecated transformGermanInput function - use transformSpecialCharacters from textNormalizer.js instead
 
 /**
@@ -5,6 +5,8 @@
 // Storage for user inputs (indexed by segment)
 const userInputStore = {
     inputs: [], // Array of strings, one per segment
+    playbackRates: [], // Slowest playback speed each segment was heard at (null if never played)
+    replayCounts: [], // Number of replays the learner triggered per segment
     metadata: {
         lastUpdated: null,
         totalSegments: 0
@@ -17,6 +19,8 @@ const userInputStore = {
  */
 export function initUserDataStore(totalSegments) {
     userInputStore.inputs = new Array(totalSegments).fill('');
+    userInputStore.playbackRates = new Array(totalSegments).fill(null);
+    userInputStore.replayCounts = new Array(totalSegments).fill(0);
     userInputStore.metadata.totalSegments = totalSegments;
     userInputStore.metadata.lastUpdated = Date.now();
     
@@ -58,6 +62,122 @@ export function getAllUserInputs() {
     return [...userInputStore.inputs];
 }
 
+/**
+ * Record the playback speed a segment was played at
+ * Only the slowest speed is kept, since that is the help the learner needed for the segment
+ * @param {number} segmentIndex - The index of the segment
+ * @param {number} playbackRate - The playback speed (1 = native speed)
+ * @returns {boolean} - True if recorded successfully
+ */
+export function recordPlaybackRate(segmentIndex, playbackRate) {
+    if (segmentIndex >= 0 && segmentIndex < userInputStore.playbackRates.length) {
+        const previousRate = userInputStore.playbackRates[segmentIndex];
+        if (previousRate === null || playbackRate < previousRate) {
+            userInputStore.playbackRates[segmentIndex] = playbackRate;
+            userInputStore.metadata.lastUpdated = Date.now();
+        }
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Get the recorded playback speed of every segment
+ * @returns {Array<number|null>} - Slowest speed per segment, null for segments that were never played
+ */
+export function getAllPlaybackRates() {
+    return [...userInputStore.playbackRates];
+}
+
+/**
+ * Count a replay the learner triggered for a segment
+ * @param {number} segmentIndex - The index of the segment
+ * @returns {boolean} - True if counted successfully
+ */
+export function recordReplay(segmentIndex) {
+    if (segmentIndex >= 0 && segmentIndex < userInputStore.replayCounts.length) {
+        userInputStore.replayCounts[segmentIndex]++;
+        userInputStore.metadata.lastUpdated = Date.now();
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Get the number of replays of a segment
+ * @param {number} segmentIndex - The index of the segment
+ * @returns {number} - Replays the learner triggered (0 if not found)
+ */
+export function getReplayCount(segmentIndex) {
+    return userInputStore.replayCounts[segmentIndex] || 0;
+}
+
+/**
+ * Check if a segment has been played at least once
+ * @param {number} segmentIndex - The index of the segment
+ * @returns {boolean} - True if a playback speed was recorded for the segment
+ */
+export function wasSegmentPlayed(segmentIndex) {
+    return userInputStore.playbackRates[segmentIndex] != null;
+}
+
+/**
+ * Get the number of replays of every segment
+ * @returns {Array<number>} - Replays per segment
+ */
+export function getAllReplayCounts() {
+    return [...userInputStore.replayCounts];
+}
+
+/**
+ * Merge the data of a segment with that of the next one (when the two segments are merged)
+ * The inputs are joined, the slowest speed is kept and the replays are added up
+ * @param {number} segmentIndex - The index of the first segment
+ * @returns {boolean} - True if merged successfully
+ */
+export function mergeSegmentData(segmentIndex) {
+    if (segmentIndex < 0 || segmentIndex >= userInputStore.inputs.length - 1) {
+        return false;
+    }
+    
+    const next = segmentIndex + 1;
+    userInputStore.inputs[segmentIndex] = [userInputStore.inputs[segmentIndex], userInputStore.inputs[next]]
+        .map(input => input.trim())
+        .filter(Boolean)
+        .join(' ');
+    
+    const rates = [userInputStore.playbackRates[segmentIndex], userInputStore.playbackRates[next]].filter(rate => rate !== null);
+    userInputStore.playbackRates[segmentIndex] = rates.length > 0 ? Math.min(...rates) : null;
+    userInputStore.replayCounts[segmentIndex] += userInputStore.replayCounts[next];
+    
+    userInputStore.inputs.splice(next, 1);
+    userInputStore.playbackRates.splice(next, 1);
+    userInputStore.replayCounts.splice(next, 1);
+    userInputStore.metadata.totalSegments--;
+    userInputStore.metadata.lastUpdated = Date.now();
+    return true;
+}
+
+/**
+ * Make room for a new segment after a segment that was split in two
+ * The input stays with the first part; the second part counts as played at the same speed
+ * @param {number} segmentIndex - The index of the split segment
+ * @returns {boolean} - True if split successfully
+ */
+export function splitSegmentData(segmentIndex) {
+    if (segmentIndex < 0 || segmentIndex >= userInputStore.inputs.length) {
+        return false;
+    }
+    
+    const next = segmentIndex + 1;
+    userInputStore.inputs.splice(next, 0, '');
+    userInputStore.playbackRates.splice(next, 0, userInputStore.playbackRates[segmentIndex]);
+    userInputStore.replayCounts.splice(next, 0, 0);
+    userInputStore.metadata.totalSegments++;
+    userInputStore.metadata.lastUpdated = Date.now();
+    return true;
+}
+
 /**
  * Check if all segments have input
  * @returns {boolean} - True if all segments have input
@@ -80,50 +200,26 @@ export function getCompletionPercentage() {
  */
 export function clearAllInputs() {
     userInputStore.inputs = new Array(userInputStore.metadata.totalSegments).fill('');
+    userInputStore.playbackRates = new Array(userInputStore.metadata.totalSegments).fill(null);
+    userInputStore.replayCounts = new Array(userInputStore.metadata.totalSegments).fill(0);
     userInputStore.metadata.lastUpdated = Date.now();
 }
 
 /**
- * Save user data to local storage (optional for persistence between sessions)
- * @param {string} storageKey - Key to use for localStorage
- */
-export function saveToLocalStorage(storageKey = 'dictationUserData') {
-    try {
-        const dataToSave = {
-            inputs: userInputStore.inputs,
-            metadata: {
-                ...userInputStore.metadata,
-                savedAt: Date.now()
-            }
-        };
-        localStorage.setItem(storageKey, JSON.stringify(dataToSave));
-        return true;
-    } catch (error) {
-        console.error('Failed to save to localStorage:', error);
-        return false;
-    }
-}
-
-/**
- * Load user data from local storage (optional for persistence between sessions)
- * @param {string} storageKey - Key to use for localStorage
- * @returns {boolean} - True if loaded successfully
+ * Restore user inputs, e.g. from a saved session
+ * Inputs beyond the number of segments are dropped, missing ones are left empty
+ * @param {Array<string>} inputs - Saved inputs, one per segment
+ * @param {Object} [segmentData] - Saved { playbackRates, replayCounts }, one entry per segment
  */
-export function loadFromLocalStorage(storageKey = 'dictationUserData') {
-    try {
-        const savedData = localStorage.getItem(storageKey);
-        if (savedData) {
-            const parsedData = JSON.parse(savedData);
-            userInputStore.inputs = parsedData.inputs;
-            userInputStore.metadata = {
-                ...parsedData.metadata,
-                loadedAt: Date.now()
-            };
-            return true;
-        }
-        return false;
-    } catch (error) {
-        console.error('Failed to load from localStorage:', error);
-        return false;
-    }
+export function restoreUserInputs(inputs, { playbackRates = [], replayCounts = [] } = {}) {
+    userInputStore.inputs = new Array(userInputStore.metadata.totalSegments)
+        .fill('')
+        .map((empty, index) => typeof inputs[index] === 'string' ? inputs[index] : empty);
+    userInputStore.playbackRates = new Array(userInputStore.metadata.totalSegments)
+        .fill(null)
+        .map((none, index) => typeof playbackRates[index] === 'number' ? playbackRates[index] : none);
+    userInputStore.replayCounts = new Array(userInputStore.metadata.totalSegments)
+        .fill(0)
+        .map((none, index) => Number.isInteger(replayCounts[index]) ? replayCounts[index] : none);
+    userInputStore.metadata.lastUpdated = Date.now();
 }
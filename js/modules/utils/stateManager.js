@@ -19,13 +19,15 @@ const DEFAULT_STATE = {
     currentView: 'input',
     isProcessing: false,
     highlightMode: 'standard',
-    errorState: null
+    errorState: null,
+    hideFeedback: false
   },
   audio: {
     isPlaying: false,
     currentSegment: null,
     volume: 1.0,
-    playbackRate: 1.0
+    playbackRate: 1.0,
+    repeatCount: 1
   },
   session: {
     startTime: null,
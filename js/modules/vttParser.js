@@ -1,8 +1,49 @@
 /**
  * Module for parsing and handling WebVTT files
+ * Follows the WebVTT spec: header, cue identifiers, cue settings,
+ * NOTE/STYLE/REGION blocks, voice tags and inline timestamps
+ * Cue text is returned as plain text; the markup is kept in `rawText`
  */
 import { config } from './config.js';
 
+// Timestamp format: optional hours (2+ digits), minutes and seconds (2 digits), milliseconds (3 digits)
+const TIMESTAMP_PATTERN = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+
+// Timing line: "start --> end" followed by optional cue settings
+const TIMING_LINE_PATTERN = /^(\S+)[ \t]+-->[ \t]+(\S+)(?:[ \t]+(.*))?$/;
+
+// Voice span start tag: <v Speaker> or <v.class Speaker>
+const VOICE_TAG_PATTERN = /<v(?:\.[^\s>]*)?[ \t]+([^>]+)>/;
+
+// Inline (karaoke) timestamp tag: <00:00:01.000>
+const INLINE_TIMESTAMP_PATTERN = /<((?:\d{2,}:)?\d{2}:\d{2}\.\d{3})>/g;
+
+// Character references allowed in cue text
+const CUE_TEXT_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&nbsp;': ' ',
+    '&lrm;': '',
+    '&rlm;': ''
+};
+
+/**
+ * Error thrown for invalid WebVTT content, carrying the 1-based line number
+ */
+export class VTTParseError extends Error {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {number} line - Line number (1-based) where the problem was found
+     */
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'VTTParseError';
+        this.line = line;
+        this.reason = message;
+    }
+}
+
 /**
  * Parse a VTT file into an array of cue objects
  * @param {string} vttUrl - URL of the VTT file to parse
@@ -11,11 +52,11 @@ import { config } from './config.js';
 export async function parseVTT(vttUrl) {
     try {
         const response = await fetch(vttUrl);
-        
+
         if (!response.ok) {
             throw new Error(`Failed to load VTT file: ${response.status} ${response.statusText}`);
         }
-        
+
         const vttContent = await response.text();
         return parseVTTContent(vttContent);
     } catch (error) {
@@ -26,86 +67,321 @@ export async function parseVTT(vttUrl) {
 
 /**
  * Parse VTT content string into an array of cue objects
+ * Any problem in the file is reported as a VTTParseError with its line number
  * @param {string} vttContent - String content of a VTT file
- * @returns {Array} - Array of cue objects with start time, end time, and text
+ * @returns {Array} - Array of cue objects ({id, startTime, endTime, text, rawText, settings, speaker, timestamps})
  */
 export function parseVTTContent(vttContent) {
-    // Split content into lines and filter out empty lines
-    const lines = vttContent.split('\n').filter(line => line.trim() !== '');
-    
-    // First line must be "WEBVTT"
-    if (!lines[0].includes('WEBVTT')) {
-        throw new Error('Invalid VTT format: Missing WEBVTT header');
-    }
-    
-    const cues = [];
-    let currentCue = null;
-    let collectingCueText = false;
-    
-    // Skip the first line (WEBVTT)
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        
-        // Skip comments and metadata lines
-        if (line.startsWith('NOTE') || line.startsWith('STYLE')) {
-            continue;
-        }
-        
-        // Look for timestamp line: "00:00:00.000 --> 00:00:00.000"
-        if (line.includes('-->')) {
-            collectingCueText = true;
-            const [startTime, endTime] = line.split('-->').map(timeStr => parseVTTTimestamp(timeStr.trim()));
-            
-            currentCue = {
-                startTime,
-                endTime,
-                text: ''
-            };
+    const parsed = parseVTTDocument(vttContent);
+
+    if (parsed.errors.length > 0) {
+        const firstError = parsed.errors[0];
+        throw new VTTParseError(firstError.message, firstError.line);
+    }
+
+    return parsed.cues;
+}
+
+/**
+ * Parse VTT content into a full document model without stopping at the first problem
+ * Blocks that cannot be parsed are skipped and listed in `errors`
+ * @param {string} vttContent - String content of a VTT file
+ * @returns {Object} - { header, cues, regions, styles, errors }
+ * @throws {VTTParseError} - If the WEBVTT header is missing
+ */
+export function parseVTTDocument(vttContent) {
+    // Strip a byte order mark and normalize line endings
+    const lines = (vttContent || '')
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .split('\n');
+
+    // First line must be "WEBVTT", optionally followed by a space or tab and header text
+    if (!/^WEBVTT(?:[ \t].*)?$/.test(lines[0])) {
+        throw new VTTParseError('Invalid VTT format: Missing WEBVTT header', 1);
+    }
+
+    const result = {
+        header: lines[0].slice('WEBVTT'.length).trim(),
+        cues: [],
+        regions: [],
+        styles: [],
+        errors: []
+    };
+
+    // Skip the header block (header line plus any metadata lines up to the first blank line)
+    let i = 1;
+    while (i < lines.length && lines[i].trim() !== '') {
+        i++;
+    }
+
+    while (i < lines.length) {
+        // Skip blank lines between blocks
+        if (lines[i].trim() === '') {
+            i++;
             continue;
         }
-        
-        // If we're collecting cue text and this isn't a timing or metadata line
-        if (collectingCueText && currentCue && line !== '') {
-            // If the cue already has text, append a space and the new line
-            if (currentCue.text) {
-                currentCue.text += ' ' + line;
+
+        const blockStart = i;
+        const firstLine = lines[i];
+
+        if (/^NOTE(?:[ \t]|$)/.test(firstLine)) {
+            // Comment block: skip every line up to the next blank line; comments can't
+            // contain "-->", so a line with it ends the block and starts a cue
+            i++;
+            while (i < lines.length && lines[i].trim() !== '' && !lines[i].includes('-->')) {
+                i++;
+            }
+        } else if (/^STYLE[ \t]*$/.test(firstLine)) {
+            i = skipBlock(lines, i);
+            if (result.cues.length > 0) {
+                addError(result, 'STYLE blocks must come before the first cue', blockStart);
             } else {
-                currentCue.text = line;
+                result.styles.push(lines.slice(blockStart + 1, i).join('\n'));
             }
-            
-            // Check if the next line is a new cue or empty line
-            if (i === lines.length - 1 || lines[i + 1].includes('-->') || lines[i + 1].trim() === '') {
-                cues.push(currentCue);
-                collectingCueText = false;
+        } else if (/^REGION[ \t]*$/.test(firstLine)) {
+            i = skipBlock(lines, i);
+            if (result.cues.length > 0) {
+                addError(result, 'REGION blocks must come before the first cue', blockStart);
+            } else {
+                parseRegionBlock(lines, blockStart, i, result);
+            }
+        } else {
+            i = parseCueBlock(lines, i, result);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Parse a cue block (optional identifier line, timing line, payload lines)
+ * @param {Array<string>} lines - All lines of the file
+ * @param {number} start - Index of the block's first line
+ * @param {Object} result - Document being built
+ * @returns {number} - Index of the first line after the block
+ */
+function parseCueBlock(lines, start, result) {
+    let i = start;
+    let id = '';
+
+    // A first line without "-->" is the cue identifier
+    if (!lines[i].includes('-->')) {
+        id = lines[i].trim();
+        i++;
+
+        if (i >= lines.length || !lines[i].includes('-->')) {
+            addError(result, `Expected a cue timing line after "${id}" (not a cue, NOTE, STYLE or REGION block)`, start);
+            return skipBlock(lines, start);
+        }
+    }
+
+    const timingLineIndex = i;
+    const timingMatch = lines[i].trim().match(TIMING_LINE_PATTERN);
+    i++;
+
+    // Collect the payload: every line up to a blank line or a line that starts a new cue
+    const payloadLines = [];
+    while (i < lines.length && lines[i].trim() !== '' && !lines[i].includes('-->')) {
+        payloadLines.push(lines[i].trim());
+        i++;
+    }
+
+    if (!timingMatch) {
+        addError(result, `Invalid cue timing line "${lines[timingLineIndex].trim()}"`, timingLineIndex);
+        return i;
+    }
+
+    let startTime, endTime;
+    try {
+        startTime = parseVTTTimestamp(timingMatch[1]);
+        endTime = parseVTTTimestamp(timingMatch[2]);
+    } catch (error) {
+        addError(result, error.message, timingLineIndex);
+        return i;
+    }
+
+    const settings = parseCueSettings(timingMatch[3] || '');
+
+    if (endTime <= startTime) {
+        addError(result, `Cue end time ${timingMatch[2]} must be after its start time ${timingMatch[1]}`, timingLineIndex);
+        return i;
+    }
+
+    const rawText = payloadLines.join(' ');
+
+    try {
+        const timestamps = parseInlineTimestamps(rawText, startTime, endTime);
+
+        result.cues.push({
+            id,
+            startTime,
+            endTime,
+            // Plain text is what the learner types and what the comparison uses
+            text: stripCueMarkup(rawText),
+            rawText,
+            settings,
+            speaker: getCueSpeaker(rawText),
+            timestamps
+        });
+    } catch (error) {
+        addError(result, error.message, timingLineIndex + 1);
+    }
+
+    return i;
+}
+
+/**
+ * Parse a REGION block into a region definition
+ * @param {Array<string>} lines - All lines of the file
+ * @param {number} start - Index of the "REGION" line
+ * @param {number} end - Index of the first line after the block
+ * @param {Object} result - Document being built
+ */
+function parseRegionBlock(lines, start, end, result) {
+    const region = {};
+
+    for (let i = start + 1; i < end; i++) {
+        lines[i].trim().split(/[ \t]+/).forEach(token => {
+            const separator = token.indexOf(':');
+            if (separator <= 0 || separator === token.length - 1) {
+                addError(result, `Invalid region setting "${token}"`, i);
+                return;
             }
+            region[token.slice(0, separator)] = token.slice(separator + 1);
+        });
+    }
+
+    if (!region.id) {
+        addError(result, 'REGION block is missing an id setting', start);
+        return;
+    }
+
+    result.regions.push(region);
+}
+
+/**
+ * Parse cue settings (e.g. "align:start position:10%") into an object
+ * Unknown settings are kept so exercises can carry their own per-cue options.
+ * Tokens that aren't name:value are skipped, as the WebVTT spec requires; the cue itself stays valid
+ * @param {string} settingsText - Text after the end timestamp on the timing line
+ * @returns {Object} - Map of setting name to value
+ */
+export function parseCueSettings(settingsText) {
+    const settings = {};
+
+    settingsText.trim().split(/[ \t]+/).filter(Boolean).forEach(token => {
+        const separator = token.indexOf(':');
+        if (separator <= 0 || separator === token.length - 1) {
+            return;
         }
+        settings[token.slice(0, separator)] = token.slice(separator + 1);
+    });
+
+    return settings;
+}
+
+/**
+ * Get the speaker named in the first voice tag of a cue (e.g. "<v Simone>")
+ * @param {string} text - Cue text with markup
+ * @returns {string|null} - The speaker name or null if the cue has no voice tag
+ */
+export function getCueSpeaker(text) {
+    const match = text.match(VOICE_TAG_PATTERN);
+    return match ? decodeCueEntities(match[1]).trim() : null;
+}
+
+/**
+ * Turn cue text with markup into plain text
+ * Removes voice, class, formatting, ruby and timestamp tags and decodes character references
+ * @param {string} text - Cue text with markup
+ * @returns {string} - Plain text
+ */
+export function stripCueMarkup(text) {
+    const withoutTags = text
+        // Ruby annotations (<rt>) are pronunciation hints, not part of the spoken text
+        .replace(/<rt(?:\.[^\s>]*)?>[\s\S]*?(?:<\/rt>|(?=<\/ruby>)|$)/g, '')
+        .replace(/<[^>]*>/g, '');
+
+    return decodeCueEntities(withoutTags)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Decode the character references allowed in cue text (&amp;, &lt;, &#228;, ...)
+ * @param {string} text - Text with character references
+ * @returns {string} - Decoded text
+ */
+function decodeCueEntities(text) {
+    return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|[a-z]+);/gi, (entity, decimal, hex) => {
+        if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        return entity in CUE_TEXT_ENTITIES ? CUE_TEXT_ENTITIES[entity] : entity;
+    });
+}
+
+/**
+ * Collect the inline timestamps of a cue (e.g. "<00:00:01.500>")
+ * @param {string} text - Cue text
+ * @param {number} startTime - Cue start time in seconds
+ * @param {number} endTime - Cue end time in seconds
+ * @returns {Array<number>} - Inline timestamps in seconds
+ */
+function parseInlineTimestamps(text, startTime, endTime) {
+    const timestamps = [];
+
+    for (const match of text.matchAll(INLINE_TIMESTAMP_PATTERN)) {
+        const time = parseVTTTimestamp(match[1]);
+        if (time < startTime || time > endTime) {
+            throw new Error(`Inline timestamp <${match[1]}> is outside the cue's time range`);
+        }
+        timestamps.push(time);
     }
-    
-    return cues;
+
+    return timestamps;
+}
+
+/**
+ * Find the index of the first line after the current block
+ * @param {Array<string>} lines - All lines of the file
+ * @param {number} start - Index of the block's first line
+ * @returns {number} - Index of the first blank line after the block (or the end of the file)
+ */
+function skipBlock(lines, start) {
+    let i = start;
+    while (i < lines.length && lines[i].trim() !== '') {
+        i++;
+    }
+    return i;
+}
+
+/**
+ * Record a parse error
+ * @param {Object} result - Document being built
+ * @param {string} message - Description of the problem
+ * @param {number} lineIndex - Zero-based index of the offending line
+ */
+function addError(result, message, lineIndex) {
+    result.errors.push({ line: lineIndex + 1, message });
 }
 
 /**
  * Convert VTT timestamp string to seconds
- * @param {string} timestamp - VTT timestamp (HH:MM:SS.mmm)
+ * @param {string} timestamp - VTT timestamp (HH:MM:SS.mmm or MM:SS.mmm)
  * @returns {number} - Time in seconds
  */
 export function parseVTTTimestamp(timestamp) {
-    // Handle formats: 00:00:00.000 or 00:00.000
-    const parts = timestamp.split(':');
-    let hours = 0, minutes = 0, seconds = 0;
-    
-    if (parts.length === 3) {
-        // Format: 00:00:00.000
-        hours = parseInt(parts[0], 10);
-        minutes = parseInt(parts[1], 10);
-        seconds = parseFloat(parts[2]);
-    } else if (parts.length === 2) {
-        // Format: 00:00.000
-        minutes = parseInt(parts[0], 10);
-        seconds = parseFloat(parts[1]);
-    } else {
+    const match = timestamp.trim().match(TIMESTAMP_PATTERN);
+
+    if (!match) {
         throw new Error(`Invalid timestamp format: ${timestamp}`);
     }
-    
-    return hours * 3600 + minutes * 60 + seconds;
+
+    const hours = match[1] ? parseInt(match[1], 10) : 0;
+    const minutes = parseInt(match[2], 10);
+    const seconds = parseInt(match[3], 10);
+    const milliseconds = parseInt(match[4], 10);
+
+    return hours * 3600 + minutes * 60 + seconds + milliseconds / 1000;
 }
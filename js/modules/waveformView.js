@@ -0,0 +1,292 @@
+/**
+ * Module for the waveform view
+ * Draws the waveform of the exercise audio (decoded in the browser) with each cue as a
+ * shaded region. Clicking a region plays that segment; dragging a region's edges changes
+ * the cue's start or end time, and the edited cues can be downloaded as a VTT file
+ * (with the segment editor's saveAdjustedVTT).
+ */
+import { config } from './config.js';
+import { createSegmentMarkers } from './player.js';
+import { jumpToSegment, getCurrentSegment } from './segmentManager.js';
+import { decodeAudioFile, computePeaks, getChannelData } from '../utils/audioDecoder.js';
+import { saveAdjustedVTT } from './segmentEditor.js';
+
+// Widest canvas most browsers can draw
+const MAX_CANVAS_WIDTH = 30000;
+
+// State of the view: { audio, cues, peaks, duration, pixelsPerSecond }
+let waveformState = null;
+
+/**
+ * Set up the waveform view for an exercise (the waveform is only decoded once it is shown)
+ * @param {HTMLAudioElement} audio - The audio element
+ * @param {Array} cues - The exercise's cues; edits change these objects, so playback uses the new times
+ */
+export function initWaveformView(audio, cues) {
+    waveformState = {
+        audio,
+        cues,
+        peaks: null,
+        duration: 0,
+        pixelsPerSecond: config.waveformPixelsPerSecond
+    };
+
+    const waveformBtn = document.getElementById(config.waveformBtnId);
+    if (waveformBtn) {
+        waveformBtn.addEventListener('click', toggleWaveformView);
+    }
+
+    audio.addEventListener('timeupdate', updatePlayhead);
+    document.addEventListener('segmentStarted', updateCurrentRegion);
+    document.addEventListener('segmentsChanged', () => {
+        const container = document.getElementById(config.waveformContainerId);
+        if (container && waveformState.peaks) {
+            renderRegions(container);
+            updateCurrentRegion();
+        }
+    });
+}
+
+/**
+ * Show the waveform view, or hide it if it is shown
+ */
+export function toggleWaveformView() {
+    const container = document.getElementById(config.waveformContainerId);
+    if (container && container.style.display !== 'none') {
+        container.style.display = 'none';
+        return;
+    }
+    showWaveformView();
+}
+
+/**
+ * Show the waveform view, decoding the audio the first time
+ * @returns {Promise<void>} - Resolves once the waveform is drawn
+ */
+export async function showWaveformView() {
+    if (!waveformState) return;
+
+    const container = getWaveformContainer();
+    container.style.display = 'block';
+
+    if (waveformState.peaks) return;
+
+    const statusElement = container.querySelector('.waveform-status');
+    statusElement.textContent = 'Loading waveform…';
+
+    try {
+        const audioBuffer = await decodeAudioFile(waveformState.audio.currentSrc || waveformState.audio.src);
+        const duration = audioBuffer.duration;
+        const pixelsPerSecond = Math.min(config.waveformPixelsPerSecond, MAX_CANVAS_WIDTH / duration);
+        const width = Math.ceil(duration * pixelsPerSecond);
+
+        waveformState.duration = duration;
+        waveformState.pixelsPerSecond = pixelsPerSecond;
+        waveformState.peaks = computePeaks(getChannelData(audioBuffer), width);
+
+        drawWaveform(container);
+        renderRegions(container);
+        updateCurrentRegion();
+        statusElement.textContent = 'Click a segment to play it, drag its edges to change its timing.';
+    } catch (error) {
+        console.error('Failed to draw waveform:', error);
+        statusElement.textContent = `Waveform not available: ${error.message}`;
+    }
+}
+
+/**
+ * Get the waveform container, creating it below the player controls
+ * @returns {HTMLElement} - The container
+ */
+function getWaveformContainer() {
+    let container = document.getElementById(config.waveformContainerId);
+    if (container) return container;
+
+    container = document.createElement('div');
+    container.id = config.waveformContainerId;
+    container.className = 'waveform-container';
+    container.innerHTML = `
+        <div class="waveform-toolbar">
+            <span class="waveform-status"></span>
+            <button class="result-btn waveform-download-btn">Download VTT</button>
+        </div>
+        <div class="waveform-scroll">
+            <div class="waveform-track">
+                <canvas class="waveform-canvas"></canvas>
+                <div class="waveform-playhead"></div>
+            </div>
+        </div>
+    `;
+
+    container.querySelector('.waveform-download-btn').addEventListener('click', saveAdjustedVTT);
+
+    const controls = document.getElementById(config.controlsId);
+    controls.parentNode.insertBefore(container, controls.nextSibling);
+    return container;
+}
+
+/**
+ * Draw the waveform on the canvas
+ * @param {HTMLElement} container - The waveform container
+ */
+function drawWaveform(container) {
+    const { peaks } = waveformState;
+    const track = container.querySelector('.waveform-track');
+    const canvas = container.querySelector('.waveform-canvas');
+    const height = config.waveformHeight;
+
+    track.style.width = `${peaks.length}px`;
+    track.style.height = `${height}px`;
+    canvas.width = peaks.length;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    const middle = height / 2;
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#3498db';
+
+    peaks.forEach((peak, x) => {
+        const top = middle - peak.max * middle;
+        const bottom = middle - peak.min * middle;
+        context.fillRect(x, top, 1, Math.max(1, bottom - top));
+    });
+}
+
+/**
+ * Draw a shaded region with draggable edges for every cue
+ * @param {HTMLElement} container - The waveform container
+ */
+function renderRegions(container) {
+    const track = container.querySelector('.waveform-track');
+    track.querySelectorAll('.waveform-region').forEach(region => region.remove());
+
+    waveformState.cues.forEach((cue, index) => {
+        const region = document.createElement('div');
+        region.className = 'waveform-region';
+        region.dataset.index = index;
+        region.title = `Segment ${index + 1}: ${cue.text}`;
+        region.innerHTML = `
+            <span class="waveform-region-label">${index + 1}</span>
+            <div class="waveform-handle waveform-handle-start" title="Drag to change the start time"></div>
+            <div class="waveform-handle waveform-handle-end" title="Drag to change the end time"></div>
+        `;
+        positionRegion(region, cue);
+
+        region.addEventListener('click', (e) => {
+            if (e.target.classList.contains('waveform-handle')) return;
+            jumpToSegment(waveformState.audio, index);
+        });
+
+        region.querySelector('.waveform-handle-start').addEventListener('pointerdown', (e) => startDrag(e, region, index, 'startTime'));
+        region.querySelector('.waveform-handle-end').addEventListener('pointerdown', (e) => startDrag(e, region, index, 'endTime'));
+
+        track.appendChild(region);
+    });
+}
+
+/**
+ * Place a region over its cue's part of the waveform
+ * @param {HTMLElement} region - The region element
+ * @param {Object} cue - The cue
+ */
+function positionRegion(region, cue) {
+    const { pixelsPerSecond } = waveformState;
+    region.style.left = `${cue.startTime * pixelsPerSecond}px`;
+    region.style.width = `${(cue.endTime - cue.startTime) * pixelsPerSecond}px`;
+}
+
+/**
+ * Drag a region edge to change a cue time
+ * A cue can't overlap its neighbors and can't get shorter than config.minCueDuration
+ * @param {PointerEvent} event - The pointerdown event on the edge
+ * @param {HTMLElement} region - The region element
+ * @param {number} index - Index of the cue
+ * @param {string} timeField - 'startTime' or 'endTime'
+ */
+function startDrag(event, region, index, timeField) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const { cues, duration, pixelsPerSecond } = waveformState;
+    const cue = cues[index];
+    const previousCue = cues[index - 1];
+    const nextCue = cues[index + 1];
+    const track = region.parentNode;
+    const handle = event.target;
+
+    const [minTime, maxTime] = timeField === 'startTime'
+        ? [previousCue ? Math.min(previousCue.endTime, cue.startTime) : 0, cue.endTime - config.minCueDuration]
+        : [cue.startTime + config.minCueDuration, nextCue ? Math.max(nextCue.startTime, cue.endTime) : duration];
+
+    handle.setPointerCapture(event.pointerId);
+    region.classList.add('dragging');
+
+    const handleMove = (e) => {
+        const x = e.clientX - track.getBoundingClientRect().left;
+        const time = Math.round((x / pixelsPerSecond) * 1000) / 1000;
+        cue[timeField] = Math.min(maxTime, Math.max(minTime, time));
+        positionRegion(region, cue);
+    };
+
+    const handleUp = () => {
+        handle.removeEventListener('pointermove', handleMove);
+        handle.removeEventListener('pointerup', handleUp);
+        handle.removeEventListener('pointercancel', handleUp);
+        region.classList.remove('dragging');
+        finishCueEdit(index);
+    };
+
+    handle.addEventListener('pointermove', handleMove);
+    handle.addEventListener('pointerup', handleUp);
+    handle.addEventListener('pointercancel', handleUp);
+}
+
+/**
+ * Update the rest of the player after a cue time was changed
+ * @param {number} index - Index of the edited cue
+ */
+function finishCueEdit(index) {
+    const { cues, audio } = waveformState;
+
+    if (audio.duration) {
+        createSegmentMarkers(cues, audio.duration);
+    }
+
+    const statusElement = document.querySelector(`#${config.waveformContainerId} .waveform-status`);
+    if (statusElement) {
+        statusElement.textContent = 'Timings changed. Download the VTT file to keep them.';
+    }
+
+    document.dispatchEvent(new CustomEvent('cueTimingChanged', {
+        detail: { index, cue: cues[index] }
+    }));
+}
+
+/**
+ * Move the playhead to the playback position
+ */
+function updatePlayhead() {
+    const playhead = document.querySelector(`#${config.waveformContainerId} .waveform-playhead`);
+    if (!playhead || !waveformState.peaks) return;
+
+    playhead.style.left = `${waveformState.audio.currentTime * waveformState.pixelsPerSecond}px`;
+}
+
+/**
+ * Highlight the current segment's region and scroll it into view
+ */
+function updateCurrentRegion() {
+    const container = document.getElementById(config.waveformContainerId);
+    const segment = getCurrentSegment();
+    if (!container || !segment || !waveformState.peaks) return;
+
+    container.querySelectorAll('.waveform-region').forEach(region => {
+        region.classList.toggle('current', Number(region.dataset.index) === segment.index);
+    });
+
+    const scroll = container.querySelector('.waveform-scroll');
+    const regionLeft = segment.cue.startTime * waveformState.pixelsPerSecond;
+    if (regionLeft < scroll.scrollLeft || regionLeft > scroll.scrollLeft + scroll.clientWidth - 50) {
+        scroll.scrollLeft = Math.max(0, regionLeft - 50);
+    }
+}
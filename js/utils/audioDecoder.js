@@ -0,0 +1,69 @@
+// Decoding audio files in the browser, e.g. to draw their waveform
+
+/**
+ * Fetch and decode an audio file
+ * @param {string} url - URL of the audio file
+ * @returns {Promise<AudioBuffer>} - The decoded audio
+ */
+export async function decodeAudioFile(url) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        throw new Error('The Web Audio API is not supported in this browser');
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load audio file: ${response.status} ${response.statusText}`);
+    }
+    const arrayBuffer = await response.arrayBuffer();
+
+    const audioContext = new AudioContextClass();
+    try {
+        return await audioContext.decodeAudioData(arrayBuffer);
+    } finally {
+        audioContext.close();
+    }
+}
+
+/**
+ * Get the lowest and highest sample of every part of the audio, for drawing a waveform
+ * All channels are taken into account, so a sound on either side shows up
+ * @param {Array<Float32Array|Array<number>>} channels - Samples of each channel (all of the same length)
+ * @param {number} bucketCount - Number of parts to split the audio into (e.g. the width in pixels)
+ * @returns {Array} - [{ min, max }] per part, with values between -1 and 1
+ */
+export function computePeaks(channels, bucketCount) {
+    const sampleCount = channels.length > 0 ? channels[0].length : 0;
+    const peaks = [];
+
+    for (let bucket = 0; bucket < bucketCount; bucket++) {
+        const start = Math.floor((bucket * sampleCount) / bucketCount);
+        const end = Math.max(start + 1, Math.floor(((bucket + 1) * sampleCount) / bucketCount));
+        let min = 0;
+        let max = 0;
+
+        channels.forEach(samples => {
+            for (let i = start; i < end && i < sampleCount; i++) {
+                if (samples[i] < min) min = samples[i];
+                if (samples[i] > max) max = samples[i];
+            }
+        });
+
+        peaks.push({ min, max });
+    }
+
+    return peaks;
+}
+
+/**
+ * Get the samples of every channel of decoded audio
+ * @param {AudioBuffer} audioBuffer - The decoded audio
+ * @returns {Array<Float32Array>} - Samples per channel
+ */
+export function getChannelData(audioBuffer) {
+    const channels = [];
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        channels.push(audioBuffer.getChannelData(channel));
+    }
+    return channels;
+}
@@ -24,3 +24,76 @@ export function debounce(func, wait) {
         timeout = setTimeout(() => func.apply(this, args), wait);
     };
 }
+
+/**
+ * Throttle function so it runs at most once per wait period
+ * Calls made during the wait period are collapsed into one trailing call
+ * @param {Function} func - Function to throttle
+ * @param {number} wait - Minimum time between calls in milliseconds
+ * @returns {Function} - Throttled function with a flush() method to run a pending call immediately
+ */
+export function throttle(func, wait) {
+    let timeout = null;
+    let lastCall = 0;
+    let pendingArgs = null;
+    
+    const run = function() {
+        timeout = null;
+        lastCall = Date.now();
+        const args = pendingArgs;
+        pendingArgs = null;
+        func.apply(this, args);
+    };
+    
+    const throttled = function(...args) {
+        pendingArgs = args;
+        if (timeout) return;
+        
+        const remaining = wait - (Date.now() - lastCall);
+        timeout = setTimeout(() => run.call(this), Math.max(remaining, 0));
+    };
+    
+    throttled.flush = function() {
+        if (!timeout) return;
+        clearTimeout(timeout);
+        run.call(this);
+    };
+    
+    return throttled;
+}
+
+/**
+ * Let the browser download generated content as a file (no server involved)
+ * @param {string} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser time to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Escape text for use in HTML, including attribute values in double or single quotes
+ * @param {*} text - Text to escape (null and undefined give an empty string)
+ * @returns {string} - Escaped text
+ */
+export function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
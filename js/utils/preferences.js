@@ -0,0 +1,53 @@
+// User preferences that are kept across exercises and page reloads
+
+// localStorage key holding all preferences as one JSON object
+const PREFERENCES_KEY = 'dictationPreferences';
+
+/**
+ * Read all saved preferences
+ * @returns {Object} - Saved preferences (empty if none are saved or storage is unavailable)
+ */
+function readPreferences() {
+    // Outside the browser (e.g. in the unit tests) there is nothing saved
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+        const stored = localStorage.getItem(PREFERENCES_KEY);
+        const preferences = stored ? JSON.parse(stored) : {};
+        return preferences && typeof preferences === 'object' ? preferences : {};
+    } catch (error) {
+        console.error('Failed to read preferences:', error);
+        return {};
+    }
+}
+
+/**
+ * Get a saved preference
+ * @param {string} key - Preference name
+ * @param {*} defaultValue - Value returned if the preference was never saved
+ * @returns {*} - The saved value or the default value
+ */
+export function getPreference(key, defaultValue) {
+    const preferences = readPreferences();
+    return key in preferences ? preferences[key] : defaultValue;
+}
+
+/**
+ * Save a preference
+ * @param {string} key - Preference name
+ * @param {*} value - Value to save (must be JSON serializable)
+ * @returns {boolean} - True if saved successfully
+ */
+export function setPreference(key, value) {
+    if (typeof localStorage === 'undefined') return false;
+
+    try {
+        const preferences = readPreferences();
+        preferences[key] = value;
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+        return true;
+    } catch (error) {
+        console.error('Failed to save preference:', key, error);
+        return false;
+    }
+}
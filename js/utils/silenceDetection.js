@@ -0,0 +1,190 @@
+// Finding pauses in decoded audio and turning them into suggested cue times
+
+/**
+ * Get the loudness of every frame of the audio
+ * @param {Array<Float32Array|Array<number>>} channels - Samples of each channel (all of the same length)
+ * @param {number} sampleRate - Samples per second
+ * @param {number} frameDuration - Length of a frame in seconds
+ * @returns {Array<number>} - RMS level of each frame in dBFS (-Infinity for digital silence)
+ */
+export function computeFrameLevels(channels, sampleRate, frameDuration) {
+    const sampleCount = channels.length > 0 ? channels[0].length : 0;
+    const frameLength = Math.max(1, Math.round(sampleRate * frameDuration));
+    const levels = [];
+
+    for (let start = 0; start < sampleCount; start += frameLength) {
+        const end = Math.min(sampleCount, start + frameLength);
+        let sumOfSquares = 0;
+
+        channels.forEach(samples => {
+            for (let i = start; i < end; i++) {
+                sumOfSquares += samples[i] * samples[i];
+            }
+        });
+
+        const rms = Math.sqrt(sumOfSquares / ((end - start) * channels.length));
+        levels.push(20 * Math.log10(rms));
+    }
+
+    return levels;
+}
+
+/**
+ * Find the pauses in the audio
+ * A pause is a run of frames quieter than the threshold that lasts at least minSilenceDuration.
+ * Pauses that would leave less than minSegmentDuration of sound since the previous pause
+ * (e.g. a click or a breath) are dropped, so the sound becomes part of the next segment.
+ * @param {Array<number>} levels - Frame levels from computeFrameLevels
+ * @param {number} frameDuration - Length of a frame in seconds
+ * @param {Object} options - { threshold, minSilenceDuration, minSegmentDuration }; the threshold
+ *   is in dB below the loudest frame, so it doesn't depend on the recording level
+ * @returns {Array} - [{ start, end }] in seconds, in order (including pauses at the start and end)
+ */
+export function detectPauses(levels, frameDuration, options) {
+    const { threshold, minSilenceDuration, minSegmentDuration } = options;
+    const loudest = levels.reduce((max, level) => Math.max(max, level), -Infinity);
+    if (!Number.isFinite(loudest)) return [];
+
+    const silenceLevel = loudest - Math.abs(threshold);
+    const duration = levels.length * frameDuration;
+    const silences = [];
+    let silenceStart = null;
+
+    levels.forEach((level, frame) => {
+        if (level < silenceLevel) {
+            if (silenceStart === null) silenceStart = frame;
+        } else if (silenceStart !== null) {
+            silences.push({ start: silenceStart, end: frame });
+            silenceStart = null;
+        }
+    });
+    if (silenceStart !== null) {
+        silences.push({ start: silenceStart, end: levels.length });
+    }
+
+    const pauses = [];
+    let soundStart = 0;
+
+    silences.forEach(silence => {
+        const start = round(silence.start * frameDuration);
+        const end = round(Math.min(duration, silence.end * frameDuration));
+        const atEdge = start === 0 || end >= round(duration);
+
+        if (end - start < minSilenceDuration && !atEdge) return;
+        if (!atEdge && start - soundStart < minSegmentDuration) return;
+
+        pauses.push({ start, end });
+        soundStart = end;
+    });
+
+    return pauses;
+}
+
+/**
+ * Match the sentences of a transcript to the pauses, in order
+ * If there are enough pauses, the longest ones separate the sentences (the pauses between
+ * sentences are usually longer than those within them). Otherwise every pause is used at the
+ * sentence boundary nearest to it, estimated from the sentence lengths, and the remaining
+ * boundaries are placed by sentence length.
+ * @param {Array<string>} sentences - The sentences
+ * @param {Array} pauses - Pauses from detectPauses
+ * @param {number} duration - Length of the audio in seconds
+ * @returns {Array} - [{ text, startTime, endTime }] per sentence
+ */
+export function alignSentencesToPauses(sentences, pauses, duration) {
+    if (sentences.length === 0) return [];
+
+    const leadingPause = pauses.find(pause => pause.start === 0);
+    const trailingPause = pauses.find(pause => pause.end >= round(duration) && pause !== leadingPause);
+    const speechStart = leadingPause ? leadingPause.end : 0;
+    const speechEnd = trailingPause ? trailingPause.start : duration;
+
+    const innerPauses = pauses.filter(pause => pause.start > speechStart && pause.end < speechEnd);
+    const boundaryCount = sentences.length - 1;
+    let boundaries;
+
+    if (innerPauses.length >= boundaryCount) {
+        boundaries = innerPauses
+            .map((pause, index) => ({ pause, index }))
+            .sort((a, b) => (b.pause.end - b.pause.start) - (a.pause.end - a.pause.start) || a.index - b.index)
+            .slice(0, boundaryCount)
+            .sort((a, b) => a.index - b.index)
+            .map(({ pause }) => pause);
+    } else {
+        boundaries = placeBoundaries(sentences, innerPauses, speechStart, speechEnd);
+    }
+
+    return sentences.map((text, index) => ({
+        text,
+        startTime: index === 0 ? round(speechStart) : boundaries[index - 1].end,
+        endTime: index === boundaryCount ? round(speechEnd) : boundaries[index].start
+    }));
+}
+
+/**
+ * Place the sentence boundaries when there are fewer pauses than boundaries
+ * @param {Array<string>} sentences - The sentences
+ * @param {Array} pauses - Pauses between the first and the last sound
+ * @param {number} speechStart - Time of the first sound
+ * @param {number} speechEnd - Time of the last sound
+ * @returns {Array} - [{ start, end }] per boundary; boundaries without a pause have start === end
+ */
+function placeBoundaries(sentences, pauses, speechStart, speechEnd) {
+    const boundaryCount = sentences.length - 1;
+    const speechDuration = speechEnd - speechStart;
+
+    // Share of the transcript before each boundary, as an estimate of its position
+    const totalLength = sentences.reduce((sum, sentence) => sum + sentence.length, 0);
+    const expectedPositions = [];
+    let lengthSoFar = 0;
+    for (let i = 0; i < boundaryCount; i++) {
+        lengthSoFar += sentences[i].length;
+        expectedPositions.push(lengthSoFar / totalLength);
+    }
+
+    // Give every pause the nearest free boundary, keeping the order and room for the pauses after it
+    const boundaries = new Array(boundaryCount).fill(null);
+    let nextBoundary = 0;
+    pauses.forEach((pause, pauseIndex) => {
+        const position = ((pause.start + pause.end) / 2 - speechStart) / speechDuration;
+        const lastBoundary = boundaryCount - (pauses.length - pauseIndex);
+        let best = nextBoundary;
+
+        for (let i = nextBoundary; i <= lastBoundary; i++) {
+            if (Math.abs(expectedPositions[i] - position) < Math.abs(expectedPositions[best] - position)) {
+                best = i;
+            }
+        }
+
+        boundaries[best] = pause;
+        nextBoundary = best + 1;
+    });
+
+    // Boundaries without a pause split the time between their neighbors by sentence length
+    boundaries.forEach((boundary, index) => {
+        if (boundary) return;
+
+        const previousIndex = index - 1;
+        let nextIndex = index + 1;
+        while (nextIndex < boundaryCount && !boundaries[nextIndex]) nextIndex++;
+
+        const fromTime = previousIndex >= 0 ? boundaries[previousIndex].end : speechStart;
+        const toTime = nextIndex < boundaryCount ? boundaries[nextIndex].start : speechEnd;
+        const fromPosition = previousIndex >= 0 ? expectedPositions[previousIndex] : 0;
+        const toPosition = nextIndex < boundaryCount ? expectedPositions[nextIndex] : 1;
+
+        const time = round(fromTime + (toTime - fromTime) * (expectedPositions[index] - fromPosition) / (toPosition - fromPosition));
+        boundaries[index] = { start: time, end: time };
+    });
+
+    return boundaries;
+}
+
+/**
+ * Round a time to whole milliseconds
+ * @param {number} time - Time in seconds
+ * @returns {number} - Rounded time
+ */
+function round(time) {
+    return Math.round(time * 1000) / 1000;
+}
@@ -8,17 +8,20 @@
  * @returns {string} - Formatted time string in VTT format
  */
 export function formatVTTTime(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-    const ms = Math.floor((seconds % 1) * 1000);
+    // Work in whole milliseconds so e.g. 2.3 isn't written as 00:00:02.299
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
     
     return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
 }
 
 /**
- * Generate a simple VTT string from an array of segments
- * @param {Array} segments - Array of {startTime, endTime, text} objects
+ * Generate a VTT string from an array of segments
+ * Cue identifiers, cue settings and the cue markup (e.g. voice tags) are kept when present
+ * @param {Array} segments - Array of {startTime, endTime, text} objects, optionally with id, settings and rawText
  * @returns {string} - VTT file content
  */
 export function generateVTTContent(segments) {
@@ -27,14 +30,81 @@ export function generateVTTContent(segments) {
     segments.forEach((segment, index) => {
         const startTime = formatVTTTime(segment.startTime);
         const endTime = formatVTTTime(segment.endTime);
+        const settings = Object.entries(segment.settings || {})
+            .map(([name, value]) => ` ${name}:${value}`)
+            .join('');
         
-        content += `${startTime} --> ${endTime}\n`;
-        content += `${segment.text}\n\n`;
+        if (segment.id) {
+            content += `${segment.id}\n`;
+        }
+        content += `${startTime} --> ${endTime}${settings}\n`;
+        content += `${segment.rawText || segment.text}\n\n`;
     });
     
     return content;
 }
 
+/**
+ * Escape plain text for use as cue text, so it is read back unchanged
+ * @param {string} text - Plain text
+ * @returns {string} - Text with &, < and > escaped
+ */
+export function escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Merge two neighboring cues into one
+ * The merged cue keeps the first cue's id, speaker and lead-in and the second cue's tail
+ * @param {Object} first - The earlier cue
+ * @param {Object} second - The cue right after it
+ * @returns {Object} - The merged cue
+ */
+export function mergeCues(first, second) {
+    const { tail, ...settings } = first.settings || {};
+    if (second.settings && second.settings.tail !== undefined) {
+        settings.tail = second.settings.tail;
+    }
+
+    return {
+        ...first,
+        endTime: second.endTime,
+        text: `${first.text} ${second.text}`,
+        rawText: `${first.rawText || escapeCueText(first.text)} ${second.rawText || escapeCueText(second.text)}`,
+        settings,
+        timestamps: [...(first.timestamps || []), ...(second.timestamps || [])]
+    };
+}
+
+/**
+ * Split a cue into two at a word boundary
+ * The split time is estimated from the length of the text before and after the boundary.
+ * Voice tags are kept; other cue markup and inline timestamps are dropped.
+ * @param {Object} cue - The cue to split
+ * @param {number} wordIndex - Index of the first word of the second part
+ * @returns {Array|null} - [firstCue, secondCue], or null if the index isn't between two words
+ */
+export function splitCue(cue, wordIndex) {
+    const words = cue.text.trim().split(/\s+/);
+    if (!Number.isInteger(wordIndex) || wordIndex < 1 || wordIndex >= words.length) {
+        return null;
+    }
+
+    const firstText = words.slice(0, wordIndex).join(' ');
+    const secondText = words.slice(wordIndex).join(' ');
+    const share = firstText.length / (firstText.length + secondText.length);
+    const splitTime = Math.round((cue.startTime + (cue.endTime - cue.startTime) * share) * 1000) / 1000;
+
+    const getRawText = (text) => cue.speaker ? `<v ${cue.speaker}>${escapeCueText(text)}` : escapeCueText(text);
+    const { tail, ...firstSettings } = cue.settings || {};
+    const { lead, ...secondSettings } = cue.settings || {};
+
+    return [
+        { ...cue, endTime: splitTime, text: firstText, rawText: getRawText(firstText), settings: firstSettings, timestamps: [] },
+        { ...cue, id: cue.id ? `${cue.id}-2` : '', startTime: splitTime, text: secondText, rawText: getRawText(secondText), settings: secondSettings, timestamps: [] }
+    ];
+}
+
 /**
  * Check if a time falls within a cue's time range
  * @param {number} time - Time in seconds to check
@@ -0,0 +1,20 @@
+/**
+ * Unit Tests for computing waveform peaks from audio samples
+ */
+
+import { computePeaks } from '../js/utils/audioDecoder.js';
+import { runTests } from './testRunner.js';
+
+const left = [0, 0.5, -0.25, 0.1, 0, 0, -0.8, 0.2];
+const right = [0.9, 0, 0, 0, 0, 0, 0, 0];
+
+const testCases = [
+  { test: 'One peak per bucket', actual: () => computePeaks([left], 4).length, expected: 4 },
+  { test: 'Bucket keeps highest and lowest sample', actual: () => JSON.stringify(computePeaks([left], 2)[0]), expected: '{"min":-0.25,"max":0.5}' },
+  { test: 'Silent bucket is flat', actual: () => JSON.stringify(computePeaks([left], 4)[2]), expected: '{"min":0,"max":0}' },
+  { test: 'All channels are taken into account', actual: () => computePeaks([left, right], 4)[0].max, expected: 0.9 },
+  { test: 'More buckets than samples repeats samples', actual: () => computePeaks([[0.5, -0.5]], 4).map(peak => peak.max).join(','), expected: '0.5,0.5,0,0' },
+  { test: 'No audio gives flat peaks', actual: () => JSON.stringify(computePeaks([], 2)), expected: '[{"min":0,"max":0},{"min":0,"max":0}]' }
+];
+
+runTests('AUDIO DECODER', testCases);
@@ -0,0 +1,30 @@
+/**
+ * Unit Tests for splitting a transcript into sentences and timing them in the authoring mode
+ */
+
+import { splitSentences, getCueTimes, getCueTimeErrors } from '../js/modules/authoringMode.js';
+import { runTests } from './testRunner.js';
+
+const testCases = [
+  { test: 'Sentences are split after . ! and ?', actual: () => splitSentences('Wie geht es dir? Mir geht es gut. Danke!').join('|'), expected: 'Wie geht es dir?|Mir geht es gut.|Danke!' },
+  { test: 'Line breaks end a sentence', actual: () => splitSentences('Guten Morgen\nWie spät ist es').join('|'), expected: 'Guten Morgen|Wie spät ist es' },
+  { test: 'Empty lines and extra spaces are ignored', actual: () => splitSentences('  Hallo   Welt.\n\n\nTschüss.  ').join('|'), expected: 'Hallo Welt.|Tschüss.' },
+  { test: 'Abbreviations do not end a sentence', actual: () => splitSentences('Wir treffen Dr. Müller usw. Er kommt ca. um acht.').length, expected: 1 },
+  { test: 'Single letters do not end a sentence', actual: () => splitSentences('Obst, z. B. Äpfel, ist gesund.').length, expected: 1 },
+  { test: 'Day numbers do not end a sentence', actual: () => splitSentences('Am 3. Mai fahren wir los.').length, expected: 1 },
+  { test: 'Years end a sentence', actual: () => splitSentences('Das war 2019. Danach zogen wir um.').length, expected: 2 },
+  { test: 'Lowercase next word continues the sentence', actual: () => splitSentences('Er sagte... und ging.').length, expected: 1 },
+  { test: 'Closing quotes stay with their sentence', actual: () => splitSentences('Sie rief: „Komm her!“ Dann lachte sie.').join('|'), expected: 'Sie rief: „Komm her!“|Dann lachte sie.' },
+  { test: 'Empty transcript has no sentences', actual: () => splitSentences('   ').length, expected: 0 },
+
+  { test: 'First tap starts the first sentence', actual: () => getCueTimes(['A.', 'B.'], [1.5])[0].startTime, expected: 1.5 },
+  { test: 'Untapped times are null', actual: () => getCueTimes(['A.', 'B.'], [1.5])[0].endTime, expected: null },
+  { test: 'Each tap ends a sentence and starts the next', actual: () => JSON.stringify(getCueTimes(['A.', 'B.'], [1, 2.5, 4])), expected: '[{"text":"A.","startTime":1,"endTime":2.5},{"text":"B.","startTime":2.5,"endTime":4}]' },
+
+  { test: 'Valid times have no errors', actual: () => getCueTimeErrors(getCueTimes(['A.', 'B.'], [1, 2.5, 4])).length, expected: 0 },
+  { test: 'Missing time is reported', actual: () => getCueTimeErrors(getCueTimes(['A.', 'B.'], [1, 2.5]))[0], expected: 'Sentence 2 has no valid start and end time.' },
+  { test: 'End before start is reported', actual: () => getCueTimeErrors([{ text: 'A.', startTime: 3, endTime: 2 }])[0], expected: 'Sentence 1 must end after it starts.' },
+  { test: 'Overlap is reported', actual: () => getCueTimeErrors([{ text: 'A.', startTime: 1, endTime: 3 }, { text: 'B.', startTime: 2, endTime: 4 }])[0], expected: 'Sentence 2 starts before sentence 1 ends.' }
+];
+
+runTests('AUTHORING MODE', testCases);
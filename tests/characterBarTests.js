@@ -0,0 +1,37 @@
+/**
+ * Unit Tests for the compose sequences of the character bar
+ */
+
+import { applyComposeSequences } from '../js/modules/characterBar.js';
+import { runTests } from './testRunner.js';
+
+const compose = (text, changeStart = 0, language = 'de', reference = null) =>
+  applyComposeSequences(text, text.length, changeStart, language, reference).text;
+
+const testCases = [
+  { test: 'German "a, "o and "u become umlauts', actual: () => compose('M"adchen h"oren T"ur'), expected: 'Mädchen hören Tür' },
+  { test: 'Capital letter gives the capital umlaut', actual: () => compose('"Uber "Apfel'), expected: 'Über Äpfel' },
+  { test: '"s becomes ß', actual: () => compose('Stra"se'), expected: 'Straße' },
+  { test: 'Text without sequences is unchanged', actual: () => compose('Guten Morgen'), expected: 'Guten Morgen' },
+  { test: 'Sequences typed before the change are kept', actual: () => compose('"a und "a', 6), expected: '"a und ä' },
+  { test: 'Sequence finished by the change is composed', actual: () => compose('T"ur', 2), expected: 'Tür' },
+
+  { test: 'Word-end ss becomes ß where the reference has it', actual: () => compose('Fuss ', 0, 'de', 'Mein Fuß tut weh.'), expected: 'Fuß ' },
+  { test: 'Word-end ss is kept where the reference has ss', actual: () => compose('muss ', 0, 'de', 'Ich muss gehen.'), expected: 'muss ' },
+  { test: 'Unfinished word keeps its ss', actual: () => compose('Fuss', 0, 'de', 'Mein Fuß tut weh.'), expected: 'Fuss' },
+  { test: 'Word-end ss needs the reference', actual: () => compose('Fuss ', 0, 'de', null), expected: 'Fuss ' },
+  { test: 'Word-end ss is finished by punctuation', actual: () => compose('Fuss.', 0, 'de', 'Der Fuß.'), expected: 'Fuß.' },
+
+  { test: 'French accents', actual: () => compose("e'te' `a la for^et", 0, 'fr'), expected: 'été à la forêt' },
+  { test: 'French elision stays as typed', actual: () => compose("l'enfant qu'il", 0, 'fr'), expected: "l'enfant qu'il" },
+  { test: 'French cedilla and capital', actual: () => compose(",ca E'cole", 0, 'fr'), expected: 'ça École' },
+  { test: 'French has no word-end ß', actual: () => compose('passe ss ', 0, 'fr', 'ß'), expected: 'passe ss ' },
+  { test: 'Spanish sequences', actual: () => compose("Espa~na est'a", 0, 'es'), expected: 'España está' },
+  { test: 'Language without sequences is unchanged', actual: () => compose('"a', 0, 'en'), expected: '"a' },
+
+  { test: 'Caret after a sequence moves back', actual: () => applyComposeSequences('T"ur ist', 4, 0, 'de').caret, expected: 3 },
+  { test: 'Caret before a sequence stays', actual: () => applyComposeSequences('ab T"ur', 2, 0, 'de').caret, expected: 2 },
+  { test: 'Caret after word-end ß moves back', actual: () => applyComposeSequences('Fuss tut', 5, 0, 'de', 'Fuß tut').caret, expected: 4 }
+];
+
+runTests('CHARACTER BAR', testCases);
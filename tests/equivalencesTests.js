@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for the number, time and abbreviation equivalences of the grading
+ */
+
+import { applyEquivalences, getNumberWords, getOrdinalWords, setAllowDigits } from '../js/modules/textComparison/equivalences.js';
+import { setActiveLanguage } from '../js/modules/textComparison/languageProfiles.js';
+import { processInput } from '../js/modules/textComparison/inputProcessor.js';
+import { runTests } from './testRunner.js';
+
+// Write the typed words the way the reference writes them
+const rewrite = (reference, input, options) =>
+  applyEquivalences(input.split(' '), reference.split(' '), options).tokens.join(' ');
+
+// Grade an input and list the word statuses
+const grade = (reference, input) => {
+  const result = processInput(reference, input);
+  return result.words.map(word => word.status).join(' ') +
+    (result.extraWords.length ? ` +${result.extraWords.length}` : '');
+};
+
+// Grade an input with digits not allowed
+const gradeWithoutDigits = (reference, input) => {
+  setAllowDigits(false);
+  const result = grade(reference, input);
+  setAllowDigits(true);
+  return result;
+};
+
+// Grade an input in another language
+const gradeInLanguage = (language, reference, input) => {
+  setActiveLanguage(language);
+  const result = grade(reference, input);
+  setActiveLanguage('de');
+  return result;
+};
+
+const testCases = [
+  { test: 'Number words below twenty', actual: () => getNumberWords(12).join(), expected: 'zwölf' },
+  { test: 'Compound number words', actual: () => getNumberWords(21).join(), expected: 'einundzwanzig' },
+  { test: 'Hundreds with and without "ein"', actual: () => getNumberWords(101).join(), expected: 'hunderteins,einhunderteins' },
+  { test: 'Thousands', actual: () => getNumberWords(2021).join(), expected: 'zweitausendeinundzwanzig' },
+  { test: 'Years are also written in hundreds', actual: () => getNumberWords(1990).includes('neunzehnhundertneunzig'), expected: true },
+  { test: 'ss spelling of ß', actual: () => getNumberWords(30).join(), expected: 'dreißig,dreissig' },
+  { test: 'Irregular ordinals', actual: () => ['erste', 'dritten', 'siebter', 'achtes'].every((word, i) => getOrdinalWords([1, 3, 7, 8][i]).includes(word)), expected: true },
+  { test: 'Ordinals from twenty on end in -ste', actual: () => getOrdinalWords(20).includes('zwanzigsten'), expected: true },
+  { test: 'Ordinals above hundred', actual: () => getOrdinalWords(103).includes('hundertdritte'), expected: true },
+
+  { test: 'Digits written like the reference', actual: () => rewrite('Ich habe drei Katzen.', 'Ich habe 3 Katzen'), expected: 'Ich habe drei Katzen' },
+  { test: 'Written number for digits in the reference', actual: () => rewrite('Er ist 21 Jahre alt.', 'Er ist einundzwanzig Jahre alt'), expected: 'Er ist 21 Jahre alt' },
+  { test: 'Ordinal with a dot', actual: () => rewrite('Am dritten Tag', 'Am 3. Tag'), expected: 'Am dritten Tag' },
+  { test: 'Time in digits', actual: () => rewrite('um acht Uhr dreißig', 'um 8:30'), expected: 'um acht Uhr dreißig' },
+  { test: 'Time in digits with "Uhr"', actual: () => rewrite('um acht Uhr dreißig', 'um 8.30 Uhr'), expected: 'um acht Uhr dreißig' },
+  { test: 'Full hour written out', actual: () => rewrite('um 9:00 Uhr', 'um neun Uhr'), expected: 'um 9:00 Uhr' },
+  { test: 'Abbreviation for the words', actual: () => rewrite('zum Beispiel Äpfel', 'z. B. Äpfel'), expected: 'zum Beispiel Äpfel' },
+  { test: 'Words for the abbreviation', actual: () => rewrite('Äpfel, Birnen usw.', 'Äpfel, Birnen und so weiter'), expected: 'Äpfel, Birnen usw.' },
+  { test: 'Abbreviation with and without spaces', actual: () => rewrite('d. h. morgen', 'd.h. morgen'), expected: 'd. h. morgen' },
+  { test: 'Abbreviated title', actual: () => rewrite('Doktor Müller', 'Dr. Müller'), expected: 'Doktor Müller' },
+  { test: 'Different numbers are not equivalent', actual: () => rewrite('Ich habe drei Katzen.', 'Ich habe 4 Katzen'), expected: 'Ich habe 4 Katzen' },
+  { test: 'Digits not allowed for written numbers', actual: () => rewrite('drei Katzen', '3 Katzen', { allowDigits: false }), expected: '3 Katzen' },
+  { test: 'Written numbers still allowed for digits', actual: () => rewrite('3 Katzen', 'drei Katzen', { allowDigits: false }), expected: '3 Katzen' },
+  { test: 'Applied equivalences are listed', actual: () => JSON.stringify(applyEquivalences(['3', 'Katzen'], ['drei', 'Katzen']).applied), expected: '[{"type":"number","from":"3","to":"drei","referenceStart":0,"referenceEnd":1}]' },
+
+  { test: 'Digits graded correct', actual: () => grade('Ich habe drei Katzen.', 'Ich habe 3 Katzen'), expected: 'correct correct correct correct' },
+  { test: 'Abbreviation graded correct', actual: () => grade('Obst, zum Beispiel Äpfel.', 'Obst, z. B. Äpfel'), expected: 'correct correct correct correct' },
+  { test: 'Equivalence shown on the word', actual: () => JSON.stringify(processInput('Am dritten Tag', 'Am 3. Tag').words[1].equivalence), expected: '{"type":"ordinal","typed":"3.","first":true}' },
+  { test: 'Equivalences listed in the result', actual: () => processInput('um acht Uhr dreißig', 'um 8:30').equivalences.map(e => e.type).join(), expected: 'time' },
+  { test: 'Digits wrong when the exercise doesn\'t allow them', actual: () => gradeWithoutDigits('Ich habe drei Katzen.', 'Ich habe 3 Katzen'), expected: 'correct correct missing correct +1' },
+  { test: 'Only German uses the equivalences', actual: () => gradeInLanguage('en', 'I have three cats.', 'I have 3 cats'), expected: 'correct correct missing correct +1' }
+];
+
+runTests('EQUIVALENCES', testCases);
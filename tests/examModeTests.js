@@ -0,0 +1,41 @@
+/**
+ * Unit Tests for reading the exam mode settings from the manifest and the URL
+ */
+
+import { getExamSettings } from '../js/modules/examMode.js';
+import { getTypedWords } from '../js/modules/uiManager.js';
+import { processInput } from '../js/modules/textComparison/index.js';
+import { runTests } from './testRunner.js';
+
+const exercise = { id: 'chap01', title: 'Kapitel 1' };
+const examExercise = { id: 'test01', title: 'Test 1', exam: { replaysPerSegment: 2, allowPrevious: true } };
+
+// The same input against a reference it matches and one it doesn't
+const typedInput = 'Es ist ein schoner Morgen';
+const matchingResult = processInput('Es ist ein schoner Morgen', typedInput);
+const mismatchingResult = processInput('Es ist ein schöner Montagmorgen.', typedInput);
+
+const testCases = [
+  { test: 'No exam without manifest flag or URL parameter', actual: () => getExamSettings(exercise, ''), expected: null },
+  { test: 'Manifest flag enables the exam', actual: () => getExamSettings({ ...exercise, exam: true }, '').hideFeedback, expected: true },
+  { test: 'Manifest exam uses default replay limit', actual: () => getExamSettings({ ...exercise, exam: true }, '').replaysPerSegment, expected: 1 },
+  { test: 'Manifest exam object sets replay limit', actual: () => getExamSettings(examExercise, '').replaysPerSegment, expected: 2 },
+  { test: 'Manifest exam object allows previous', actual: () => getExamSettings(examExercise, '').allowPrevious, expected: true },
+  { test: 'URL parameter enables the exam', actual: () => getExamSettings(exercise, '?exercise=chap01&exam=1') !== null, expected: true },
+  { test: 'Empty URL parameter enables the exam', actual: () => getExamSettings(exercise, '?exam') !== null, expected: true },
+  { test: 'URL can\'t turn off a manifest exam', actual: () => getExamSettings(examExercise, '?exam=0') !== null, expected: true },
+  { test: 'URL can lower the manifest replay limit', actual: () => getExamSettings(examExercise, '?replays=0').replaysPerSegment, expected: 0 },
+  { test: 'URL can\'t raise the manifest replay limit', actual: () => getExamSettings(examExercise, '?replays=99').replaysPerSegment, expected: 2 },
+  { test: 'URL turns off previous navigation', actual: () => getExamSettings(examExercise, '?previous=off').allowPrevious, expected: false },
+  { test: 'URL can\'t allow previous in a manifest exam', actual: () => getExamSettings({ ...exercise, exam: true }, '?previous=1').allowPrevious, expected: false },
+  { test: 'URL can\'t show feedback in a manifest exam', actual: () => getExamSettings({ ...exercise, exam: true }, '?hideFeedback=0').hideFeedback, expected: true },
+  { test: 'URL can\'t raise the manifest plays per segment', actual: () => getExamSettings({ ...exercise, exam: { playsPerSegment: 2 } }, '?plays=5').playsPerSegment, expected: 2 },
+  { test: 'URL sets plays per segment', actual: () => getExamSettings(exercise, '?exam=1&plays=3').playsPerSegment, expected: 3 },
+  { test: 'URL can show feedback in an exam', actual: () => getExamSettings(exercise, '?exam=1&hideFeedback=0').hideFeedback, expected: false },
+  { test: 'Invalid replay limit is ignored', actual: () => getExamSettings(examExercise, '?replays=-1').replaysPerSegment, expected: 2 },
+  { test: 'Invalid plays per segment is ignored', actual: () => getExamSettings(exercise, '?exam=1&plays=0').playsPerSegment, expected: 1 },
+  { test: 'Hidden feedback shows the words as typed', actual: () => getTypedWords(mismatchingResult).join(' '), expected: typedInput },
+  { test: 'Hidden feedback display doesn\'t depend on correctness', actual: () => getTypedWords(matchingResult).join('|') === getTypedWords(mismatchingResult).join('|'), expected: true }
+];
+
+runTests('EXAM MODE', testCases);
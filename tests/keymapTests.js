@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for the keyboard shortcut keymap
+ * Uses an in-memory localStorage so rebound keys can be saved and read back
+ */
+
+import {
+  getKeyCombo, getActionForEvent, formatShortcut, getBindingError, setBinding, resetBindings, getKeymap,
+  getPedalActionForEvent, getPedalBindingError, setPedalBinding, setPedalModeEnabled, getPedalKeymap
+} from '../js/modules/keymap.js';
+import { runTests } from './testRunner.js';
+
+// Saved bindings are read on first use, so the storage can be set up after the import
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value))
+};
+
+/**
+ * Build a fake key event
+ * @param {string} key - event.key value
+ * @param {Object} [modifiers] - { ctrlKey, altKey, shiftKey, metaKey }
+ * @returns {Object} - Fake event
+ */
+function keyEvent(key, modifiers = {}) {
+  return { key, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers };
+}
+
+/**
+ * Build a fake key event sent by a pedal
+ * @param {string} code - event.code value
+ * @returns {Object} - Fake event
+ */
+function pedalEvent(code) {
+  return { ...keyEvent(code), code };
+}
+
+const testCases = [
+  { test: 'Combo for Ctrl+Space', actual: () => getKeyCombo(keyEvent(' ', { ctrlKey: true })), expected: 'Ctrl+Space' },
+  { test: 'Combo keeps modifier order', actual: () => getKeyCombo(keyEvent('ArrowLeft', { shiftKey: true, ctrlKey: true })), expected: 'Ctrl+Shift+ArrowLeft' },
+  { test: 'Letters are upper case', actual: () => getKeyCombo(keyEvent('k', { altKey: true })), expected: 'Alt+K' },
+  { test: 'Shift is left out for symbols', actual: () => getKeyCombo(keyEvent('/', { ctrlKey: true, shiftKey: true })), expected: 'Ctrl+/' },
+  { test: 'Modifier on its own is no combo', actual: () => getKeyCombo(keyEvent('Control', { ctrlKey: true })), expected: null },
+  { test: 'Ctrl+Space replays', actual: () => getActionForEvent(keyEvent(' ', { ctrlKey: true })), expected: 'replay' },
+  { test: 'Ctrl+ArrowDown slows down', actual: () => getActionForEvent(keyEvent('ArrowDown', { ctrlKey: true })), expected: 'slower' },
+  { test: 'Shift+Tab goes to the previous segment', actual: () => getActionForEvent(keyEvent('Tab', { shiftKey: true })), expected: 'previousSegment' },
+  { test: 'Plain letters are not shortcuts', actual: () => getActionForEvent(keyEvent('a')), expected: null },
+  { test: 'Arrows are shown as symbols', actual: () => formatShortcut('Ctrl+ArrowRight'), expected: 'Ctrl+→' },
+  { test: 'Plus key is shown as a key', actual: () => formatShortcut('Ctrl++'), expected: 'Ctrl++' },
+  { test: 'Conflict with another action is reported', actual: () => getBindingError('faster', 'Ctrl+Space'), expected: 'Ctrl+Space is already used for "Replay segment".' },
+  { test: 'Typing keys need a modifier', actual: () => getBindingError('replay', 'R'), expected: 'R is needed for typing. Add Ctrl or Alt.' },
+  { test: 'Browser shortcuts are reserved', actual: () => getBindingError('replay', 'Meta+C'), expected: 'Meta+C is needed by the browser.' },
+  { test: 'Free combo can be bound', actual: () => getBindingError('replay', 'Alt+R'), expected: null },
+  { test: 'Conflicting binding is refused', actual: () => setBinding('faster', 'Ctrl+ArrowDown'), expected: false },
+  {
+    test: 'Rebound key triggers the action',
+    actual: () => {
+      setBinding('replay', 'Alt+R');
+      return getActionForEvent(keyEvent('r', { altKey: true }));
+    },
+    expected: 'replay'
+  },
+  { test: 'Rebound key replaces the default', actual: () => getActionForEvent(keyEvent(' ', { ctrlKey: true })), expected: null },
+  { test: 'Rebound key is saved', actual: () => JSON.parse(storage.get('dictationPreferences')).keyBindings.replay[0], expected: 'Alt+R' },
+  {
+    test: 'Reset restores the defaults',
+    actual: () => {
+      resetBindings();
+      return getKeymap().find(action => action.id === 'replay').keys.join(',');
+    },
+    expected: 'Ctrl+Space'
+  },
+  { test: 'Pedal keys are ignored outside pedal mode', actual: () => getPedalActionForEvent(pedalEvent('F14')), expected: null },
+  {
+    test: 'Default pedal key replays in pedal mode',
+    actual: () => {
+      setPedalModeEnabled(true);
+      return getPedalActionForEvent(pedalEvent('F14'));
+    },
+    expected: 'replay'
+  },
+  { test: 'Pedal key with a modifier is not a pedal', actual: () => getPedalActionForEvent({ ...pedalEvent('F14'), ctrlKey: true }), expected: null },
+  { test: 'Pedal key conflict is reported', actual: () => getPedalBindingError('nextSegment', 'F13'), expected: 'F13 is already used for "Previous segment".' },
+  { test: 'Only replay, previous and next have pedals', actual: () => getPedalBindingError('finish', 'F16'), expected: '"finish" can\'t be controlled with a pedal.' },
+  {
+    test: 'Learned pedal key moves the next pedal',
+    actual: () => {
+      setPedalBinding('nextSegment', 'KeyB');
+      return getPedalActionForEvent(pedalEvent('KeyB'));
+    },
+    expected: 'nextSegment'
+  },
+  {
+    test: 'Reset restores the pedal keys',
+    actual: () => {
+      resetBindings();
+      return getPedalKeymap().map(pedal => pedal.code).join(',');
+    },
+    expected: 'F13,F14,F15'
+  }
+];
+
+runTests('KEYMAP', testCases);
@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for the language profiles of the text comparison
+ */
+
+import { getLanguageProfile, setActiveLanguage, getActiveLanguageProfile, transformInput, removePunctuation, applyContractions, detectTypoPatterns, tokenizeText } from '../js/modules/textComparison/languageProfiles.js';
+import { processInput } from '../js/modules/textComparison/inputProcessor.js';
+import { getKeyboardLayout, isKeyboardAdjacent } from '../js/modules/textComparison/keyboardProximity.js';
+import { runTests } from './testRunner.js';
+
+// Grade an input in a language and list the word statuses
+const grade = (language, reference, input) => {
+  setActiveLanguage(language);
+  const result = processInput(reference, input);
+  setActiveLanguage('de');
+  return result.words.map(word => word.status).join(' ') +
+    (result.extraWords.length ? ` +${result.extraWords.length}` : '');
+};
+
+const testCases = [
+  { test: 'German is the default profile', actual: () => getActiveLanguageProfile().code, expected: 'de' },
+  { test: 'Profiles for German, French, Spanish and English', actual: () => ['de', 'fr', 'es', 'en'].map(code => getLanguageProfile(code).name).join(', '), expected: 'German, French, Spanish, English' },
+  { test: 'Region codes use the language profile', actual: () => getLanguageProfile('fr-CA').code, expected: 'fr' },
+  { test: 'Unknown language falls back to German', actual: () => getLanguageProfile('it').code, expected: 'de' },
+
+  { test: 'German input is transformed', actual: () => transformInput('Tuer', null, getLanguageProfile('de')).text, expected: 'Tür' },
+  { test: 'French input keeps ae and oe', actual: () => transformInput('Raphael coeur', null, getLanguageProfile('fr')).text, expected: 'Raphael coeur' },
+  { test: 'Spanish punctuation is removed', actual: () => removePunctuation('¿Qué tal? ¡Hola!', getLanguageProfile('es')), expected: 'Qué tal Hola' },
+  { test: 'German keeps ¿ as a character', actual: () => removePunctuation('¿Was?', getLanguageProfile('de')), expected: '¿Was' },
+
+  { test: 'French dictation graded correct', actual: () => grade('fr', 'Le château est très beau.', 'le château est très beau'), expected: 'correct correct correct correct correct' },
+  { test: 'French missing accent is misspelled', actual: () => grade('fr', 'Il a été là.', 'il a ete là'), expected: 'correct correct misspelled correct' },
+  { test: 'Spanish dictation with ¿ and ?', actual: () => grade('es', '¿Dónde está el baño?', 'Dónde está el baño'), expected: 'correct correct correct correct' },
+  { test: 'French "ae" is not turned into ä', actual: () => grade('fr', 'Raphael arrive.', 'Raphael arrive'), expected: 'correct correct' },
+
+  { test: 'English contraction typed out', actual: () => grade('en', "I don't know.", 'I do not know'), expected: 'correct correct correct' },
+  { test: 'English contraction typed for the long form', actual: () => grade('en', 'I do not know.', "I don't know"), expected: 'correct correct correct correct' },
+  { test: 'Typographic apostrophe in the reference', actual: () => applyContractions('it is late', 'It’s late.', getLanguageProfile('en')), expected: "it's late" },
+  { test: 'Capital letter is kept', actual: () => applyContractions('I am here', "I'm here", getLanguageProfile('en')), expected: "I'm here" },
+  { test: 'German contraction', actual: () => applyContractions('Wie geht es dir', "Wie geht's dir?", getLanguageProfile('de')), expected: "Wie geht's dir" },
+  { test: 'Contraction only inside whole words', actual: () => applyContractions('undo not', "I don't know.", getLanguageProfile('en')), expected: 'undo not' },
+
+  { test: 'French accent typo pattern', actual: () => detectTypoPatterns('ete', 'été', getLanguageProfile('fr')) > 0, expected: true },
+  { test: 'Spanish ñ typo pattern', actual: () => detectTypoPatterns('espana', 'españa', getLanguageProfile('es')) > 0, expected: true },
+  { test: 'German patterns do not apply to French', actual: () => detectTypoPatterns('shule', 'schule', getLanguageProfile('fr')), expected: 0 },
+
+  { test: 'Elided article is split off', actual: () => tokenizeText("L'homme qu’il voit", getLanguageProfile('fr')).map(token => token.text).join('|'), expected: "L'|homme|qu'|il|voit" },
+  { test: 'Elision keeps its apostrophe for the display', actual: () => tokenizeText("qu’il", getLanguageProfile('fr')).map(token => token.joinedWith).join('|'), expected: '’|' },
+  { test: 'Apostrophe word stays one word', actual: () => tokenizeText("aujourd'hui presqu'île", getLanguageProfile('fr')).length, expected: 2 },
+  { test: 'Apostrophe word typed with a space is joined', actual: () => tokenizeText('Aujourd hui', getLanguageProfile('fr'))[0].text, expected: "Aujourd'hui" },
+  { test: 'German words are not split at the apostrophe', actual: () => tokenizeText("Wie geht's", getLanguageProfile('de')).length, expected: 2 },
+  { test: 'Elision typed with a space', actual: () => grade('fr', "L'homme qu'il voit.", 'l homme qu il voit'), expected: 'correct correct correct correct correct' },
+  { test: 'Elision typed with a typographic apostrophe', actual: () => grade('fr', "Je n'ai pas d'argent.", 'je n’ai pas d’argent'), expected: 'correct correct correct correct correct correct' },
+  { test: 'Article and noun are graded separately', actual: () => grade('fr', "L'école est fermée.", 'la école est fermée'), expected: 'misspelled correct correct correct' },
+  { test: 'aujourd\'hui typed with a space', actual: () => grade('fr', "Il part aujourd'hui.", 'il part aujourd hui'), expected: 'correct correct correct' },
+  {
+    test: 'Elided word is marked as joined to the next word',
+    actual: () => {
+      setActiveLanguage('fr');
+      const result = processInput("Il l'aime.", "il l'aime");
+      setActiveLanguage('de');
+      return result.words.map(word => word.joinedWith || '-').join('');
+    },
+    expected: "-'-"
+  },
+
+  { test: 'Auto keyboard layout follows the language', actual: () => { setActiveLanguage('fr'); const layout = getKeyboardLayout('auto'); setActiveLanguage('de'); return layout === getKeyboardLayout('azerty'); }, expected: true },
+  { test: 'Explicit keyboard layout', actual: () => isKeyboardAdjacent('t', 'y', 'qwerty'), expected: true }
+];
+
+runTests('LANGUAGE PROFILES', testCases);
@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for the segment end scheduler
+ * Uses a fake audio element and drives animation frames by hand
+ */
+
+import { scheduleSegmentEnd, getSegmentPlaybackRange, getFadeVolume } from '../js/modules/playbackScheduler.js';
+import { runTests } from './testRunner.js';
+
+// Animation frames run only when runFrame() is called
+let pendingFrames = new Map();
+let nextFrameId = 1;
+globalThis.requestAnimationFrame = callback => {
+  const id = nextFrameId++;
+  pendingFrames.set(id, callback);
+  return id;
+};
+globalThis.cancelAnimationFrame = id => pendingFrames.delete(id);
+
+function runFrame() {
+  const callbacks = [...pendingFrames.values()];
+  pendingFrames = new Map();
+  callbacks.forEach(callback => callback());
+}
+
+class FakeAudio extends EventTarget {
+  constructor() {
+    super();
+    this.currentTime = 0;
+    this.playbackRate = 1;
+    this.paused = true;
+    this.volume = 1;
+  }
+
+  play() {
+    this.paused = false;
+    this.dispatchEvent(new Event('play'));
+  }
+
+  pause() {
+    this.paused = true;
+    this.dispatchEvent(new Event('pause'));
+  }
+}
+
+/**
+ * Play a segment ending at 2s and move the playback position step by step
+ * @param {Function} advance - Receives the audio and the result, moves playback forward
+ * @returns {Object} - { ends, audio, cancel }
+ */
+function simulate(advance) {
+  const audio = new FakeAudio();
+  const result = { ends: 0, audio };
+  result.cancel = scheduleSegmentEnd(audio, { startTime: 0, endTime: 2, fadeInEnd: 0, fadeOutStart: 2 }, () => result.ends++);
+  audio.play();
+  advance(audio, result);
+  return result;
+}
+
+const testCases = [
+  {
+    test: 'Ends on the first frame past the end time',
+    actual: () => simulate(audio => {
+      audio.currentTime = 1.9;
+      runFrame();
+      audio.currentTime = 2.001;
+      runFrame();
+    }).ends,
+    expected: 1
+  },
+  {
+    test: 'Does not end before the end time',
+    actual: () => simulate(audio => {
+      audio.currentTime = 1.95;
+      runFrame();
+    }).ends,
+    expected: 0
+  },
+  {
+    test: 'Ends within half a frame of the end time',
+    actual: () => simulate(audio => {
+      audio.currentTime = 1.995;
+      runFrame();
+    }).ends,
+    expected: 1
+  },
+  {
+    test: 'Half-frame margin scales with playback speed',
+    actual: () => simulate(audio => {
+      audio.playbackRate = 1.5;
+      audio.currentTime = 1.99;
+      runFrame();
+    }).ends,
+    expected: 1
+  },
+  {
+    test: 'Calls onEnd only once',
+    actual: () => simulate(audio => {
+      audio.currentTime = 2.1;
+      runFrame();
+      audio.dispatchEvent(new Event('timeupdate'));
+      audio.dispatchEvent(new Event('ended'));
+    }).ends,
+    expected: 1
+  },
+  {
+    test: 'timeupdate fallback ends the segment',
+    actual: () => simulate(audio => {
+      audio.currentTime = 1.97;
+      audio.dispatchEvent(new Event('timeupdate'));
+    }).ends,
+    expected: 1
+  },
+  {
+    test: 'Ends when the audio ends before the end time',
+    actual: () => simulate(audio => {
+      audio.currentTime = 1.5;
+      audio.dispatchEvent(new Event('ended'));
+    }).ends,
+    expected: 1
+  },
+  {
+    test: 'No frames are requested while paused',
+    actual: () => {
+      simulate(audio => audio.pause());
+      return pendingFrames.size;
+    },
+    expected: 0
+  },
+  {
+    test: 'Lead-in and tail padding from config',
+    actual: () => JSON.stringify(getSegmentPlaybackRange({ startTime: 2.302, endTime: 3.552, settings: {} })),
+    expected: JSON.stringify({ startTime: 2.152, endTime: 3.652, fadeInEnd: 2.302, fadeOutStart: 3.552 })
+  },
+  {
+    test: 'Lead-in never starts before the audio',
+    actual: () => getSegmentPlaybackRange({ startTime: 0.05, endTime: 1, settings: {} }).startTime,
+    expected: 0
+  },
+  {
+    test: 'Cue settings override padding',
+    actual: () => JSON.stringify(getSegmentPlaybackRange({ startTime: 2, endTime: 3, settings: { lead: '0.5', tail: '0' } })),
+    expected: JSON.stringify({ startTime: 1.5, endTime: 3, fadeInEnd: 2, fadeOutStart: 3 })
+  },
+  {
+    test: 'Invalid padding setting falls back to config',
+    actual: () => getSegmentPlaybackRange({ startTime: 2, endTime: 3, settings: { lead: 'soon' } }).startTime,
+    expected: 1.85
+  },
+  {
+    test: 'fade:off keeps full volume in the padding',
+    actual: () => {
+      const range = getSegmentPlaybackRange({ startTime: 2, endTime: 3, settings: { fade: 'off' } });
+      return range.fadeInEnd === range.startTime && range.fadeOutStart === range.endTime;
+    },
+    expected: true
+  },
+  {
+    test: 'Fade volume halfway through the lead-in',
+    actual: () => getFadeVolume({ startTime: 1, endTime: 4, fadeInEnd: 2, fadeOutStart: 3 }, 1.5),
+    expected: 0.5
+  },
+  {
+    test: 'Full volume inside the cue',
+    actual: () => getFadeVolume({ startTime: 1, endTime: 4, fadeInEnd: 2, fadeOutStart: 3 }, 2.5),
+    expected: 1
+  },
+  {
+    test: 'Fade volume in the tail',
+    actual: () => getFadeVolume({ startTime: 1, endTime: 4, fadeInEnd: 2, fadeOutStart: 3 }, 3.75),
+    expected: 0.25
+  },
+  {
+    test: 'Volume follows the fade while playing and is restored at the end',
+    actual: () => {
+      const audio = new FakeAudio();
+      const volumes = [];
+      scheduleSegmentEnd(audio, { startTime: 1, endTime: 4, fadeInEnd: 2, fadeOutStart: 3 }, () => {});
+      audio.currentTime = 1.5;
+      audio.play();
+      runFrame();
+      volumes.push(audio.volume);
+      audio.currentTime = 4;
+      runFrame();
+      volumes.push(audio.volume);
+      return volumes.join(',');
+    },
+    expected: '0.5,1'
+  },
+  {
+    test: 'Cancelled end is never called',
+    actual: () => simulate((audio, result) => {
+      result.cancel();
+      audio.currentTime = 2.5;
+      runFrame();
+      audio.dispatchEvent(new Event('timeupdate'));
+    }).ends,
+    expected: 0
+  }
+];
+
+runTests('PLAYBACK SCHEDULER', testCases, {
+  // Drop frames left over from each test
+  afterEach: () => { pendingFrames = new Map(); }
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for the results export (JSON, CSV and printable HTML report)
+ */
+
+import {
+  buildResultsReport,
+  generateResultsJSON,
+  generateResultsCSV,
+  generateResultsReportHTML
+} from '../js/modules/resultsExport.js';
+import { escapeHTML } from '../js/utils/helpers.js';
+import { runTests } from './testRunner.js';
+
+const exercise = { id: 'chap01', title: 'Kapitel 1', level: 'A2', language: 'de' };
+
+const segments = [
+  { id: 'intro', startTime: 0, endTime: 2.302, text: 'Es ist ein schöner Montagmorgen.', speaker: 'Simone' },
+  { id: '', startTime: 2.302, endTime: 3.552, text: 'Die Sonne scheint, "endlich".', speaker: null },
+  { id: '', startTime: 3.552, endTime: 5, text: 'Nicht getippt.', speaker: null }
+];
+
+const userInputs = ['Es ist ein schöner Montagmorgen', 'Die Sonne scheint heute <b>', ''];
+
+const stats = {
+  totalSegments: 3,
+  completedSegments: 2,
+  completionPercentage: 67,
+  accuracy: 80,
+  errorCount: 1,
+  advancedMetrics: { correctWords: 8, misspelledWords: 0, missingWords: 1, extraWords: 2 },
+  totalTimeMs: 95000
+};
+
+const segmentData = {
+  playbackRates: [0.75, 1, null],
+  replayCounts: [2, 0, 0]
+};
+
+const report = buildResultsReport(exercise, segments, userInputs, stats, segmentData);
+const csvLines = generateResultsCSV(report).split('\r\n');
+const html = generateResultsReportHTML(report);
+
+const testCases = [
+  { test: 'One report entry per segment', actual: () => report.segments.length, expected: 3 },
+  { test: 'Keeps full comparison result', actual: () => Array.isArray(report.segments[0].comparison.words), expected: true },
+  { test: 'Counts correct words', actual: () => report.segments[0].counts.correct, expected: 5 },
+  { test: 'Counts missing words', actual: () => report.segments[1].counts.missing, expected: 1 },
+  { test: 'Unattempted segment has no comparison', actual: () => report.segments[2].comparison, expected: null },
+  { test: 'Records playback speed per segment', actual: () => report.segments[0].playbackRate, expected: 0.75 },
+  { test: 'Unplayed segment has no playback speed', actual: () => report.segments[2].playbackRate, expected: null },
+  { test: 'Records replays per segment', actual: () => report.segments[0].replays, expected: 2 },
+  { test: 'Playback speed defaults to null without recorded speeds', actual: () => buildResultsReport(exercise, segments, userInputs, stats).segments[0].playbackRate, expected: null },
+  { test: 'JSON round-trips', actual: () => JSON.parse(generateResultsJSON(report)).exercise.id, expected: 'chap01' },
+  { test: 'CSV header row', actual: () => csvLines[0], expected: 'segment,cue_id,speaker,start,end,speed,replays,reference,input,correct,misspelled,missing,extra' },
+  { test: 'CSV has one row per segment', actual: () => csvLines.filter(Boolean).length, expected: 4 },
+  { test: 'CSV has speed column', actual: () => csvLines[1].split(',')[5], expected: '0.75' },
+  { test: 'CSV has replays column', actual: () => csvLines[1].split(',')[6], expected: '2' },
+  { test: 'CSV quotes fields with commas and quotes', actual: () => csvLines[2].includes('"Die Sonne scheint, ""endlich""."'), expected: true },
+  { test: 'CSV leaves counts empty for unattempted segments', actual: () => csvLines[3].endsWith(',,,,'), expected: true },
+  { test: 'HTML report is a complete document', actual: () => html.startsWith('<!DOCTYPE html>'), expected: true },
+  { test: 'HTML report escapes user input', actual: () => html.includes('heute &lt;b&gt;') && !html.includes('heute <b>'), expected: true },
+  { test: 'HTML escaping covers quotes', actual: () => escapeHTML(`"x" onclick='y'`), expected: '&quot;x&quot; onclick=&#39;y&#39;' },
+  { test: 'HTML report has print styles', actual: () => html.includes('@media print'), expected: true }
+];
+
+runTests('RESULTS EXPORT', testCases);
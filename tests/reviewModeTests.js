@@ -0,0 +1,53 @@
+/**
+ * Unit Tests for loading exported results into the teacher review mode
+ */
+
+import { parseResultsReport, buildReviewSegments } from '../js/modules/reviewMode.js';
+import { runTests } from './testRunner.js';
+
+const exportedResults = JSON.stringify({
+  exercise: { id: 'chap01', title: 'Kapitel 1', level: 'A2', language: 'de' },
+  generatedAt: '2026-10-18T09:30:00.000Z',
+  summary: { completionPercentage: 50, accuracy: 75, totalTimeMs: 60000 },
+  segments: [
+    {
+      index: 1, id: 'intro', speaker: 'Simone', startTime: 0, endTime: 2.302,
+      reference: 'Es ist ein schöner Montagmorgen.', input: 'Es ist ein schoner Montagmorgen',
+      // A stale or edited comparison in the file must not be trusted
+      comparison: { words: [], extraWords: [] }
+    },
+    { index: 2, id: '', speaker: null, startTime: 2.302, endTime: 3.552, reference: 'Die Sonne scheint.', input: '' }
+  ]
+});
+
+function getErrorMessage(content) {
+  try {
+    parseResultsReport(content);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const report = parseResultsReport(exportedResults);
+const tamperedReport = parseResultsReport(exportedResults.replace('"completionPercentage":50', '"completionPercentage":"<img src=x onerror=alert(1)>"'));
+const reviewSegments = buildReviewSegments(report);
+
+const testCases = [
+  { test: 'Parses exported results', actual: () => report.exercise.id, expected: 'chap01' },
+  { test: 'One review segment per exported segment', actual: () => reviewSegments.length, expected: 2 },
+  { test: 'Reference becomes the cue text', actual: () => reviewSegments[0].text, expected: 'Es ist ein schöner Montagmorgen.' },
+  { test: 'Keeps the speaker', actual: () => reviewSegments[0].speaker, expected: 'Simone' },
+  { test: 'Rebuilds the comparison', actual: () => reviewSegments[0].comparison.words.length, expected: 5 },
+  { test: 'Rebuilt comparison finds the misspelling', actual: () => reviewSegments[0].comparison.words[3].status, expected: 'misspelled' },
+  { test: 'Unattempted segment is marked', actual: () => reviewSegments[1].attempted, expected: false },
+  { test: 'Unattempted segment shows all words missing', actual: () => reviewSegments[1].comparison.words.every(word => word.status === 'missing'), expected: true },
+  { test: 'Rejects invalid JSON', actual: () => getErrorMessage('{ not json'), expected: 'the file is not valid JSON' },
+  { test: 'Rejects other JSON files', actual: () => getErrorMessage('{"exercises": []}').startsWith('this is not a results file'), expected: true },
+  { test: 'Rejects segments without timing', actual: () => getErrorMessage('{"exercise": {"id": "x"}, "segments": [{"reference": "a", "input": "a"}]}'), expected: 'segment 1 is missing its reference, input or timing' },
+  { test: 'Keeps numeric summary fields', actual: () => report.summary.accuracy, expected: 75 },
+  { test: 'Drops a non-numeric summary field', actual: () => 'completionPercentage' in tamperedReport.summary, expected: false },
+  { test: 'Keeps the other summary fields', actual: () => tamperedReport.summary.accuracy, expected: 75 }
+];
+
+runTests('REVIEW MODE', testCases);
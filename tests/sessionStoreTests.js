@@ -0,0 +1,64 @@
+/**
+ * Unit Tests for saving and resuming sessions with edited segments
+ */
+
+import { saveSession, loadSession, describeTranscript, hasTranscriptChanged, getSessionCues } from '../js/modules/sessionStore.js';
+import { mergeCues } from '../js/utils/vttHelpers.js';
+import { runTests } from './testRunner.js';
+
+// In-memory localStorage for the saved sessions
+const storage = {};
+globalThis.localStorage = {
+  getItem: (key) => (key in storage ? storage[key] : null),
+  setItem: (key, value) => { storage[key] = String(value); },
+  removeItem: (key) => { delete storage[key]; }
+};
+
+// Parse the transcript again, like a page reload does
+const loadCues = () => [
+  { id: '1', startTime: 0, endTime: 2, text: 'Es ist ein', rawText: 'Es ist ein', settings: {}, speaker: null },
+  { id: '2', startTime: 2, endTime: 3.5, text: 'schöner Montag.', rawText: 'schöner Montag.', settings: {}, speaker: null },
+  { id: '3', startTime: 3.5, endTime: 5, text: 'Die Sonne scheint.', rawText: 'Die Sonne scheint.', settings: {}, speaker: null }
+];
+
+const snapshot = { inputs: ['Es ist ein schöner Montag.', 'Die Sonne'], currentIndex: 1 };
+
+// Session saved after merging the first two segments
+const mergedCues = loadCues();
+const mergedTranscript = describeTranscript(mergedCues);
+mergedCues.splice(0, 2, mergeCues(mergedCues[0], mergedCues[1]));
+saveSession('merged', mergedCues, snapshot, mergedTranscript);
+const mergedSession = loadSession('merged');
+
+// Session saved after dragging a boundary in the waveform view
+const draggedCues = loadCues();
+const draggedTranscript = describeTranscript(draggedCues);
+draggedCues[1].endTime = 3.8;
+draggedCues[2].startTime = 3.8;
+saveSession('dragged', draggedCues, snapshot, draggedTranscript);
+const draggedSession = loadSession('dragged');
+
+// Session saved without edits
+saveSession('unedited', loadCues(), snapshot);
+const uneditedSession = loadSession('unedited');
+
+const testCases = [
+  { test: 'Merged session matches the reloaded transcript', actual: () => hasTranscriptChanged(mergedSession, loadCues()), expected: false },
+  { test: 'Merged segments are restored', actual: () => getSessionCues(mergedSession, loadCues()).map(cue => cue.text).join(' | '), expected: 'Es ist ein schöner Montag. | Die Sonne scheint.' },
+  { test: 'Inputs stay with the merged segments', actual: () => getSessionCues(mergedSession, loadCues()).length === mergedSession.inputs.length, expected: true },
+  { test: 'Dragged session matches the reloaded transcript', actual: () => hasTranscriptChanged(draggedSession, loadCues()), expected: false },
+  { test: 'Dragged boundary is restored', actual: () => getSessionCues(draggedSession, loadCues())[2].startTime, expected: 3.8 },
+  { test: 'Unedited session stores no segments', actual: () => uneditedSession.editedCues, expected: null },
+  { test: 'Unedited session resumes with the loaded cues', actual: () => { const cues = loadCues(); return getSessionCues(uneditedSession, cues) === cues; }, expected: true },
+  {
+    test: 'Edits are dropped when the transcript has changed',
+    actual: () => {
+      const changedCues = loadCues();
+      changedCues[2].text = 'Die Sonne scheint heute.';
+      return hasTranscriptChanged(mergedSession, changedCues) && getSessionCues(mergedSession, changedCues) === changedCues;
+    },
+    expected: true
+  }
+];
+
+runTests('SESSION STORE', testCases);
@@ -0,0 +1,38 @@
+/**
+ * Unit Tests for detecting pauses in audio and matching them to the sentences of a transcript
+ */
+
+import { computeFrameLevels, detectPauses, alignSentencesToPauses } from '../js/utils/silenceDetection.js';
+import { runTests } from './testRunner.js';
+
+const options = { threshold: 30, minSilenceDuration: 0.3, minSegmentDuration: 0.5 };
+
+// Frame levels (0.1 s frames): 0 dB = speech, -60 dB = silence
+const speech = (frames) => new Array(frames).fill(0);
+const silence = (frames) => new Array(frames).fill(-60);
+const levels = [...silence(3), ...speech(10), ...silence(5), ...speech(2), ...silence(1), ...speech(10), ...silence(4)];
+
+const pauses = [{ start: 0, end: 0.5 }, { start: 2, end: 2.3 }, { start: 4, end: 4.8 }, { start: 6, end: 7 }];
+
+const testCases = [
+  { test: 'One level per frame', actual: () => computeFrameLevels([new Array(400).fill(0.5)], 1000, 0.1).length, expected: 4 },
+  { test: 'Level is the RMS in dBFS', actual: () => Math.round(computeFrameLevels([new Array(100).fill(0.1)], 1000, 0.1)[0]), expected: -20 },
+  { test: 'Digital silence is -Infinity', actual: () => computeFrameLevels([new Array(100).fill(0)], 1000, 0.1)[0], expected: -Infinity },
+  { test: 'All channels are mixed', actual: () => Math.round(computeFrameLevels([new Array(100).fill(0.1), new Array(100).fill(0.1)], 1000, 0.1)[0]), expected: -20 },
+
+  { test: 'Pauses at the start and the end are found', actual: () => JSON.stringify(detectPauses(levels, 0.1, options).filter(pause => pause.start === 0 || pause.end === 3.5)), expected: '[{"start":0,"end":0.3},{"start":3.1,"end":3.5}]' },
+  { test: 'Pause between sentences is found', actual: () => JSON.stringify(detectPauses(levels, 0.1, options)[1]), expected: '{"start":1.3,"end":1.8}' },
+  { test: 'Too short pause is ignored', actual: () => detectPauses(levels, 0.1, options).length, expected: 3 },
+  { test: 'Pause after a too short segment is ignored', actual: () => detectPauses([...speech(10), ...silence(5), ...speech(2), ...silence(5), ...speech(10)], 0.1, options).length, expected: 1 },
+  { test: 'Threshold is relative to the loudest frame', actual: () => detectPauses(levels.map(level => level - 20), 0.1, options).length, expected: 3 },
+  { test: 'Silent audio has no pauses', actual: () => detectPauses(silence(5).map(() => -Infinity), 0.1, options).length, expected: 0 },
+
+  { test: 'Leading and trailing pauses are left out of the cues', actual: () => JSON.stringify(alignSentencesToPauses(['Eins.'], pauses, 7).map(cue => [cue.startTime, cue.endTime])), expected: '[[0.5,6]]' },
+  { test: 'Longest pauses separate the sentences', actual: () => JSON.stringify(alignSentencesToPauses(['Eins.', 'Zwei.'], pauses, 7).map(cue => [cue.startTime, cue.endTime])), expected: '[[0.5,4],[4.8,6]]' },
+  { test: 'Every pause is used when there are as many as boundaries', actual: () => JSON.stringify(alignSentencesToPauses(['Eins.', 'Zwei.', 'Drei.'], pauses, 7).map(cue => [cue.startTime, cue.endTime])), expected: '[[0.5,2],[2.3,4],[4.8,6]]' },
+  { test: 'Missing boundaries are placed by sentence length', actual: () => JSON.stringify(alignSentencesToPauses(['aaaa', 'aaaa', 'aaaaaaaa'], [{ start: 6, end: 7 }], 13).map(cue => [cue.startTime, cue.endTime])), expected: '[[0,3],[3,6],[7,13]]' },
+  { test: 'Pause goes to the nearest boundary', actual: () => JSON.stringify(alignSentencesToPauses(['aaaaaaaa', 'aaaa', 'aaaa'], [{ start: 6, end: 7 }], 13).map(cue => [cue.startTime, cue.endTime])), expected: '[[0,6],[7,10],[10,13]]' },
+  { test: 'Sentences are kept with their text', actual: () => alignSentencesToPauses(['Eins.', 'Zwei.'], pauses, 7)[1].text, expected: 'Zwei.' }
+];
+
+runTests('SILENCE DETECTION', testCases);
@@ -0,0 +1,59 @@
+/**
+ * Shared runner for the unit tests
+ * Runs { test, actual, expected } test cases and prints a PASS/FAIL line per case and a summary
+ */
+
+/**
+ * Check whether a test result is the expected value (numbers may differ by rounding)
+ * @param {*} result - Value returned by the test case
+ * @param {*} expected - Expected value
+ * @returns {boolean} - True if the test passed
+ */
+function isExpected(result, expected) {
+  if (result === expected) return true;
+  return typeof expected === 'number' && typeof result === 'number' &&
+    Math.abs(result - expected) < 0.0001;
+}
+
+/**
+ * Run test cases and print the results
+ * @param {string} title - Name of the tested module (e.g. 'VTT PARSER')
+ * @param {Array} testCases - [{ test, actual: () => value, expected }]
+ * @param {Object} [options] - { afterEach } called after every test case
+ * @returns {Object} - { passed, failed } counts
+ */
+export function runTests(title, testCases, options = {}) {
+  let passedCount = 0;
+  let failedCount = 0;
+
+  console.log(`===== ${title} TESTS =====`);
+
+  testCases.forEach(testCase => {
+    let result;
+    try {
+      result = testCase.actual();
+    } catch (error) {
+      result = `threw ${error.message}`;
+    }
+    const passed = isExpected(result, testCase.expected);
+
+    if (passed) {
+      console.log(`✓ PASS: ${testCase.test}`);
+      passedCount++;
+    } else {
+      console.log(`✗ FAIL: ${testCase.test} (Expected ${testCase.expected}, got ${result})`);
+      failedCount++;
+    }
+
+    if (options.afterEach) {
+      options.afterEach();
+    }
+  });
+
+  // Summary
+  console.log('\n===== TEST SUMMARY =====');
+  console.log(`Total: ${passedCount + failedCount}, Passed: ${passedCount}, Failed: ${failedCount}`);
+  console.log(failedCount === 0 ? 'ALL TESTS PASSED! ✓' : `${failedCount} TESTS FAILED! ✗`);
+
+  return { passed: passedCount, failed: failedCount };
+}
@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for the SRT, LRC and label transcript importers
+ * Covers format detection and the cue objects each importer produces
+ */
+
+import {
+  detectTranscriptFormat,
+  parseTranscriptContent,
+  parseSRTContent,
+  parseLRCContent,
+  parseLabelContent,
+  TranscriptParseError
+} from '../js/modules/transcriptImporters.js';
+import { runTests } from './testRunner.js';
+
+const SAMPLE_SRT = [
+  '1',
+  '00:00:00,000 --> 00:00:02,302',
+  'Es ist ein schöner',
+  '<i>Montagmorgen</i> in Berlin.',
+  '',
+  '2',
+  '00:00:02,302 --> 00:00:03,552 X1:100 X2:200',
+  '{\\an8}Die Sonne scheint.',
+  ''
+].join('\r\n');
+
+const SAMPLE_LRC = [
+  '[ti:Kapitel 1]',
+  '[length: 00:06.00]',
+  '[00:00.00]Es ist ein schöner Montagmorgen.',
+  '[00:02.30][00:04.50]Die Sonne scheint.',
+  '[00:03.55]'
+].join('\n');
+
+const SAMPLE_LABELS = [
+  '0.000000\t2.302000\tEs ist ein schöner Montagmorgen.',
+  '\\\t120.5\t3400.0',
+  '2.302000\t3.552000\tDie Sonne scheint.'
+].join('\n');
+
+function getErrorLine(parse, content) {
+  try {
+    parse(content);
+    return null;
+  } catch (error) {
+    return error instanceof TranscriptParseError ? error.line : `unexpected error: ${error.message}`;
+  }
+}
+
+const srt = parseSRTContent(SAMPLE_SRT);
+const lrc = parseLRCContent(SAMPLE_LRC);
+const labels = parseLabelContent(SAMPLE_LABELS);
+
+const testCases = [
+  // Format detection
+  { test: 'Detects WebVTT by content', actual: () => detectTranscriptFormat('WEBVTT\n\n00:00.000 --> 00:01.000\nHallo', 'kapitel.txt'), expected: 'vtt' },
+  { test: 'Detects SRT by content', actual: () => detectTranscriptFormat(SAMPLE_SRT), expected: 'srt' },
+  { test: 'Detects LRC by content', actual: () => detectTranscriptFormat(SAMPLE_LRC), expected: 'lrc' },
+  { test: 'Detects labels by content', actual: () => detectTranscriptFormat(SAMPLE_LABELS), expected: 'labels' },
+  { test: 'Falls back to file extension', actual: () => detectTranscriptFormat('', 'assets/vtt/kapitel.srt?v=2'), expected: 'srt' },
+  { test: 'Unknown format', actual: () => detectTranscriptFormat('Nur Text', 'notes.md'), expected: null },
+
+  // SRT
+  { test: 'SRT: parses all cues', actual: () => srt.length, expected: 2 },
+  { test: 'SRT: keeps cue number as id', actual: () => srt[1].id, expected: '2' },
+  { test: 'SRT: comma milliseconds', actual: () => srt[0].endTime, expected: 2.302 },
+  { test: 'SRT: strips formatting tags', actual: () => srt[0].text, expected: 'Es ist ein schöner Montagmorgen in Berlin.' },
+  { test: 'SRT: strips positioning codes', actual: () => srt[1].text, expected: 'Die Sonne scheint.' },
+  { test: 'SRT: invalid timing line', actual: () => getErrorLine(parseSRTContent, '1\n00:00:01 --> 00:00:02\nHallo'), expected: 2 },
+
+  // LRC
+  { test: 'LRC: one cue per time tag', actual: () => lrc.length, expected: 3 },
+  { test: 'LRC: ends at the next line', actual: () => lrc[0].endTime, expected: 2.3 },
+  { test: 'LRC: empty line marks the end', actual: () => lrc[1].endTime, expected: 3.55 },
+  { test: 'LRC: last line ends at [length:]', actual: () => lrc[2].endTime, expected: 6 },
+  { test: 'LRC: applies [offset:]', actual: () => parseLRCContent('[offset:500]\n[00:01.00]Hallo')[0].startTime, expected: 0.5 },
+  { test: 'LRC: line without time tag', actual: () => getErrorLine(parseLRCContent, '[00:01.00]Hallo\nWelt'), expected: 2 },
+
+  // Labels
+  { test: 'Labels: skips spectral lines', actual: () => labels.length, expected: 2 },
+  { test: 'Labels: parses start time', actual: () => labels[1].startTime, expected: 2.302 },
+  { test: 'Labels: accepts clock times', actual: () => parseLabelContent('00:01:02.500\t00:01:04.000\tHallo')[0].startTime, expected: 62.5 },
+  { test: 'Labels: end before start', actual: () => getErrorLine(parseLabelContent, '0\t1\tHallo\n3\t2\tWelt'), expected: 2 },
+  { test: 'Labels: point label ends at the next label', actual: () => parseLabelContent('1.5\t1.5\tHallo\n4\t6\tWelt')[0].endTime, expected: 4 },
+  { test: 'Labels: point labels in a row', actual: () => parseLabelContent('0\t0\tHallo\n2\t2\tschöne\n3\t5\tWelt').map(cue => cue.endTime).join(), expected: '2,3,5' },
+  { test: 'Labels: last point label has no end', actual: () => getErrorLine(parseLabelContent, '0\t1\tHallo\n3\t3\tWelt'), expected: 2 },
+
+  // Dispatch
+  { test: 'Dispatches to the VTT parser', actual: () => parseTranscriptContent('WEBVTT\n\n00:00.000 --> 00:01.000\nHallo')[0].text, expected: 'Hallo' },
+  { test: 'Same cue shape for every format', actual: () => [srt[0], lrc[0], labels[0]].every(cue => 'startTime' in cue && 'endTime' in cue && 'text' in cue), expected: true }
+];
+
+runTests('TRANSCRIPT IMPORTER', testCases);
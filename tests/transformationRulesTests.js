@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for the umlaut and eszett transformation rules
+ */
+
+import { transformText, setRuleSetEnabled, setTransformationExceptions, keepWordAsTyped, getRuleSets } from '../js/modules/textComparison/transformationRules.js';
+import { runTests } from './testRunner.js';
+
+// In-memory localStorage for the saved rule set choices
+const storage = {};
+globalThis.localStorage = {
+  getItem: (key) => (key in storage ? storage[key] : null),
+  setItem: (key, value) => { storage[key] = String(value); },
+  removeItem: (key) => { delete storage[key]; }
+};
+
+setTransformationExceptions(['feuer*', 'aktuell*', 'Israel']);
+
+const transform = (text, reference = null) => transformText(text, reference).text;
+
+const testCases = [
+  { test: 'ae, oe and ue become umlauts', actual: () => transform('Maedchen hoeren Tuer'), expected: 'Mädchen hören Tür' },
+  { test: 'Capital letter+e becomes a capital umlaut', actual: () => transform('Ueber Aepfel'), expected: 'Über Äpfel' },
+  { test: 'Colon and slash spellings become umlauts', actual: () => transform('schoen gru:n wa/re'), expected: 'schön grün wäre' },
+  { test: 's: and s/ become ß', actual: () => transform('Fus: heis/t'), expected: 'Fuß heißt' },
+  { test: 'Capital B inside a word becomes ß', actual: () => transform('StraBe groB'), expected: 'Straße groß' },
+  { test: 'Capital B at the start of a word is kept', actual: () => transform('Berlin'), expected: 'Berlin' },
+  { test: 'Regular ss is never transformed', actual: () => transform('muss Wasser'), expected: 'muss Wasser' },
+
+  { test: 'Exception words are kept', actual: () => transform('Feuer aktuell Israel'), expected: 'Feuer aktuell Israel' },
+  { test: 'Exception prefix covers longer words', actual: () => transform('Feuerwehr aktuellen'), expected: 'Feuerwehr aktuellen' },
+  { test: 'Punctuation around an exception is ignored', actual: () => transform('"Feuer!"'), expected: '"Feuer!"' },
+
+  { test: 'With a reference only its umlauts are produced', actual: () => transform('Tuer', 'Die Tür ist zu.'), expected: 'Tür' },
+  { test: 'Spelling that the reference has is kept', actual: () => transform('Museum Duell', 'Das Museum hat ein Duell.'), expected: 'Museum Duell' },
+  { test: 'No umlaut at that position in the reference keeps the spelling', actual: () => transform('Kasue', 'Sie kauft Käse.'), expected: 'Kasue' },
+  { test: 'Umlaut of another reference word is not used', actual: () => transform('Blues', 'Der Blüte'), expected: 'Blues' },
+  { test: 'Umlaut of a longer reference word is not used', actual: () => transform('Duet', 'Der Düsenjet'), expected: 'Duet' },
+  { test: 'Misspelled word is still transformed', actual: () => transform('Gruesse', 'Viele Grüße'), expected: 'Grüsse' },
+  { test: 'Transformed towards the closest reference word', actual: () => transform('schoen', 'Die Schönheit ist schön.'), expected: 'schön' },
+  { test: 'Position counts after leading quotes', actual: () => transform('„Guete', 'Sie sagte „Güte“.'), expected: '„Güte' },
+  { test: 'Changed words are listed', actual: () => JSON.stringify(transformText('die Tuer', 'die Tür').changes), expected: '[{"from":"Tuer","to":"Tür"}]' },
+
+  { test: 'Kept as typed word is not transformed again', actual: () => { keepWordAsTyped('Blues'); return transform('Blues'); }, expected: 'Blues' },
+  { test: 'All rule sets are on by default', actual: () => getRuleSets().every(ruleSet => ruleSet.enabled), expected: true },
+  {
+    test: 'Disabled rule set is not applied',
+    actual: () => {
+      setRuleSetEnabled('letterE', false);
+      const result = transform('Tuer gru:n');
+      setRuleSetEnabled('letterE', true);
+      return result;
+    },
+    expected: 'Tuer grün'
+  },
+  { test: 'Rule set choice is saved', actual: () => { setRuleSetEnabled('slash', false); return JSON.parse(storage.dictationPreferences).transformationRules.slash; }, expected: false },
+  { test: 'Unknown rule set is refused', actual: () => setRuleSetEnabled('unknown', false), expected: false }
+];
+
+runTests('TRANSFORMATION RULES', testCases);
@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for the WebVTT parser
+ * Covers cue identifiers, cue settings, NOTE/STYLE/REGION blocks,
+ * voice tags, plain cue text, inline timestamps and line-numbered errors
+ */
+
+import { parseVTTContent, parseVTTDocument, parseVTTTimestamp, stripCueMarkup, VTTParseError } from '../js/modules/vttParser.js';
+import { formatVTTTime, generateVTTContent, mergeCues, splitCue } from '../js/utils/vttHelpers.js';
+import { runTests } from './testRunner.js';
+
+const SAMPLE_VTT = [
+  'WEBVTT - Kapitel 1',
+  '',
+  'STYLE',
+  '::cue { color: white; }',
+  '',
+  'REGION',
+  'id:unten width:40% lines:3',
+  'regionanchor:0%,100% viewportanchor:10%,90% scroll:up',
+  '',
+  'NOTE Diese Notiz',
+  'geht über mehrere Zeilen',
+  '00:00:09 ist keine Zeitangabe',
+  '',
+  'intro',
+  '00:00:00.000 --> 00:00:02.302 align:start region:unten',
+  'Es ist ein schöner',
+  'Montagmorgen in Berlin.',
+  '',
+  '00:02.302 --> 00:03.552',
+  '<v Simone>Die <00:00:03.000>Sonne scheint',
+  ''
+].join('\r\n');
+
+function getErrorLine(content) {
+  try {
+    parseVTTContent(content);
+    return null;
+  } catch (error) {
+    return error instanceof VTTParseError ? error.line : `unexpected error: ${error.message}`;
+  }
+}
+
+const sample = parseVTTDocument(SAMPLE_VTT);
+
+const testCases = [
+  { test: 'Parses all cues', actual: () => sample.cues.length, expected: 2 },
+  { test: 'Keeps cue identifier', actual: () => sample.cues[0].id, expected: 'intro' },
+  { test: 'Cue without identifier has empty id', actual: () => sample.cues[1].id, expected: '' },
+  { test: 'Joins multi-line cue text', actual: () => sample.cues[0].text, expected: 'Es ist ein schöner Montagmorgen in Berlin.' },
+  { test: 'Parses cue settings', actual: () => JSON.stringify(sample.cues[0].settings), expected: '{"align":"start","region":"unten"}' },
+  { test: 'Parses short timestamps', actual: () => sample.cues[1].startTime, expected: 2.302 },
+  { test: 'Extracts speaker from voice tag', actual: () => sample.cues[1].speaker, expected: 'Simone' },
+  { test: 'Cue without voice tag has no speaker', actual: () => sample.cues[0].speaker, expected: null },
+  { test: 'Removes tags from cue text', actual: () => sample.cues[1].text, expected: 'Die Sonne scheint' },
+  { test: 'Keeps markup in rawText', actual: () => sample.cues[1].rawText, expected: '<v Simone>Die <00:00:03.000>Sonne scheint' },
+  { test: 'Decodes character references', actual: () => stripCueMarkup('Tom &amp; Jerry &lt;3 Gr&#252;&#xDF;e'), expected: 'Tom & Jerry <3 Grüße' },
+  { test: 'Drops ruby annotations', actual: () => stripCueMarkup('<v.laut Anna><i>Hallo</i> <ruby>Tokyo<rt>to-kyo</rt></ruby>!</v>'), expected: 'Hallo Tokyo!' },
+  { test: 'Extracts inline timestamps', actual: () => JSON.stringify(sample.cues[1].timestamps), expected: '[3]' },
+  { test: 'Skips whole multi-line NOTE block', actual: () => sample.cues.some(cue => cue.startTime === 9), expected: false },
+  { test: 'Line with --> ends a NOTE block', actual: () => JSON.stringify(parseVTTContent('WEBVTT\n\nNOTE Notiz\n00:00:01.000 --> 00:00:02.000\nHallo').map(cue => [cue.startTime, cue.text])), expected: '[[1,"Hallo"]]' },
+  { test: 'Collects STYLE block', actual: () => sample.styles[0], expected: '::cue { color: white; }' },
+  { test: 'Parses REGION block over several lines', actual: () => sample.regions[0].scroll, expected: 'up' },
+  { test: 'Keeps header text', actual: () => sample.header, expected: '- Kapitel 1' },
+  { test: 'Timestamp with hours', actual: () => parseVTTTimestamp('01:02:03.004'), expected: 3723.004 },
+
+  // Errors are reported with line numbers
+  { test: 'Missing header', actual: () => getErrorLine('00:00.000 --> 00:01.000\nHallo'), expected: 1 },
+  { test: 'Invalid timestamp', actual: () => getErrorLine('WEBVTT\n\n00:00.000 --> 00:01,000\nHallo'), expected: 3 },
+  { test: 'End before start', actual: () => getErrorLine('WEBVTT\n\n00:02.000 --> 00:01.000\nHallo'), expected: 3 },
+  { test: 'Invalid cue setting is skipped', actual: () => JSON.stringify(parseVTTContent('WEBVTT\n\n00:00.000 --> 00:01.000 align align:start\nHallo')[0].settings), expected: '{"align":"start"}' },
+  { test: 'Invalid cue setting keeps every cue', actual: () => parseVTTContent('WEBVTT\n\n00:00:00.000 --> 00:00:01.000 line\nHallo\n\n00:00:01.000 --> 00:00:02.000\nWelt').map(cue => cue.text).join('|'), expected: 'Hallo|Welt' },
+  { test: 'Stray text block', actual: () => getErrorLine('WEBVTT\n\n00:00.000 --> 00:01.000\nHallo\n\nNur Text\nohne Zeit'), expected: 6 },
+  { test: 'Valid file has no errors', actual: () => getErrorLine(SAMPLE_VTT), expected: null },
+
+  // Writing VTT files
+  { test: 'Formats time without rounding down', actual: () => formatVTTTime(2.3), expected: '00:00:02.300' },
+  { test: 'Formats time with hours', actual: () => formatVTTTime(3723.004), expected: '01:02:03.004' },
+  { test: 'Generated cue keeps id and settings', actual: () => generateVTTContent(sample.cues).split('\n').slice(2, 4).join('|'), expected: 'intro|00:00:00.000 --> 00:00:02.302 align:start region:unten' },
+  {
+    test: 'Generated file parses back to the same cues',
+    actual: () => {
+      const cues = parseVTTContent(generateVTTContent(sample.cues));
+      return JSON.stringify(cues) === JSON.stringify(sample.cues);
+    },
+    expected: true
+  },
+  { test: 'Merged cue spans both cues', actual: () => { const cue = mergeCues(sample.cues[0], sample.cues[1]); return `${cue.startTime}-${cue.endTime}`; }, expected: '0-3.552' },
+  { test: 'Merged cue joins the texts', actual: () => mergeCues(sample.cues[0], sample.cues[1]).text, expected: 'Es ist ein schöner Montagmorgen in Berlin. Die Sonne scheint' },
+  { test: 'Merged cue keeps the first id and speaker', actual: () => { const cue = mergeCues(sample.cues[0], sample.cues[1]); return `${cue.id}|${cue.speaker}`; }, expected: 'intro|null' },
+  { test: 'Merged cue takes the tail of the second cue', actual: () => JSON.stringify(mergeCues({ text: 'a', startTime: 0, endTime: 1, settings: { lead: '0.3', tail: '0.5' } }, { text: 'b', startTime: 1, endTime: 2, settings: {} }).settings), expected: '{"lead":"0.3"}' },
+  { test: 'Split time is estimated from the text length', actual: () => splitCue({ text: 'So ein Mist heute', startTime: 1, endTime: 2.7, settings: {} }, 3).map(cue => `${cue.startTime}-${cue.endTime}`).join('|'), expected: '1-2.169|2.169-2.7' },
+  { test: 'Split parts get the words before and after the split', actual: () => splitCue(sample.cues[0], 4).map(cue => cue.text).join('|'), expected: 'Es ist ein schöner|Montagmorgen in Berlin.' },
+  { test: 'Split second part gets a new id', actual: () => splitCue(sample.cues[0], 4)[1].id, expected: 'intro-2' },
+  { test: 'Split parts keep the voice tag', actual: () => splitCue(sample.cues[1], 1)[1].rawText, expected: '<v Simone>Sonne scheint' },
+  { test: 'Split parts parse back to the same text', actual: () => parseVTTContent(generateVTTContent(splitCue({ text: 'A & B < C', startTime: 0, endTime: 1, settings: {} }, 2))).map(cue => cue.text).join('|'), expected: 'A &|B < C' },
+  { test: 'Split at the first word is refused', actual: () => splitCue(sample.cues[0], 0), expected: null },
+  { test: 'Split after the last word is refused', actual: () => splitCue(sample.cues[0], 7), expected: null }
+];
+
+runTests('VTT PARSER', testCases);